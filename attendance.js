@@ -0,0 +1,161 @@
+// attendance.js - What "attendance" means everywhere: tickets by tier, RSVPs by status,
+// bookings, and one deduplicated expected headcount per event
+const WixClient = require('./wix-client');
+const ConcurrencyPool = require('./concurrency-pool');
+const { tierBreakdown } = require('./ticket-tiers');
+
+const RSVP_STATUSES = ['GOING', 'NOT_GOING', 'WAITING'];
+
+const isValidTicket = ticket => ticket.orderStatus !== 'CANCELED' && !ticket.archived;
+
+// The same person across tickets, RSVPs and bookings: their Wix contact, else their email
+function personKey(contactId, email) {
+    if (contactId) return `contact:${contactId}`;
+    if (email) return `email:${email.trim().toLowerCase()}`;
+    return null;
+}
+
+// Attendance for one event from its raw Wix tickets, ticket definitions, RSVPs and bookings.
+// Someone who bought tickets and also RSVPed or booked is one party: their seats are the
+// largest count any one source gives them, not the sum. Unidentified tickets/RSVPs count as-is.
+function eventAttendance({ tickets = [], definitions = [], rsvps = [], bookings = [] } = {}) {
+    const validTickets = tickets.filter(isValidTicket);
+
+    const rsvpsByStatus = {};
+    RSVP_STATUSES.forEach(status => { rsvpsByStatus[status] = { rsvps: 0, guests: 0 }; });
+    rsvps.forEach(rsvp => {
+        const status = rsvp.status || 'GOING';
+        rsvpsByStatus[status] = rsvpsByStatus[status] || { rsvps: 0, guests: 0 };
+        rsvpsByStatus[status].rsvps++;
+        rsvpsByStatus[status].guests += rsvp.totalGuests || 1;
+    });
+
+    const bookingsByStatus = {};
+    bookings.forEach(booking => {
+        const status = booking.status || 'CONFIRMED';
+        bookingsByStatus[status] = (bookingsByStatus[status] || 0) + 1;
+    });
+    const confirmedBookings = bookings.filter(booking => (booking.status || 'CONFIRMED') === 'CONFIRMED');
+
+    const parties = new Map();
+    let unidentified = 0;
+    const addSeats = (key, seats, source) => {
+        if (!key) {
+            unidentified += seats;
+            return;
+        }
+        const party = parties.get(key) || {};
+        party[source] = (party[source] || 0) + seats;
+        parties.set(key, party);
+    };
+
+    validTickets.forEach(ticket => addSeats(personKey(ticket.contactId, ticket.guestDetails?.email), 1, 'tickets'));
+    rsvps
+        .filter(rsvp => (rsvp.status || 'GOING') === 'GOING')
+        .forEach(rsvp => addSeats(personKey(rsvp.contactId, rsvp.email || rsvp.contactDetails?.email), rsvp.totalGuests || 1, 'rsvps'));
+    confirmedBookings.forEach(booking => addSeats(
+        personKey(booking.contactDetails?.contactId, booking.contactDetails?.email),
+        booking.numberOfParticipants || 1,
+        'bookings'
+    ));
+
+    const partySeats = [...parties.values()].map(party => Math.max(...Object.values(party)));
+    const counted = validTickets.length + rsvpsByStatus.GOING.guests +
+        confirmedBookings.reduce((sum, booking) => sum + (booking.numberOfParticipants || 1), 0);
+    const expectedHeadcount = unidentified + partySeats.reduce((sum, seats) => sum + seats, 0);
+
+    return {
+        tickets: {
+            sold: validTickets.length,
+            canceled: tickets.length - validTickets.length,
+            byTier: tierBreakdown(tickets, definitions)
+        },
+        rsvps: rsvpsByStatus,
+        bookings: {
+            confirmed: confirmedBookings.length,
+            participants: confirmedBookings.reduce((sum, booking) => sum + (booking.numberOfParticipants || 1), 0),
+            byStatus: bookingsByStatus
+        },
+        expectedHeadcount,
+        // Seats counted twice across sources (a ticket buyer who also RSVPed, ...)
+        duplicates: counted - expectedHeadcount
+    };
+}
+
+// "34 expected: 30 tickets, 4 RSVP guests, 2 booked (2 counted once), 5 waitlisted"
+function describeAttendance(attendance) {
+    const parts = [];
+    if (attendance.tickets.sold > 0) parts.push(`${attendance.tickets.sold} tickets`);
+    if (attendance.rsvps.GOING.guests > 0) parts.push(`${attendance.rsvps.GOING.guests} RSVP guests`);
+    if (attendance.bookings.participants > 0) parts.push(`${attendance.bookings.participants} booked`);
+
+    const duplicates = attendance.duplicates > 0 ? ` (${attendance.duplicates} counted once)` : '';
+    const waiting = attendance.rsvps.WAITING.guests > 0 ? `, ${attendance.rsvps.WAITING.guests} waitlisted` : '';
+    return `${attendance.expectedHeadcount} expected${parts.length > 0 ? `: ${parts.join(', ')}` : ''}${duplicates}${waiting}`;
+}
+
+class Attendance {
+    constructor(options = {}) {
+        // client: null works from the store alone, without Wix credentials
+        this.client = options.client === null ? null : options.client || new WixClient(options);
+        this.pool = options.pool || (this.client && new ConcurrencyPool({ concurrency: options.concurrency }).watch(this.client));
+        // Synced data when there is a local store, otherwise straight from Wix
+        this.store = options.store || null;
+    }
+
+    // eventId -> bookings. Sites without Wix Bookings get none rather than an error.
+    async getBookings(eventIds) {
+        const bookingsByEvent = new Map(eventIds.map(id => [id, []]));
+
+        if (this.store) {
+            eventIds.forEach(id => bookingsByEvent.set(id, this.store.byEvent('bookings', id).map(booking => booking.data)));
+            return bookingsByEvent;
+        }
+
+        try {
+            const { items } = await this.client.listBookings();
+            items.forEach(booking => bookingsByEvent.get(booking.eventId)?.push(booking));
+        } catch (error) {
+            console.error('   Could not fetch bookings, counting tickets and RSVPs only:', error.message);
+        }
+        return bookingsByEvent;
+    }
+
+    // eventId -> { tickets, definitions, rsvps, bookings } as raw Wix objects
+    async getEventData(events) {
+        const eventIds = events.map(event => event.id);
+        const byEvent = new Map(eventIds.map(id => [id, { tickets: [], definitions: [], rsvps: [], bookings: [] }]));
+        const add = (collection, items) => items.forEach(item => byEvent.get(item.eventId)?.[collection].push(item));
+
+        if (this.store) {
+            ['tickets', 'definitions', 'rsvps', 'bookings'].forEach(collection => {
+                eventIds.forEach(id => add(collection, this.store.byEvent(collection, id).map(record => record.data)));
+            });
+            return byEvent;
+        }
+
+        if (eventIds.length === 0) return byEvent;
+
+        add('tickets', (await this.client.listForEvents('/events/v1/tickets', 'tickets', eventIds)).items);
+        add('definitions', (await this.client.listTicketDefinitions(eventIds)).items);
+
+        const rsvpEvents = events.filter(event => event.registration?.type === 'RSVP');
+        await this.pool.run(rsvpEvents, async (event) => {
+            add('rsvps', (await this.client.listEventRsvps(event.id)).items.map(rsvp => ({ ...rsvp, eventId: event.id })));
+        });
+
+        (await this.getBookings(eventIds)).forEach((bookings, eventId) => byEvent.get(eventId).bookings.push(...bookings));
+        return byEvent;
+    }
+
+    // eventId -> attendance (see eventAttendance)
+    async forEvents(events) {
+        const dataByEvent = await this.getEventData(events);
+        return new Map([...dataByEvent].map(([eventId, data]) => [eventId, eventAttendance(data)]));
+    }
+}
+
+module.exports = Attendance;
+module.exports.eventAttendance = eventAttendance;
+module.exports.describeAttendance = describeAttendance;
+module.exports.RSVP_STATUSES = RSVP_STATUSES;
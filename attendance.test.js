@@ -0,0 +1,37 @@
+// attendance.test.js - One expected headcount per event across tickets, RSVPs and bookings (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { eventAttendance } = require('./attendance');
+
+test('eventAttendance counts each party once across tickets, RSVPs and bookings', () => {
+    const attendance = eventAttendance({
+        tickets: [
+            { contactId: 'c1', name: 'General Admission' },
+            { contactId: 'c1', name: 'General Admission' },
+            { contactId: 'c1', name: 'General Admission', orderStatus: 'CANCELED' }
+        ],
+        rsvps: [
+            // The ticket buyer also RSVPed for the same two seats
+            { contactId: 'c1', status: 'GOING', totalGuests: 2 },
+            { email: ' Pat@Example.com', status: 'GOING', totalGuests: 3 },
+            { email: 'sam@example.com', status: 'WAITING' },
+            { email: 'kim@example.com', status: 'NOT_GOING', totalGuests: 2 }
+        ],
+        bookings: [
+            { contactDetails: { contactId: 'c2' }, numberOfParticipants: 2 },
+            { contactDetails: { contactId: 'c3' }, status: 'CANCELED', numberOfParticipants: 4 }
+        ]
+    });
+
+    assert.deepEqual({ sold: attendance.tickets.sold, canceled: attendance.tickets.canceled }, { sold: 2, canceled: 1 });
+    assert.deepEqual(attendance.rsvps, {
+        GOING: { rsvps: 2, guests: 5 },
+        NOT_GOING: { rsvps: 1, guests: 2 },
+        WAITING: { rsvps: 1, guests: 1 }
+    });
+    assert.deepEqual(attendance.bookings, { confirmed: 1, participants: 2, byStatus: { CONFIRMED: 1, CANCELED: 1 } });
+    assert.equal(attendance.expectedHeadcount, 7);
+    assert.equal(attendance.duplicates, 2);
+
+    assert.equal(eventAttendance().expectedHeadcount, 0);
+});
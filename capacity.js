@@ -0,0 +1,81 @@
+// capacity.js - Seats per event, percent sold and remaining seats
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config', 'capacity.json');
+
+// config/capacity.json (or CAPACITY_CONFIG):
+//   defaultCapacity - used when neither the config nor Wix knows an event's size (null = unknown)
+//   setups          - room layouts and how many they hold, e.g. { "seated": 60, "standing": 120 }
+//   events          - per-event overrides keyed by event id or slug: a number of seats,
+//                     a setup name, or { "setup": "standing" } / { "capacity": 80 }
+class EventCapacity {
+    constructor(options = {}) {
+        this.file = options.file || process.env.CAPACITY_CONFIG || DEFAULT_CONFIG_FILE;
+        this.config = options.config || this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return { defaultCapacity: null, setups: {}, events: {} };
+        }
+
+        const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return { defaultCapacity: null, setups: {}, events: {}, ...config };
+    }
+
+    // The configured override for an event, as { capacity, setup } or null
+    override(event) {
+        const entry = this.config.events[event.id] ?? (event.slug ? this.config.events[event.slug] : undefined);
+        if (entry === undefined || entry === null) return null;
+
+        if (typeof entry === 'number') return { capacity: entry, setup: null };
+
+        const setup = typeof entry === 'string' ? entry : entry.setup || null;
+        const capacity = typeof entry === 'object' && entry.capacity != null ? entry.capacity : this.config.setups[setup];
+        if (capacity == null) {
+            throw new Error(`${this.file}: event ${event.id} uses unknown setup "${setup}"`);
+        }
+        return { capacity, setup };
+    }
+
+    // Seats for an event and where that number came from: the config override, the RSVP
+    // limit, the ticket definitions' limits (only if every ticket type is limited), or the default
+    forEvent(event, definitions = []) {
+        const override = this.override(event);
+        if (override) {
+            return { ...override, source: 'config' };
+        }
+
+        const rsvpLimit = event.registration?.rsvpCollection?.config?.limit;
+        if (event.registration?.type === 'RSVP' && rsvpLimit) {
+            return { capacity: rsvpLimit, setup: null, source: 'rsvp-limit' };
+        }
+
+        if (definitions.length > 0 && definitions.every(definition => definition.limited && definition.limit)) {
+            const capacity = definitions.reduce((sum, definition) => sum + definition.limit, 0);
+            return { capacity, setup: null, source: 'ticket-limits' };
+        }
+
+        if (this.config.defaultCapacity) {
+            return { capacity: this.config.defaultCapacity, setup: null, source: 'default' };
+        }
+
+        return { capacity: null, setup: null, source: null };
+    }
+}
+
+// Percent of capacity sold (0-100, one decimal) and seats left; nulls when capacity is unknown
+function occupancy(capacity, sold) {
+    if (!capacity) {
+        return { percentSold: null, remaining: null };
+    }
+
+    return {
+        percentSold: Math.round(sold / capacity * 1000) / 10,
+        remaining: Math.max(0, capacity - sold)
+    };
+}
+
+module.exports = EventCapacity;
+module.exports.occupancy = occupancy;
@@ -0,0 +1,76 @@
+// capacity.test.js - Where an event's seat count comes from, and percent sold against it (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventCapacity = require('./capacity');
+const { occupancy } = EventCapacity;
+
+const config = {
+    defaultCapacity: 50,
+    setups: { seated: 60, standing: 120 },
+    events: {
+        'fixed-id': 80,
+        'standing-slug': 'standing',
+        'object-setup': { setup: 'seated' },
+        'object-capacity': { setup: 'seated', capacity: 45 },
+        'mystery-setup': 'cabaret',
+        'not-overridden': null
+    }
+};
+const capacity = new EventCapacity({ config, file: 'capacity.json' });
+
+const rsvp = (id, limit) => ({ id, registration: { type: 'RSVP', rsvpCollection: { config: { limit } } } });
+const limited = limit => ({ limited: true, limit });
+
+test('a config override wins, by event id or slug, as seats, a setup name or an object', () => {
+    assert.deepEqual(capacity.forEvent({ id: 'fixed-id' }), { capacity: 80, setup: null, source: 'config' });
+    assert.deepEqual(capacity.forEvent({ id: 'other', slug: 'standing-slug' }), { capacity: 120, setup: 'standing', source: 'config' });
+    assert.deepEqual(capacity.forEvent({ id: 'object-setup' }), { capacity: 60, setup: 'seated', source: 'config' });
+    assert.deepEqual(capacity.forEvent({ id: 'object-capacity' }), { capacity: 45, setup: 'seated', source: 'config' });
+
+    // Even over what Wix says
+    assert.equal(capacity.forEvent(rsvp('fixed-id', 30), [limited(10)]).capacity, 80);
+
+    assert.throws(() => capacity.forEvent({ id: 'mystery-setup' }), /capacity\.json: event mystery-setup uses unknown setup "cabaret"/);
+});
+
+test('without an override: the RSVP limit, then ticket limits when every type has one, then the default', () => {
+    assert.deepEqual(capacity.forEvent(rsvp('rsvp-night', 40)), { capacity: 40, setup: null, source: 'rsvp-limit' });
+    assert.deepEqual(capacity.forEvent({ id: 'not-overridden' }, [limited(20), limited(15)]), { capacity: 35, setup: null, source: 'ticket-limits' });
+
+    // An unlimited ticket type (or an RSVP without a limit) says nothing about the room
+    assert.deepEqual(capacity.forEvent({ id: 'show' }, [limited(20), { limited: false }]), { capacity: 50, setup: null, source: 'default' });
+    assert.deepEqual(capacity.forEvent(rsvp('open-rsvp', undefined)), { capacity: 50, setup: null, source: 'default' });
+
+    const unknown = new EventCapacity({ config: { defaultCapacity: null, setups: {}, events: {} } });
+    assert.deepEqual(unknown.forEvent({ id: 'show' }), { capacity: null, setup: null, source: null });
+});
+
+test('the config file comes from options.file or CAPACITY_CONFIG, and is optional', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capacity-'));
+    const saved = process.env.CAPACITY_CONFIG;
+    t.after(() => {
+        if (saved === undefined) delete process.env.CAPACITY_CONFIG;
+        else process.env.CAPACITY_CONFIG = saved;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const file = path.join(dir, 'capacity.json');
+    fs.writeFileSync(file, JSON.stringify({ setups: { seated: 70 }, events: { show: 'seated' } }));
+    process.env.CAPACITY_CONFIG = file;
+
+    const fromEnv = new EventCapacity();
+    assert.deepEqual(fromEnv.config, { defaultCapacity: null, setups: { seated: 70 }, events: { show: 'seated' } });
+    assert.equal(fromEnv.forEvent({ id: 'show' }).capacity, 70);
+
+    assert.deepEqual(new EventCapacity({ file: path.join(dir, 'missing.json') }).config, { defaultCapacity: null, setups: {}, events: {} });
+});
+
+test('occupancy is percent sold to one decimal and seats left, never negative', () => {
+    assert.deepEqual(occupancy(60, 20), { percentSold: 33.3, remaining: 40 });
+    assert.deepEqual(occupancy(60, 75), { percentSold: 125, remaining: 0 });
+    assert.deepEqual(occupancy(null, 20), { percentSold: null, remaining: null });
+    assert.deepEqual(occupancy(0, 0), { percentSold: null, remaining: null });
+});
@@ -0,0 +1,243 @@
+// check-ins.js - Check-in counts, no-show rates and arrival times from Wix ticket and RSVP check-ins
+require('dotenv').config();
+const DataStore = require('./data-store');
+const PastEventAnalytics = require('./past-events');
+
+const MINUTE_MS = 60 * 1000;
+// Groups need this many scanned events before their no-show rate drives overbooking advice
+const MIN_EVENTS_FOR_ADVICE = 3;
+
+// How long before showtime people got through the door; the first bucket that fits wins
+const ARRIVAL_BUCKETS = [
+    { label: '60+ min early', minEarly: 60 },
+    { label: '30-60 min early', minEarly: 30 },
+    { label: '15-30 min early', minEarly: 15 },
+    { label: '0-15 min early', minEarly: 0 },
+    { label: 'after start', minEarly: -Infinity }
+];
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+
+// "12 min before start" / "7 min after start"
+const describeArrival = minutesEarly => (minutesEarly >= 0 ?
+    `${minutesEarly} min before start` :
+    `${-minutesEarly} min after start`);
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class CheckInAnalytics {
+    constructor(options = {}) {
+        // Past events and their tickets/RSVPs come from the past-event analytics
+        this.analytics = options.analytics || new PastEventAnalytics(options);
+    }
+
+    // One entry per expected guest: free or paid, and when (if ever) they checked in.
+    // RSVP guests arrive together, so every guest on an RSVP shares its check-in.
+    attendees(event, { tickets, rsvps }) {
+        if (event.registration?.type === 'RSVP') {
+            return rsvps
+                .filter(rsvp => rsvp.status === 'GOING')
+                .flatMap(rsvp => Array(rsvp.totalGuests || 1).fill({ free: true, checkedInAt: rsvp.checkIn?.created || null }));
+        }
+
+        return tickets
+            .filter(ticket => ticket.orderStatus !== 'CANCELED' && !ticket.archived)
+            .map(ticket => ({ free: Boolean(ticket.free), checkedInAt: ticket.checkIn?.created || null }));
+    }
+
+    // Check-ins for one past event; events nobody was scanned into are marked unscanned
+    // since that means the door didn't use check-in, not that everyone stayed home
+    eventCheckIns(event, data) {
+        const start = new Date(event.scheduling?.config?.startDate);
+        const attendees = this.attendees(event, data).map(attendee => ({
+            ...attendee,
+            minutesEarly: attendee.checkedInAt ? Math.round((start - new Date(attendee.checkedInAt)) / MINUTE_MS) : null
+        }));
+        const checkedIn = attendees.filter(attendee => attendee.checkedInAt).length;
+
+        return {
+            eventId: event.id,
+            title: event.title,
+            date: event.scheduling?.formatted,
+            type: this.analytics.categories.categorize(event),
+            admission: attendees.length > 0 && attendees.every(attendee => attendee.free) ? 'free' : 'paid',
+            expected: attendees.length,
+            checkedIn,
+            noShows: attendees.length - checkedIn,
+            noShowRate: attendees.length > 0 ? round1((attendees.length - checkedIn) / attendees.length * 100) : null,
+            scanned: checkedIn > 0,
+            medianMinutesEarly: checkedIn > 0 ? median(attendees.filter(a => a.checkedInAt).map(a => a.minutesEarly)) : null,
+            attendees
+        };
+    }
+
+    // No-show rate and arrival spread for a set of scanned events
+    summarize(events) {
+        const scanned = events.filter(event => event.scanned);
+        const attendees = scanned.flatMap(event => event.attendees);
+        const arrived = attendees.filter(attendee => attendee.checkedInAt);
+        const noShowRate = attendees.length > 0 ? (attendees.length - arrived.length) / attendees.length : null;
+
+        const arrivals = ARRIVAL_BUCKETS.map(bucket => ({ label: bucket.label, count: 0, percent: 0 }));
+        arrived.forEach(attendee => {
+            arrivals[ARRIVAL_BUCKETS.findIndex(bucket => attendee.minutesEarly >= bucket.minEarly)].count++;
+        });
+        arrivals.forEach(bucket => { bucket.percent = arrived.length > 0 ? round1(bucket.count / arrived.length * 100) : 0; });
+
+        return {
+            events: scanned.length,
+            unscannedEvents: events.length - scanned.length,
+            expected: attendees.length,
+            checkedIn: arrived.length,
+            noShows: attendees.length - arrived.length,
+            noShowRate: noShowRate !== null ? round1(noShowRate * 100) : null,
+            medianMinutesEarly: arrived.length > 0 ? median(arrived.map(attendee => attendee.minutesEarly)) : null,
+            arrivals,
+            // How far past capacity to take RSVPs so the room fills once no-shows are counted
+            overbookFactor: scanned.length >= MIN_EVENTS_FOR_ADVICE && noShowRate !== null && noShowRate < 1 ?
+                round2(1 / (1 - noShowRate)) :
+                null
+        };
+    }
+
+    // Only the free or only the paid guests of each event, so a paid concert
+    // with a few comps counts each ticket where it belongs
+    onlyAdmission(events, admission) {
+        return events
+            .map(event => ({ ...event, attendees: event.attendees.filter(attendee => attendee.free === (admission === 'free')) }))
+            .filter(event => event.attendees.length > 0);
+    }
+
+    byAdmission(events) {
+        return ['free', 'paid'].map(admission => ({ admission, ...this.summarize(this.onlyAdmission(events, admission)) }));
+    }
+
+    byType(events) {
+        const types = [...new Set(events.map(event => event.type))].sort();
+        return types.map(type => ({ type, ...this.summarize(events.filter(event => event.type === type)) }));
+    }
+
+    // Overbooking only makes sense for free RSVPs, so advice comes from free guests' no-shows per type
+    rsvpOverbooking(events) {
+        return this.byType(this.onlyAdmission(events, 'free'))
+            .filter(group => group.overbookFactor && group.overbookFactor > 1)
+            .map(group => ({ type: group.type, events: group.events, noShowRate: group.noShowRate, overbookFactor: group.overbookFactor }));
+    }
+
+    // Largest RSVP count to allow for a room of `capacity`, given its type's overbooking advice
+    suggestedRsvpLimit(capacity, advice) {
+        if (!capacity || !advice?.overbookFactor) return null;
+        return Math.floor(capacity * advice.overbookFactor);
+    }
+
+    async getCheckIns({ from = null, limit = Infinity } = {}) {
+        try {
+            const { events, dataByEvent } = await this.analytics.getPerformances({ from, limit });
+            const checkIns = events.map(event => this.eventCheckIns(event, dataByEvent.get(event.id)));
+
+            return {
+                success: true,
+                totals: this.summarize(checkIns),
+                byType: this.byType(checkIns),
+                byAdmission: this.byAdmission(checkIns),
+                rsvpOverbooking: this.rsvpOverbooking(checkIns),
+                // Per-guest detail stays internal; it's large and only feeds the roll-ups
+                events: checkIns.map(({ attendees, ...event }) => event),
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error analyzing check-ins:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    printSummary(label, summary) {
+        if (summary.events === 0) {
+            console.log(`   ${label.padEnd(12)} no scanned events`);
+            return;
+        }
+
+        const early = summary.medianMinutesEarly !== null ? ` | median arrival ${describeArrival(summary.medianMinutesEarly)}` : '';
+        console.log(`   ${label.padEnd(12)} ${summary.noShowRate}% no-shows (${summary.noShows}/${summary.expected}) over ${summary.events} events${early}`);
+    }
+
+    async printReport(options = {}) {
+        const result = await this.getCheckIns(options);
+        if (!result.success) {
+            console.log('❌ Error analyzing check-ins:', result.error);
+            return;
+        }
+
+        const { totals } = result;
+        console.log('\n🚪 THE LISTENING BOOTH - CHECK-INS AND NO-SHOWS');
+        console.log('================================================');
+        console.log(`📊 ${totals.checkedIn} of ${totals.expected} guests checked in across ${totals.events} events (${totals.noShowRate}% no-shows)`);
+        if (totals.unscannedEvents > 0) {
+            console.log(`   ${totals.unscannedEvents} events had no check-ins at all and are left out`);
+        }
+
+        console.log('\n⏰ Arrival times');
+        totals.arrivals.forEach(bucket => {
+            console.log(`   ${bucket.label.padEnd(16)} ${'█'.repeat(Math.round(bucket.percent / 4)).padEnd(25)} ${bucket.percent}%`);
+        });
+
+        console.log('\n🎟️  Free vs paid');
+        result.byAdmission.forEach(group => this.printSummary(group.admission, group));
+
+        console.log('\n🎭 By event type');
+        result.byType.forEach(group => this.printSummary(group.type, group));
+
+        if (result.rsvpOverbooking.length > 0) {
+            console.log('\n📋 RSVP overbooking guidance (free guests only)');
+            result.rsvpOverbooking.forEach(advice => {
+                console.log(`   ${advice.type}: ${advice.noShowRate}% no-shows, take RSVPs up to ${advice.overbookFactor}× capacity (e.g. ${this.suggestedRsvpLimit(50, advice)} for a 50-seat room)`);
+            });
+        }
+
+        console.log('\n🎫 Per event');
+        result.events.forEach(event => {
+            const status = event.scanned ?
+                `${event.checkedIn}/${event.expected} checked in (${event.noShowRate}% no-shows), median arrival ${describeArrival(event.medianMinutesEarly)}` :
+                `${event.expected} expected, no check-ins recorded`;
+            console.log(`   ${event.title} (${event.date}) - ${status}`);
+        });
+    }
+}
+
+// Command line interface
+async function main() {
+    try {
+        const args = process.argv.slice(2).filter(arg => arg !== '--store');
+        const store = process.argv.includes('--store') ? new DataStore() : null;
+        const checkIns = new CheckInAnalytics({ client: store ? null : undefined, store });
+        const command = args[0] || 'report';
+
+        switch (command.toLowerCase()) {
+            case 'report':
+                await checkIns.printReport({
+                    limit: parseInt(args[1]) || Infinity,
+                    from: args[2] ? new Date(args[2]) : null
+                });
+                break;
+
+            default:
+                console.log('Usage: node check-ins.js report [number] [from] [--store]');
+                console.log('  report [number] [from] - Check-ins for the last N past events (optionally since YYYY-MM-DD)');
+                console.log('  --store                - Use the local synced data instead of calling Wix');
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+    }
+}
+
+module.exports = CheckInAnalytics;
+module.exports.ARRIVAL_BUCKETS = ARRIVAL_BUCKETS;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,113 @@
+// check-ins.test.js - No-show rates, arrival times and RSVP overbooking advice from ticket and RSVP check-ins (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CheckInAnalytics = require('./check-ins');
+
+const MINUTE_MS = 60 * 1000;
+
+const event = (id, type, startDate, registrationType = 'TICKETS') => ({
+    id,
+    title: id,
+    type,
+    registration: { type: registrationType },
+    scheduling: { config: { startDate }, formatted: startDate.slice(0, 10) }
+});
+// Checked in `minutesEarly` before the show started, or never (null)
+const checkIn = (show, minutesEarly) => (minutesEarly === null ? undefined :
+    { created: new Date(new Date(show.scheduling.config.startDate).getTime() - minutesEarly * MINUTE_MS).toISOString() });
+const ticket = (show, minutesEarly, extra = {}) => ({ orderStatus: 'PAID', checkIn: checkIn(show, minutesEarly), ...extra });
+const rsvp = (show, minutesEarly, totalGuests, status = 'GOING') => ({ status, totalGuests, checkIn: checkIn(show, minutesEarly) });
+
+const concert1 = event('concert-1', 'Concert', '2026-02-01T00:00:00.000Z');
+const concert2 = event('concert-2', 'Concert', '2026-02-08T00:00:00.000Z');
+const concert3 = event('concert-3', 'Concert', '2026-02-15T00:00:00.000Z');
+const jam1 = event('jam-1', 'Jam', '2026-02-02T00:00:00.000Z', 'RSVP');
+const jam2 = event('jam-2', 'Jam', '2026-02-09T00:00:00.000Z', 'RSVP');
+const jam3 = event('jam-3', 'Jam', '2026-02-16T00:00:00.000Z', 'RSVP');
+
+const data = new Map([
+    // 4 paid tickets (3 scanned) and a comp; canceled and archived tickets aren't expected
+    [concert1.id, { tickets: [
+        ticket(concert1, 45), ticket(concert1, 20), ticket(concert1, 5), ticket(concert1, null),
+        ticket(concert1, 70, { free: true }),
+        ticket(concert1, null, { orderStatus: 'CANCELED' }), ticket(concert1, null, { archived: true })
+    ], rsvps: [] }],
+    [concert2.id, { tickets: [ticket(concert2, 10), ticket(concert2, -5)], rsvps: [] }],
+    // Nobody scanned: the door didn't use check-in
+    [concert3.id, { tickets: [ticket(concert3, null), ticket(concert3, null)], rsvps: [] }],
+    // Guests on an RSVP arrive together; only GOING RSVPs are expected
+    [jam1.id, { tickets: [], rsvps: [rsvp(jam1, 15, 2), rsvp(jam1, null, 1), rsvp(jam1, null, 3, 'NOT_GOING')] }],
+    [jam2.id, { tickets: [], rsvps: [rsvp(jam2, 0, 2), rsvp(jam2, null, 2)] }],
+    [jam3.id, { tickets: [], rsvps: [rsvp(jam3, 30)] }]
+]);
+
+// Stands in for PastEventAnalytics: the past events and their tickets/RSVPs
+const analytics = {
+    categories: { categorize: show => show.type },
+    getPerformances: async () => ({ events: [concert1, concert2, concert3, jam1, jam2, jam3], dataByEvent: data })
+};
+
+test('per-event check-ins count expected guests, no-shows and median arrival', () => {
+    const checkIns = new CheckInAnalytics({ analytics });
+
+    const { attendees, ...concert } = checkIns.eventCheckIns(concert1, data.get(concert1.id));
+    assert.equal(attendees.length, 5);
+    assert.deepEqual(concert, {
+        eventId: 'concert-1',
+        title: 'concert-1',
+        date: '2026-02-01',
+        type: 'Concert',
+        admission: 'paid',
+        expected: 5,
+        checkedIn: 4,
+        noShows: 1,
+        noShowRate: 20,
+        scanned: true,
+        medianMinutesEarly: 32.5
+    });
+
+    const jam = checkIns.eventCheckIns(jam1, data.get(jam1.id));
+    assert.deepEqual([jam.admission, jam.expected, jam.checkedIn, jam.medianMinutesEarly], ['free', 3, 2, 15]);
+
+    const unscanned = checkIns.eventCheckIns(concert3, data.get(concert3.id));
+    assert.deepEqual([unscanned.scanned, unscanned.noShowRate, unscanned.medianMinutesEarly], [false, 100, null]);
+});
+
+test('getCheckIns leaves unscanned events out of the roll-ups and advises overbooking free RSVPs', async () => {
+    const checkIns = new CheckInAnalytics({ analytics });
+    const result = await checkIns.getCheckIns();
+    assert.ok(result.success, result.error);
+
+    assert.deepEqual(result.totals, {
+        events: 5,
+        unscannedEvents: 1,
+        expected: 15,
+        checkedIn: 11,
+        noShows: 4,
+        noShowRate: 26.7,
+        medianMinutesEarly: 15,
+        arrivals: [
+            { label: '60+ min early', count: 1, percent: 9.1 },
+            { label: '30-60 min early', count: 2, percent: 18.2 },
+            { label: '15-30 min early', count: 3, percent: 27.3 },
+            { label: '0-15 min early', count: 4, percent: 36.4 },
+            { label: 'after start', count: 1, percent: 9.1 }
+        ],
+        overbookFactor: 1.36
+    });
+
+    // The comp at concert-1 counts as free; its paid tickets as paid
+    const admission = result.byAdmission.map(group => [group.admission, group.events, group.unscannedEvents, group.expected, group.checkedIn]);
+    assert.deepEqual(admission, [['free', 4, 0, 9, 6], ['paid', 2, 1, 6, 5]]);
+
+    const types = result.byType.map(group => [group.type, group.events, group.noShowRate, group.overbookFactor]);
+    assert.deepEqual(types, [['Concert', 2, 14.3, null], ['Jam', 3, 37.5, 1.6]]);
+
+    // Only the jams have enough scanned free events to advise on; the one comp doesn't
+    assert.deepEqual(result.rsvpOverbooking, [{ type: 'Jam', events: 3, noShowRate: 37.5, overbookFactor: 1.6 }]);
+    assert.equal(checkIns.suggestedRsvpLimit(50, result.rsvpOverbooking[0]), 80);
+    assert.equal(checkIns.suggestedRsvpLimit(null, result.rsvpOverbooking[0]), null);
+
+    assert.equal(result.events.length, 6);
+    assert.ok(result.events.every(show => !('attendees' in show)));
+});
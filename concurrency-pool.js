@@ -0,0 +1,92 @@
+// concurrency-pool.js - Runs per-event API work a few at a time, adapting to Wix rate limits
+require('dotenv').config();
+
+class ConcurrencyPool {
+    constructor(options = {}) {
+        this.min = options.min ?? 1;
+        this.max = options.max ?? (parseInt(process.env.WIX_MAX_CONCURRENCY) || 8);
+        this.limit = this.clamp(options.concurrency ?? (parseInt(process.env.WIX_CONCURRENCY) || 3));
+        // Successful responses in a row before we allow one more request in flight
+        this.increaseAfter = options.increaseAfter ?? 5;
+
+        this.active = 0;
+        this.waiting = [];
+        this.successStreak = 0;
+    }
+
+    clamp(value) {
+        return Math.max(this.min, Math.min(this.max, value));
+    }
+
+    // Follow a WixClient's responses: speed up while it gets 200s, back off on 429s
+    watch(client) {
+        client.on('response', () => this.recordSuccess());
+        client.on('rateLimit', () => this.recordRateLimit());
+        return this;
+    }
+
+    recordSuccess() {
+        this.successStreak++;
+        if (this.successStreak >= this.increaseAfter && this.limit < this.max) {
+            this.limit++;
+            this.successStreak = 0;
+            this.drain();
+        }
+    }
+
+    // Halve on a 429 (requests already in flight finish; new ones wait for a free slot)
+    recordRateLimit() {
+        this.successStreak = 0;
+        this.limit = this.clamp(Math.floor(this.limit / 2));
+    }
+
+    async acquire() {
+        if (this.active < this.limit) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        this.active--;
+        this.drain();
+    }
+
+    drain() {
+        while (this.waiting.length > 0 && this.active < this.limit) {
+            this.active++;
+            this.waiting.shift()();
+        }
+    }
+
+    // Run worker(item, index) for every item; results come back in input order
+    async run(items, worker, { onProgress } = {}) {
+        let completed = 0;
+        const tasks = [];
+
+        for (let index = 0; index < items.length; index++) {
+            await this.acquire();
+
+            const task = (async () => {
+                try {
+                    const result = await worker(items[index], index);
+                    completed++;
+                    if (onProgress) {
+                        onProgress({ completed, total: items.length, item: items[index], result, concurrency: this.limit });
+                    }
+                    return result;
+                } finally {
+                    this.release();
+                }
+            })();
+            // Failures surface through Promise.all below, not as unhandled rejections while we wait
+            task.catch(() => {});
+            tasks.push(task);
+        }
+
+        return Promise.all(tasks);
+    }
+}
+
+module.exports = ConcurrencyPool;
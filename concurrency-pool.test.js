@@ -0,0 +1,82 @@
+// concurrency-pool.test.js - Bounded, adaptive concurrency for per-event Wix calls (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const ConcurrencyPool = require('./concurrency-pool');
+
+const tick = (ms = 1) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('run keeps at most `concurrency` workers in flight and returns results in input order', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 3, max: 8 });
+    let inFlight = 0;
+    let peak = 0;
+    const progress = [];
+
+    const results = await pool.run([5, 1, 4, 2, 3, 1, 2], async (ms, index) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await tick(ms);
+        inFlight--;
+        return index * 10;
+    }, { onProgress: ({ completed, total }) => progress.push(`${completed}/${total}`) });
+
+    assert.deepEqual(results, [0, 10, 20, 30, 40, 50, 60]);
+    assert.equal(peak, 3);
+    assert.deepEqual(progress, ['1/7', '2/7', '3/7', '4/7', '5/7', '6/7', '7/7']);
+    assert.equal(pool.active, 0);
+});
+
+test('a watched client speeds the pool up on success and halves it on a 429, within min and max', () => {
+    const client = new EventEmitter();
+    const pool = new ConcurrencyPool({ concurrency: 3, min: 1, max: 5, increaseAfter: 2 }).watch(client);
+
+    for (let i = 0; i < 10; i++) client.emit('response', {});
+    assert.equal(pool.limit, 5);
+
+    client.emit('rateLimit', {});
+    assert.equal(pool.limit, 2);
+    client.emit('rateLimit', {});
+    client.emit('rateLimit', {});
+    assert.equal(pool.limit, 1);
+
+    // The streak starts over after a 429
+    client.emit('response', {});
+    assert.equal(pool.limit, 1);
+    client.emit('response', {});
+    assert.equal(pool.limit, 2);
+
+    assert.equal(new ConcurrencyPool({ concurrency: 20, max: 8 }).limit, 8);
+});
+
+test('after a 429 new work waits until in-flight requests drop below the lower limit', async () => {
+    const client = new EventEmitter();
+    const pool = new ConcurrencyPool({ concurrency: 4, max: 4, increaseAfter: 100 }).watch(client);
+    let inFlight = 0;
+    const started = [];
+
+    await pool.run(Array.from({ length: 8 }, (_, index) => index), async (index) => {
+        started.push(inFlight);
+        inFlight++;
+        if (index === 3) client.emit('rateLimit', {});
+        await tick(5);
+        inFlight--;
+    });
+
+    // Four start together, then the limit is 2: nothing else starts with more than one still running
+    assert.deepEqual(started.slice(0, 4), [0, 1, 2, 3]);
+    assert.ok(started.slice(4).every(running => running <= 1), started.join(','));
+    assert.equal(pool.limit, 2);
+});
+
+test('a failing worker rejects run and frees its slot', async () => {
+    const pool = new ConcurrencyPool({ concurrency: 2 });
+    await assert.rejects(() => pool.run([1, 2, 3], async (value) => {
+        await tick(value);
+        if (value === 2) throw new Error('boom');
+        return value;
+    }), /boom/);
+
+    await tick(10);
+    assert.equal(pool.active, 0);
+    assert.deepEqual(await pool.run(['a', 'b'], async value => value.toUpperCase()), ['A', 'B']);
+});
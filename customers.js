@@ -0,0 +1,319 @@
+// customers.js - One customer table across events from orders, RSVPs and bookings: visits, spend and favorite types
+require('dotenv').config();
+const DataStore = require('./data-store');
+const WixClient = require('./wix-client');
+const PastEventAnalytics = require('./past-events');
+const { orderRevenue } = require('./revenue');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Someone who has been to this many events is a regular
+const REGULAR_EVENTS = 3;
+const SORTS = ['lastVisit', 'firstVisit', 'events', 'spend', 'name'];
+
+const normalizeEmail = email => (email ? email.trim().toLowerCase() : null);
+
+// Who a raw order, RSVP or booking belongs to
+function personOf(source, record) {
+    if (source === 'orders') {
+        return {
+            contactId: record.contactId || null,
+            email: normalizeEmail(record.email),
+            name: record.fullName || [record.firstName, record.lastName].filter(Boolean).join(' ')
+        };
+    }
+    if (source === 'rsvps') {
+        return {
+            contactId: record.contactId || null,
+            email: normalizeEmail(record.email || record.contactDetails?.email),
+            name: [record.firstName, record.lastName].filter(Boolean).join(' ') || record.contactDetails?.name || ''
+        };
+    }
+    const contact = record.contactDetails || {};
+    return {
+        contactId: contact.contactId || null,
+        email: normalizeEmail(contact.email),
+        name: [contact.firstName, contact.lastName].filter(Boolean).join(' ')
+    };
+}
+
+// Orders that weren't canceled, GOING RSVPs and confirmed bookings hold a seat
+function holdsSeat(source, record) {
+    if (source === 'orders') return record.status !== 'CANCELED';
+    if (source === 'rsvps') return (record.status || 'GOING') === 'GOING';
+    return (record.status || 'CONFIRMED') === 'CONFIRMED';
+}
+
+class CustomerDirectory {
+    constructor(options = {}) {
+        // The table is built from the synced events, orders, RSVPs and bookings, and saved next to them,
+        // so it needs no Wix client unless one is passed in
+        this.store = options.store || new DataStore();
+        this.analytics = options.analytics || new PastEventAnalytics({ ...options, client: options.client || null, store: this.store });
+        this.categories = this.analytics.categories;
+    }
+
+    // Every person across all events. The same person often shows up with several Wix
+    // contacts (one per checkout) but the same email, or the other way round, so a record
+    // joins everyone sharing either its contact or its email.
+    buildCustomers(events, dataByEvent) {
+        const now = this.analytics.now();
+        const people = [];
+        const byKey = new Map();
+
+        const merge = (keep, other) => {
+            keep.records.push(...other.records);
+            other.emails.forEach(email => keep.emails.add(email));
+            other.contactIds.forEach(contactId => keep.contactIds.add(contactId));
+            [...other.emails, ...other.contactIds].forEach(key => byKey.set(key, keep));
+            people.splice(people.indexOf(other), 1);
+        };
+
+        const records = [];
+        events.forEach(event => {
+            const data = dataByEvent.get(event.id);
+            ['orders', 'rsvps', 'bookings'].forEach(source => {
+                data[source].forEach(record => records.push({ source, record, event }));
+            });
+        });
+        // Oldest first, so names and the customer id come from the earliest record
+        const createdAt = ({ record }) => new Date(record.created || record.createdDate || 0);
+        records.sort((a, b) => createdAt(a) - createdAt(b));
+
+        records.forEach(entry => {
+            const person = personOf(entry.source, entry.record);
+            const keys = [person.email, person.contactId && `contact:${person.contactId}`].filter(Boolean);
+            if (keys.length === 0) return;
+
+            const matches = [...new Set(keys.map(key => byKey.get(key)).filter(Boolean))];
+            let customer = matches[0];
+            if (!customer) {
+                customer = { emails: new Set(), contactIds: new Set(), records: [], name: '' };
+                people.push(customer);
+            }
+            matches.slice(1).forEach(other => merge(customer, other));
+
+            if (person.email) customer.emails.add(person.email);
+            if (person.contactId) customer.contactIds.add(`contact:${person.contactId}`);
+            keys.forEach(key => byKey.set(key, customer));
+            customer.name = person.name || customer.name;
+            customer.records.push({ ...entry, person });
+        });
+
+        return people.map(customer => this.summarizeCustomer(customer, now));
+    }
+
+    // Visits, spend and favorite types for one person's orders, RSVPs and bookings
+    summarizeCustomer(customer, now) {
+        const visits = new Map();
+        let spend = 0;
+
+        customer.records.forEach(({ source, record, event }) => {
+            if (source === 'orders') {
+                const revenue = orderRevenue(record);
+                spend += revenue.gross - revenue.discounts - revenue.refunds;
+            }
+            if (!holdsSeat(source, record)) return;
+
+            const visit = visits.get(event.id) || {
+                eventId: event.id,
+                title: event.title,
+                date: event.scheduling?.formatted,
+                startDate: event.scheduling?.config?.startDate || null,
+                type: this.categories.categorize(event),
+                via: []
+            };
+            if (!visit.via.includes(source)) visit.via.push(source);
+            visits.set(event.id, visit);
+        });
+
+        const all = [...visits.values()].sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+        const past = all.filter(visit => new Date(visit.startDate) <= now);
+        const typeCounts = {};
+        past.forEach(visit => { typeCounts[visit.type] = (typeCounts[visit.type] || 0) + 1; });
+        const emails = [...customer.emails];
+        const contactIds = [...customer.contactIds].map(key => key.replace(/^contact:/, ''));
+
+        return {
+            id: emails[0] || `contact:${contactIds[0]}`,
+            name: customer.name || null,
+            email: emails[0] || null,
+            emails,
+            contactIds,
+            firstVisit: past[0]?.startDate || null,
+            lastVisit: past[past.length - 1]?.startDate || null,
+            eventsAttended: past.length,
+            upcomingEvents: all.length - past.length,
+            lifetimeSpend: Math.round(spend) / 100,
+            eventTypes: typeCounts,
+            favoriteTypes: Object.entries(typeCounts)
+                .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                .slice(0, 3)
+                .map(([type]) => type),
+            events: all
+        };
+    }
+
+    // Rebuild the customer table from the synced data and save it to the store
+    async build() {
+        try {
+            const events = await this.analytics.getEvents({ to: null });
+            const dataByEvent = await this.analytics.getEventData(events);
+            const customers = this.buildCustomers(events, dataByEvent);
+
+            const result = this.store.put('customers', customers);
+            const current = new Set(customers.map(customer => customer.id));
+            result.removed = this.store.remove('customers',
+                this.store.all('customers').filter(customer => !current.has(customer.id)).map(customer => customer.id));
+            this.store.setMeta('customersBuiltAt', new Date().toISOString());
+
+            return {
+                success: true,
+                customers: customers.length,
+                added: result.added.length,
+                updated: result.updated.length,
+                removed: result.removed.length
+            };
+        } catch (error) {
+            console.error('Error building customers:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Customers matching every filter given:
+    //   type       - came to at least one past event of this type ("Jam Session")
+    //   minEvents  - attended at least this many past events
+    //   lapsedDays - last visit was more than this many days ago
+    //   search     - name or email contains this text
+    async query({ type = null, minEvents = 0, lapsedDays = null, search = null, sort = 'lastVisit', limit = Infinity } = {}) {
+        try {
+            if (!SORTS.includes(sort)) {
+                throw new Error(`Unknown sort "${sort}" (expected ${SORTS.join(', ')})`);
+            }
+            // Event types match whatever the case, "jam session" finds "Jam Session"
+            const category = type && this.categories.all().find(category => category.name.toLowerCase() === type.toLowerCase());
+            if (type && !category) {
+                throw new Error(`Unknown event type "${type}" (expected ${this.categories.all().map(category => category.name).join(', ')})`);
+            }
+
+            if (this.store.all('customers').length === 0) {
+                const built = await this.build();
+                if (!built.success) throw new Error(built.error);
+            }
+
+            const now = this.analytics.now();
+            const text = search?.toLowerCase();
+            const matches = this.store.all('customers').filter(customer =>
+                customer.eventsAttended >= minEvents &&
+                (!category || customer.eventTypes[category.name] > 0) &&
+                (lapsedDays === null || (customer.lastVisit && now - new Date(customer.lastVisit) > lapsedDays * DAY_MS)) &&
+                (!text || (customer.name || '').toLowerCase().includes(text) || customer.emails.some(email => email.includes(text)))
+            );
+
+            const compare = {
+                lastVisit: (a, b) => new Date(b.lastVisit || 0) - new Date(a.lastVisit || 0),
+                firstVisit: (a, b) => new Date(a.firstVisit || 0) - new Date(b.firstVisit || 0),
+                events: (a, b) => b.eventsAttended - a.eventsAttended,
+                spend: (a, b) => b.lifetimeSpend - a.lifetimeSpend,
+                name: (a, b) => (a.name || a.email || '').localeCompare(b.name || b.email || '')
+            }[sort];
+
+            return {
+                success: true,
+                filters: { type: category?.name || null, minEvents, lapsedDays, search, sort },
+                total: matches.length,
+                customers: matches.sort(compare).slice(0, limit),
+                builtAt: this.store.getMeta('customersBuiltAt')
+            };
+        } catch (error) {
+            console.error('Error querying customers:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async printCustomers(title, options) {
+        const result = await this.query(options);
+        if (!result.success) {
+            console.log('❌ Error querying customers:', result.error);
+            return;
+        }
+
+        const day = iso => (iso ? iso.slice(0, 10) : '-');
+        console.log(`\n👥 THE LISTENING BOOTH - ${title.toUpperCase()}`);
+        console.log('================================================');
+        console.log(`${result.total} customer${result.total === 1 ? '' : 's'}${result.customers.length < result.total ? ` (showing ${result.customers.length})` : ''}\n`);
+
+        result.customers.forEach(customer => {
+            const upcoming = customer.upcomingEvents > 0 ? ` | ${customer.upcomingEvents} upcoming` : '';
+            console.log(`   ${customer.name || '(no name)'} <${customer.email || customer.contactIds[0]}>`);
+            console.log(`      ${customer.eventsAttended} events, ${day(customer.firstVisit)} to ${day(customer.lastVisit)} | $${customer.lifetimeSpend.toFixed(2)} spent${upcoming}` +
+                `${customer.favoriteTypes.length > 0 ? ` | likes ${customer.favoriteTypes.join(', ')}` : ''}`);
+        });
+    }
+}
+
+// Command line interface
+async function main() {
+    try {
+        const args = process.argv.slice(2);
+        // Everything comes from the store; a replay still needs its client for the recorded time
+        const directory = new CustomerDirectory({ client: process.env.WIX_API_MODE === 'replay' ? new WixClient() : null });
+        const command = args[0] || 'help';
+
+        switch (command.toLowerCase()) {
+            case 'build': {
+                console.log('👥 Building the customer table from synced data...');
+                const result = await directory.build();
+                if (result.success) {
+                    console.log(`✅ ${result.customers} customers (${result.added} new, ${result.updated} updated, ${result.removed} removed)`);
+                } else {
+                    console.log('❌ Error building customers:', result.error);
+                }
+                break;
+            }
+
+            case 'list':
+                await directory.printCustomers('Customers by last visit', { limit: parseInt(args[1]) || 25 });
+                break;
+
+            case 'regulars': {
+                const days = parseInt(args[1]) || 90;
+                const minEvents = parseInt(args[2]) || REGULAR_EVENTS;
+                await directory.printCustomers(`Regulars not back in ${days} days`, { minEvents, lapsedDays: days, sort: 'events' });
+                break;
+            }
+
+            case 'type': {
+                const type = args.slice(1).join(' ');
+                await directory.printCustomers(`Everyone who came to a ${type}`, { type, sort: 'events' });
+                break;
+            }
+
+            case 'top':
+                await directory.printCustomers('Top customers by spend', { sort: 'spend', limit: parseInt(args[1]) || 10 });
+                break;
+
+            case 'find':
+                await directory.printCustomers(`Customers matching "${args.slice(1).join(' ')}"`, { search: args.slice(1).join(' '), sort: 'name' });
+                break;
+
+            default:
+                console.log('Customers are built from the synced data (node wix-sync.js all)');
+                console.log('Available commands:');
+                console.log('  build                     - Rebuild the customer table from the synced data');
+                console.log('  list [number]             - Customers, most recent visit first');
+                console.log(`  regulars [days] [events]  - Regulars (${REGULAR_EVENTS}+ events) who haven't been back in [days] (default 90)`);
+                console.log('  type <event type>         - Everyone who came to an event of this type, e.g. "Jam Session"');
+                console.log('  top [number]              - Biggest lifetime spenders');
+                console.log('  find <text>               - Customers whose name or email contains the text');
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+    }
+}
+
+module.exports = CustomerDirectory;
+module.exports.REGULAR_EVENTS = REGULAR_EVENTS;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,129 @@
+// customers.test.js - The customer table: merging people across contacts and emails,
+// and building it from the store without Wix credentials (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('./data-store');
+const WixSync = require('./wix-sync');
+const CustomerDirectory = require('./customers');
+const { startMockWixServer, mockWixEnv } = require('./mock-wix-server');
+
+const run = promisify(execFile);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Just enough of a Wix event for the analytics
+const event = (id, title, startDate, extra = {}) => ({
+    id,
+    title,
+    status: 'SCHEDULED',
+    ...extra,
+    scheduling: {
+        formatted: startDate,
+        config: { startDate, timeZoneId: 'America/New_York', ...extra.config }
+    }
+});
+
+test('buildCustomers joins records that share a contact or an email', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'customers-'));
+    try {
+        const directory = new CustomerDirectory({ store: new DataStore({ dir }) });
+        const daysFromNow = days => new Date(Date.now() + days * DAY_MS).toISOString();
+        const created = days => daysFromNow(days - 60);
+        const events = [
+            event('e1', 'Wicked Sycamore', daysFromNow(-30)),
+            event('e2', 'Acoustic Open Mic Night', daysFromNow(-10)),
+            event('e3', 'Group Voice Lessons', daysFromNow(5))
+        ];
+        const data = {
+            e1: {
+                orders: [
+                    { contactId: 'A', email: 'sam@example.com', fullName: 'Sam Lee', status: 'PAID', created: created(1),
+                        ticketsQuantity: 1, invoice: { subTotal: { amount: '20.00', currency: 'USD' } } },
+                    { contactId: 'D', email: 'kim@example.com', firstName: 'Kim', status: 'PAID', created: created(2),
+                        ticketsQuantity: 1, invoice: { subTotal: { amount: '20.00', currency: 'USD' } } }
+                ],
+                rsvps: [{ email: 'pat@example.com', firstName: 'Pat', status: 'NOT_GOING', created: created(3) }],
+                bookings: []
+            },
+            e2: {
+                orders: [],
+                rsvps: [
+                    // Sam again from another checkout: a new contact, same email in another case
+                    { contactId: 'B', email: 'SAM@example.com ', firstName: 'Sam', status: 'GOING', created: created(4) },
+                    { email: 'pat@example.com', firstName: 'Pat', status: 'GOING', created: created(5) },
+                    // Kim under a contact with no email yet...
+                    { contactId: 'E', firstName: 'Kim', status: 'GOING', created: created(6) }
+                ],
+                bookings: []
+            },
+            e3: {
+                orders: [],
+                rsvps: [],
+                bookings: [
+                    { contactDetails: { contactId: 'B' }, createdDate: created(7) },
+                    // ...until this booking ties contact E to Kim's email, joining the two
+                    { contactDetails: { contactId: 'E', email: 'kim@example.com', firstName: 'Kim', lastName: 'Park' }, createdDate: created(8) }
+                ]
+            }
+        };
+        const dataByEvent = new Map(Object.entries(data).map(([id, records]) => [id, { tickets: [], definitions: [], ...records }]));
+
+        const customers = directory.buildCustomers(events, dataByEvent);
+        const byId = Object.fromEntries(customers.map(customer => [customer.id, customer]));
+        assert.deepEqual(Object.keys(byId).sort(), ['kim@example.com', 'pat@example.com', 'sam@example.com']);
+
+        const sam = byId['sam@example.com'];
+        assert.deepEqual(sam.emails, ['sam@example.com']);
+        assert.deepEqual(sam.contactIds.sort(), ['A', 'B']);
+        assert.deepEqual([sam.eventsAttended, sam.upcomingEvents, sam.lifetimeSpend], [2, 1, 20]);
+        assert.equal(sam.name, 'Sam');
+
+        const kim = byId['kim@example.com'];
+        assert.deepEqual(kim.contactIds.sort(), ['D', 'E']);
+        assert.deepEqual([kim.eventsAttended, kim.upcomingEvents, kim.lifetimeSpend], [2, 1, 20]);
+        assert.equal(kim.name, 'Kim Park');
+
+        // A NOT_GOING RSVP is a record but not a visit
+        const pat = byId['pat@example.com'];
+        assert.deepEqual(pat.events.map(visit => visit.eventId), ['e2']);
+        assert.equal(pat.firstVisit, events[1].scheduling.config.startDate);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('customers.js builds and lists from the store without Wix credentials', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'customers-'));
+    const server = await startMockWixServer();
+    try {
+        Object.assign(process.env, mockWixEnv(server));
+        const synced = await new WixSync({ store: new DataStore({ dir }) }).run({ scope: 'all' });
+        assert.ok(synced.success, synced.error);
+    } finally {
+        server.close();
+    }
+
+    try {
+        // No .env in the working directory and no Wix settings at all
+        const offline = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('WIX_')));
+        const customers = args => run(process.execPath, [path.join(__dirname, 'customers.js'), ...args], {
+            cwd: os.tmpdir(),
+            env: { ...offline, WIX_DATA_DIR: dir },
+            timeout: 120000
+        }).then(({ stdout }) => stdout);
+
+        const built = await customers(['build']);
+        const [count] = built.match(/✅ (\d+) customers/).slice(1).map(Number);
+        assert.ok(count > 0);
+
+        const listed = await customers(['list', '3']);
+        assert.match(listed, new RegExp(`^${count} customers \\(showing 3\\)$`, 'm'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,263 @@
+// data-store.js - Append-only on-disk store for synced Wix events, tickets, ticket definitions, orders, RSVPs and bookings,
+// plus the customer table built from them
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+const COLLECTIONS = ['events', 'tickets', 'definitions', 'orders', 'rsvps', 'bookings', 'customers'];
+// Rewrite a collection file once it holds this many times more lines than live records
+const COMPACT_RATIO = 3;
+
+class DataStore {
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.WIX_DATA_DIR || DEFAULT_DATA_DIR;
+        this.collections = null;
+        // collection -> eventId -> id -> record, so byEvent doesn't scan the whole collection
+        this.eventIndex = {};
+        this.lineCounts = {};
+        // Collections whose log ends in a torn line; the next append starts on a new line
+        this.torn = {};
+    }
+
+    file(name) {
+        return path.join(this.dir, name);
+    }
+
+    // Read every collection log into memory (last write for an id wins)
+    load() {
+        if (this.collections) return this;
+
+        this.collections = {};
+        COLLECTIONS.forEach(collection => {
+            const records = new Map();
+            let lines = 0;
+            const file = this.file(`${collection}.jsonl`);
+
+            if (fs.existsSync(file)) {
+                const content = fs.readFileSync(file, 'utf8');
+                this.torn[collection] = content.length > 0 && !content.endsWith('\n');
+                content.split('\n').forEach(line => {
+                    if (!line.trim()) return;
+                    lines++;
+
+                    let entry;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch (error) {
+                        // A crash mid-append leaves at most one torn line at the end; skip it
+                        return;
+                    }
+
+                    if (entry.op === 'delete') {
+                        records.delete(entry.id);
+                    } else {
+                        records.set(entry.id, entry.record);
+                    }
+                });
+            }
+
+            this.collections[collection] = records;
+            this.eventIndex[collection] = new Map();
+            records.forEach(record => this.indexRecord(collection, record));
+            this.lineCounts[collection] = lines;
+        });
+
+        return this;
+    }
+
+    records(collection) {
+        this.load();
+        if (!this.collections[collection]) {
+            throw new Error(`Unknown collection "${collection}" (expected ${COLLECTIONS.join(', ')})`);
+        }
+        return this.collections[collection];
+    }
+
+    indexRecord(collection, record) {
+        if (!record.eventId) return;
+        const index = this.eventIndex[collection];
+        if (!index.has(record.eventId)) index.set(record.eventId, new Map());
+        index.get(record.eventId).set(record.id, record);
+    }
+
+    unindexRecord(collection, record) {
+        const forEvent = record.eventId && this.eventIndex[collection].get(record.eventId);
+        if (!forEvent) return;
+        forEvent.delete(record.id);
+        if (forEvent.size === 0) this.eventIndex[collection].delete(record.eventId);
+    }
+
+    append(collection, entries) {
+        if (entries.length === 0) return;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        fs.appendFileSync(this.file(`${collection}.jsonl`), (this.torn[collection] ? '\n' : '') + lines);
+        this.torn[collection] = false;
+        this.lineCounts[collection] += entries.length;
+
+        if (this.lineCounts[collection] > Math.max(100, this.records(collection).size * COMPACT_RATIO)) {
+            this.compact(collection);
+        }
+    }
+
+    // Save records (each with an id); only new or changed ones are written
+    put(collection, records) {
+        const existing = this.records(collection);
+        const savedAt = new Date().toISOString();
+        const result = { added: [], updated: [], unchanged: 0 };
+        const entries = [];
+
+        records.forEach(record => {
+            const previous = existing.get(record.id);
+            if (previous && JSON.stringify(previous) === JSON.stringify(record)) {
+                result.unchanged++;
+                return;
+            }
+
+            (previous ? result.updated : result.added).push(record);
+            if (previous && previous.eventId !== record.eventId) this.unindexRecord(collection, previous);
+            existing.set(record.id, record);
+            this.indexRecord(collection, record);
+            entries.push({ op: 'put', id: record.id, record, at: savedAt });
+        });
+
+        this.append(collection, entries);
+        return result;
+    }
+
+    remove(collection, ids) {
+        const existing = this.records(collection);
+        const savedAt = new Date().toISOString();
+        const removed = ids.filter(id => {
+            const record = existing.get(id);
+            if (!record) return false;
+            this.unindexRecord(collection, record);
+            return existing.delete(id);
+        });
+
+        this.append(collection, removed.map(id => ({ op: 'delete', id, at: savedAt })));
+        return removed;
+    }
+
+    get(collection, id) {
+        return this.records(collection).get(id) || null;
+    }
+
+    all(collection) {
+        return [...this.records(collection).values()];
+    }
+
+    find(collection, predicate) {
+        return this.all(collection).filter(predicate);
+    }
+
+    byEvent(collection, eventId) {
+        this.records(collection);
+        return [...(this.eventIndex[collection].get(eventId)?.values() || [])];
+    }
+
+    // Events starting after `from` (and optionally up to `to`), soonest first
+    eventsBetween({ from = null, to = null, order = 'asc', limit = Infinity } = {}) {
+        const direction = order === 'desc' ? -1 : 1;
+
+        return this.find('events', event =>
+            (!from || new Date(event.startDate) > from) && (!to || new Date(event.startDate) <= to)
+        )
+            .sort((a, b) => (new Date(a.startDate) - new Date(b.startDate)) * direction)
+            .slice(0, limit);
+    }
+
+    // Rewrite a collection log with just its current records
+    compact(collection) {
+        const savedAt = new Date().toISOString();
+        const file = this.file(`${collection}.jsonl`);
+        const lines = this.all(collection).map(record => JSON.stringify({ op: 'put', id: record.id, record, at: savedAt }));
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        fs.renameSync(`${file}.tmp`, file);
+        this.lineCounts[collection] = lines.length;
+        this.torn[collection] = false;
+    }
+
+    // Small JSON documents next to the collections (sync times, the last report, ...)
+    readDocument(name) {
+        const file = this.file(`${name}.json`);
+        if (!fs.existsSync(file)) return null;
+
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    writeDocument(name, value) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const file = this.file(`${name}.json`);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(value, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    getMeta(key) {
+        return (this.readDocument('meta') || {})[key] ?? null;
+    }
+
+    setMeta(key, value) {
+        this.writeDocument('meta', { ...(this.readDocument('meta') || {}), [key]: value });
+    }
+
+    // Append-only logs that are read back in order rather than by id (e.g. sync changes)
+    appendLog(name, entries) {
+        if (entries.length === 0) return;
+
+        // Names may include a folder, e.g. history/<eventId>
+        const file = this.file(`${name}.jsonl`);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    // Newest `limit` entries, optionally only those with `at` after `since`
+    readLog(name, { since = null, limit = 100 } = {}) {
+        const file = this.file(`${name}.jsonl`);
+        if (!fs.existsSync(file)) return [];
+
+        const entries = fs.readFileSync(file, 'utf8').split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(entry => entry && (!since || new Date(entry.at) > new Date(since)));
+
+        return entries.slice(-limit);
+    }
+
+    // Keep only the newest `keep` entries of a log
+    trimLog(name, keep) {
+        const file = this.file(`${name}.jsonl`);
+        if (!fs.existsSync(file)) return;
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+        if (lines.length <= keep) return;
+
+        fs.writeFileSync(`${file}.tmp`, lines.slice(-keep).join('\n') + '\n');
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    isEmpty() {
+        return COLLECTIONS.every(collection => this.records(collection).size === 0);
+    }
+
+    stats() {
+        const stats = {};
+        COLLECTIONS.forEach(collection => {
+            stats[collection] = this.records(collection).size;
+        });
+        return stats;
+    }
+}
+
+module.exports = DataStore;
+module.exports.COLLECTIONS = COLLECTIONS;
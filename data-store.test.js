@@ -0,0 +1,90 @@
+// data-store.test.js - The append-only store and its per-event index, across updates, deletes,
+// compaction and reloads (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('./data-store');
+
+let dir;
+
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ids = records => records.map(record => record.id).sort();
+const lines = collection => fs.readFileSync(path.join(dir, `${collection}.jsonl`), 'utf8').trim().split('\n').length;
+
+test('byEvent follows records that are added, moved to another event and removed', () => {
+    const store = new DataStore({ dir });
+    const result = store.put('tickets', [
+        { id: 't1', eventId: 'a' },
+        { id: 't2', eventId: 'a' },
+        { id: 't3', eventId: 'b' },
+        { id: 'loose' }
+    ]);
+    assert.equal(result.added.length, 4);
+    assert.deepEqual(ids(store.byEvent('tickets', 'a')), ['t1', 't2']);
+
+    // Writing the same record again changes nothing; a new eventId moves it
+    assert.deepEqual(store.put('tickets', [{ id: 't1', eventId: 'a' }]), { added: [], updated: [], unchanged: 1 });
+    store.put('tickets', [{ id: 't2', eventId: 'b', checkedIn: true }]);
+    assert.deepEqual(ids(store.byEvent('tickets', 'a')), ['t1']);
+    assert.deepEqual(ids(store.byEvent('tickets', 'b')), ['t2', 't3']);
+    assert.equal(store.byEvent('tickets', 'b').find(ticket => ticket.id === 't2').checkedIn, true);
+
+    assert.deepEqual(store.remove('tickets', ['t1', 'missing']), ['t1']);
+    assert.deepEqual(store.byEvent('tickets', 'a'), []);
+    assert.equal(store.eventIndex.tickets.has('a'), false);
+
+    // A fresh store reading the same files agrees
+    const reloaded = new DataStore({ dir });
+    assert.deepEqual(ids(reloaded.byEvent('tickets', 'b')), ['t2', 't3']);
+    assert.deepEqual(reloaded.byEvent('tickets', 'a'), []);
+    assert.equal(reloaded.get('tickets', 'loose').id, 'loose');
+    assert.throws(() => reloaded.byEvent('seats', 'a'), /Unknown collection "seats"/);
+});
+
+test('compaction rewrites the log down to live records and keeps the index', () => {
+    const store = new DataStore({ dir });
+    store.put('orders', [{ id: 'o1', eventId: 'a', status: 'PAID' }, { id: 'o2', eventId: 'b', status: 'PAID' }]);
+
+    // Every change is a line; past 100 lines (and 3× the records) the file is rewritten
+    for (let i = 0; i < 100; i++) {
+        store.put('orders', [{ id: 'o1', eventId: i % 2 ? 'a' : 'c', status: 'PAID', version: i }]);
+    }
+    store.remove('orders', ['o2']);
+    assert.ok(lines('orders') < 100, `${lines('orders')} lines after compaction`);
+
+    assert.deepEqual(ids(store.byEvent('orders', 'a')), ['o1']);
+    assert.deepEqual(store.byEvent('orders', 'b'), []);
+    assert.deepEqual(store.byEvent('orders', 'c'), []);
+
+    const reloaded = new DataStore({ dir });
+    assert.deepEqual(reloaded.all('orders'), [{ id: 'o1', eventId: 'a', status: 'PAID', version: 99 }]);
+    assert.deepEqual(ids(reloaded.byEvent('orders', 'a')), ['o1']);
+    assert.deepEqual(reloaded.byEvent('orders', 'c'), []);
+});
+
+test('a torn last line is skipped and written past, and eventsBetween is after `from` up to and including `to`', () => {
+    const store = new DataStore({ dir });
+    store.put('events', [
+        { id: 'e1', startDate: '2025-01-01T01:00:00.000Z' },
+        { id: 'e2', startDate: '2025-01-02T01:00:00.000Z' },
+        { id: 'e3', startDate: '2025-01-03T01:00:00.000Z' }
+    ]);
+    fs.appendFileSync(path.join(dir, 'events.jsonl'), '{"op":"put","id":"e4","rec');
+
+    const reloaded = new DataStore({ dir });
+    assert.deepEqual(ids(reloaded.all('events')), ['e1', 'e2', 'e3']);
+    const between = reloaded.eventsBetween({ from: new Date('2025-01-01T01:00:00.000Z'), to: new Date('2025-01-03T01:00:00.000Z') });
+    assert.deepEqual(between.map(event => event.id), ['e2', 'e3']);
+    assert.deepEqual(reloaded.eventsBetween({ order: 'desc', limit: 2 }).map(event => event.id), ['e3', 'e2']);
+
+    // The next write starts on a line of its own rather than being glued to the torn one
+    reloaded.put('events', [{ id: 'e5', startDate: '2025-01-04T01:00:00.000Z' }]);
+    assert.deepEqual(ids(new DataStore({ dir }).all('events')), ['e1', 'e2', 'e3', 'e5']);
+});
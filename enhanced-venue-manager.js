@@ -1,25 +1,11 @@
 // enhanced-venue-manager.js - With RSVP/ticket tracking
 require('dotenv').config();
-const axios = require('axios');
 const fs = require('fs');
+const WixClient = require('./wix-client');
 
 class EnhancedVenueManager {
-    constructor() {
-        this.apiToken = process.env.WIX_API_TOKEN;
-        this.siteId = process.env.WIX_SITE_ID;
-        this.baseUrl = 'https://www.wixapis.com';
-        
-        if (!this.apiToken || !this.siteId) {
-            throw new Error('Missing WIX_API_TOKEN or WIX_SITE_ID in .env file');
-        }
-    }
-
-    getHeaders() {
-        return {
-            'Authorization': `Bearer ${this.apiToken}`,
-            'Content-Type': 'application/json',
-            'wix-site-id': this.siteId
-        };
+    constructor(options = {}) {
+        this.client = options.client || new WixClient(options);
     }
 
     // Get upcoming events with RSVP data
@@ -27,37 +13,8 @@ class EnhancedVenueManager {
         try {
             console.log(`📅 Fetching next ${limit} events with RSVP data...`);
             
-            // Get all events with pagination
-            let allEvents = [];
-            let offset = 0;
-            const batchSize = 100;
-            
-            while (true) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/events?limit=${batchSize}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const events = response.data.events || [];
-                if (events.length === 0) break;
-                
-                allEvents.push(...events);
-                offset += batchSize;
-                
-                // Stop if we have enough or no more events
-                if (events.length < batchSize) break;
-            }
-            
-            // Filter for upcoming events
-            const now = new Date();
-            const upcomingEvents = allEvents
-                .filter(event => {
-                    const eventDate = new Date(event.scheduling?.config?.startDate);
-                    return eventDate > now;
-                })
-                .sort((a, b) => 
-                    new Date(a.scheduling?.config?.startDate) - new Date(b.scheduling?.config?.startDate)
-                )
-                .slice(0, limit);
+            // Only the next few upcoming events - Wix does the date filtering
+            const { items: upcomingEvents } = await this.client.listUpcomingEvents({ limit });
             
             console.log(`   Found ${upcomingEvents.length} upcoming events`);
             
@@ -65,21 +22,17 @@ class EnhancedVenueManager {
             const eventsWithRSVPs = await Promise.all(
                 upcomingEvents.map(async (event) => {
                     try {
-                        const rsvpResponse = await axios.get(`${this.baseUrl}/events/v1/events/${event.id}/rsvps`, {
-                            headers: this.getHeaders()
-                        });
-                        
-                        const rsvpData = rsvpResponse.data;
+                        const rsvpData = await this.client.listEventRsvps(event.id);
                         return {
                             ...event,
                             rsvpCount: rsvpData.total || 0,
-                            rsvpList: rsvpData.rsvps || [],
-                            attendeeDetails: rsvpData.rsvps?.map(rsvp => ({
+                            rsvpList: rsvpData.items,
+                            attendeeDetails: rsvpData.items.map(rsvp => ({
                                 name: rsvp.contactDetails?.name || 'Unknown',
                                 email: rsvp.contactDetails?.email || '',
                                 status: rsvp.status || 'GOING',
                                 created: rsvp.created
-                            })) || []
+                            }))
                         };
                     } catch (rsvpError) {
                         // If RSVP endpoint fails, continue with 0 count
@@ -104,7 +57,7 @@ class EnhancedVenueManager {
             };
             
         } catch (error) {
-            console.error('Error fetching events with RSVPs:', error.response?.data || error.message);
+            console.error('Error fetching events with RSVPs:', error.data || error.message);
             return { success: false, error: error.message };
         }
     }
@@ -141,7 +94,7 @@ class EnhancedVenueManager {
                     eventUrl: `https://www.wix.com/events/${event.slug}`,
                     eventId: event.id,
                     status: event.status,
-                    daysFromNow: Math.ceil((new Date(event.scheduling?.config?.startDate) - new Date()) / (1000 * 60 * 60 * 24))
+                    daysFromNow: Math.ceil((new Date(event.scheduling?.config?.startDate) - this.client.now()) / (1000 * 60 * 60 * 24))
                 })),
                 generatedAt: data.generatedAt,
                 generatedBy: "The Listening Booth Events System"
@@ -0,0 +1,157 @@
+// event-categories.js - Event types (Concert, Open Mic, ...) from config/event-categories.json
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config', 'event-categories.json');
+const SCSS_FILE = path.join(__dirname, 'report-styles.scss');
+
+// config/event-categories.json (or EVENT_CATEGORIES):
+//   categories - { name, color, label, icon, priority, keywords, patterns, wixCategories, rsvp }
+//                keywords match anywhere in the title, patterns are case-insensitive regexes,
+//                wixCategories are Wix event category names; higher priority is checked first.
+//                rsvp is true when the whole category is usually RSVP-only, or a list of title
+//                keywords when only some of it is (lessons, but not a ticketed songwriting club)
+//   default    - the category for events nothing matches
+//   overrides  - { eventId: categoryName } for events the rules get wrong
+class EventCategories {
+    constructor(options = {}) {
+        this.file = options.file || process.env.EVENT_CATEGORIES || DEFAULT_CONFIG_FILE;
+        const config = options.config || JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+        this.fallback = config.default;
+        this.overrides = config.overrides || {};
+        // Stable sort, so equal priorities keep their order in the file
+        this.categories = (config.categories || [])
+            .map(category => ({
+                ...category,
+                keywords: (category.keywords || []).map(keyword => keyword.toLowerCase()),
+                regexes: (category.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+                wixNames: (category.wixCategories || [category.name]).map(name => name.toLowerCase()),
+                rsvpKeywords: Array.isArray(category.rsvp) ? category.rsvp.map(keyword => keyword.toLowerCase()) : null
+            }))
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+        Object.entries(this.overrides).forEach(([eventId, name]) => {
+            if (!this.get(name)) {
+                throw new Error(`${this.file}: override for ${eventId} uses unknown category "${name}"`);
+            }
+        });
+    }
+
+    all() {
+        return [...this.categories, this.fallback];
+    }
+
+    get(name) {
+        return this.all().find(category => category.name === name) || null;
+    }
+
+    // The matching category definition for a Wix event, a stored event record or a bare title.
+    // Manual override first, then Wix's own categories, then title keywords and patterns.
+    match(eventOrTitle) {
+        const event = typeof eventOrTitle === 'string' ? { title: eventOrTitle } : eventOrTitle.data || eventOrTitle;
+
+        if (event.id && this.overrides[event.id]) {
+            return this.get(this.overrides[event.id]);
+        }
+
+        const wixNames = (event.categories || []).map(category => (category.name || '').toLowerCase());
+        const byWix = this.categories.find(category => category.wixNames.some(name => wixNames.includes(name)));
+        if (byWix) return byWix;
+
+        const title = event.title || '';
+        const titleLower = title.toLowerCase();
+        return this.categories.find(category =>
+            category.keywords.some(keyword => titleLower.includes(keyword)) ||
+            category.regexes.some(regex => regex.test(title))
+        ) || this.fallback;
+    }
+
+    categorize(eventOrTitle) {
+        return this.match(eventOrTitle).name;
+    }
+
+    // Categories marked "rsvp" are usually RSVP-only (open mics, jams, lessons)
+    isRSVPEvent(eventOrTitle) {
+        const category = this.match(eventOrTitle);
+        if (!category.rsvpKeywords) return Boolean(category.rsvp);
+
+        const event = typeof eventOrTitle === 'string' ? { title: eventOrTitle } : eventOrTitle.data || eventOrTitle;
+        const title = (event.title || '').toLowerCase();
+        return category.rsvpKeywords.some(keyword => title.includes(keyword));
+    }
+
+    // { 'Concert': '#667eea', ... } for the dashboard and HTML reports
+    colors() {
+        const colors = {};
+        this.all().forEach(category => { colors[category.name] = category.color; });
+        return colors;
+    }
+
+    color(name) {
+        return this.get(name)?.color || '#6b7280';
+    }
+
+    label(name) {
+        return this.get(name)?.label || name.toUpperCase();
+    }
+
+    icon(name) {
+        return this.get(name)?.icon || '🎵';
+    }
+
+    // The $event-colors map in report-styles.scss, rewritten from the config
+    writeScssColors(file = SCSS_FILE) {
+        const entries = [this.fallback, ...this.categories].map(category => `  '${category.name}': ${category.color}`).join(',\n');
+        const scss = fs.readFileSync(file, 'utf8');
+        const updated = scss.replace(/\$event-colors: \([\s\S]*?\n\);/, `$event-colors: (\n${entries}\n);`);
+
+        if (updated === scss && !scss.includes('$event-colors: (')) {
+            throw new Error(`No $event-colors map found in ${file}`);
+        }
+        fs.writeFileSync(file, updated);
+        return updated !== scss;
+    }
+}
+
+// Command line interface
+function main() {
+    const command = process.argv[2] || 'list';
+    const categories = new EventCategories();
+
+    switch (command.toLowerCase()) {
+        case 'list':
+            console.log('EVENT CATEGORIES (highest priority first)');
+            console.log('=========================================');
+            categories.all().forEach(category => {
+                const rules = [...(category.keywords || []), ...(category.patterns || []).map(pattern => `/${pattern}/`)];
+                console.log(`${category.icon || ''} ${category.name} ${category.color}${rules.length ? ` - ${rules.join(', ')}` : ' (default)'}`);
+            });
+            console.log(`\nManual overrides: ${Object.keys(categories.overrides).length}`);
+            break;
+
+        case 'test': {
+            const title = process.argv.slice(3).join(' ');
+            console.log(`"${title}" -> ${categories.categorize(title)}`);
+            break;
+        }
+
+        case 'scss':
+            console.log(categories.writeScssColors() ?
+                '✅ Updated $event-colors in report-styles.scss' :
+                'report-styles.scss already matches the config');
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  list           - Show categories, their colors and matching rules');
+            console.log('  test <title>   - Show which category a title falls into');
+            console.log('  scss           - Rewrite the $event-colors map in report-styles.scss from the config');
+    }
+}
+
+module.exports = EventCategories;
+
+if (require.main === module) {
+    main();
+}
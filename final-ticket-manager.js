@@ -1,136 +1,775 @@
-async saveHTMLReport(filename = null) {
-        const reportData = await this.generateTicketReport(20);
-        
-        if (!reportData.success) {
-            console.log('Error generating report:', reportData.error);
-            return;
-        }
-        
-        const timestamp = new Date().toISOString().slice(0, 16).replace(/[:.]/g, '-');
-        const file = filename || `listening-booth-tickets-${timestamp}.html`;
-        
-        // Generate and save CSS file
-        await this.generateCSSFile();
-        
-        const html = this.generateHTML(reportData.report);
-        fs.writeFileSync(file, html);
-        
-        console.log(`HTML ticket report saved to ${file}`);
-        console.log(`CSS styles saved to report-styles.css`);
-        console.log('Perfect for sharing with your team!');
-        
-        return { success: true, filename: file, cssFile: 'report-styles.css' };
+// final-ticket-manager.js - Complete version with ticketed events list
+require('dotenv').config();
+const fs = require('fs');
+const WixClient = require('./wix-client');
+const ConcurrencyPool = require('./concurrency-pool');
+const DataStore = require('./data-store');
+const SalesMetrics = require('./sales-metrics');
+const SalesForecast = require('./forecast');
+const RevenueReport = require('./revenue');
+const { summarizeOrders, revenueByPeriod } = RevenueReport;
+const { describeTiers } = require('./ticket-tiers');
+const Attendance = require('./attendance');
+const { eventAttendance, describeAttendance } = Attendance;
+const EventCapacity = require('./capacity');
+const SalesStatusRules = require('./sales-status');
+const { statusFacts } = SalesStatusRules;
+const PeriodComparison = require('./period-compare');
+const CheckInAnalytics = require('./check-ins');
+const PurchaseTiming = require('./purchase-timing');
+const { detectSeries, seriesByEvent } = require('./series');
+const { hourLabel } = PurchaseTiming;
+const EventCategories = require('./event-categories');
+
+class FinalTicketManager {
+    constructor(options = {}) {
+        // client: null reports from the store alone, without Wix credentials
+        this.client = options.client === null ? null : options.client || new WixClient(options);
+        this.pool = options.pool || new ConcurrencyPool({ concurrency: options.concurrency });
+        if (!options.pool && this.client) this.pool.watch(this.client);
+        // With a DataStore, reports read what wix-sync.js saved instead of calling Wix
+        this.store = options.store || null;
+        this.revenue = new RevenueReport({ client: this.client, store: this.store });
+        this.capacity = options.capacity || new EventCapacity();
+        this.statusRules = options.statusRules || new SalesStatusRules();
+        this.categories = options.categories || new EventCategories();
+        this.attendance = new Attendance({ client: this.client, pool: this.pool, store: this.store });
+        this.checkIns = new CheckInAnalytics({ client: this.client, pool: this.pool, store: this.store, categories: this.categories, capacity: this.capacity });
+        this.purchaseTiming = new PurchaseTiming({ analytics: this.checkIns.analytics });
     }
 
-    async generateCSSFile() {
-        // You would typically compile SCSS to CSS here
-        // For now, I'll provide the compiled CSS
-        const css = `/* Compiled from report-styles.scss */
-* {
-  margin: 0;
-  padding: 0;
-  box-sizing: border-box;
-}
+    // Replays keep the time they were recorded at; without a client it's the clock
+    now() {
+        return this.client ? this.client.now() : new Date();
+    }
 
-body {
-  font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-  min-height: 100vh;
-  padding: 20px;
-}
+    // Next upcoming events, soonest first
+    async getUpcomingEvents(limit) {
+        if (this.store) {
+            return this.store.eventsBetween({ from: this.now(), limit }).map(event => event.data);
+        }
 
-.container {
-  max-width: 1200px;
-  margin: 0 auto;
-  background: #ffffff;
-  border-radius: 12px;
-  box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
-  overflow: hidden;
-}
+        // Only the next few upcoming events - Wix does the date filtering
+        const { items } = await this.client.listUpcomingEvents({ limit });
+        return items;
+    }
 
-.header {
-  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-  color: #ffffff;
-  padding: 40px;
-  text-align: center;
-}
+    // eventId -> ticket definitions (ticket types with price and limits), one request for all events
+    async getTicketDefinitions(eventIds) {
+        const definitionsByEvent = new Map(eventIds.map(id => [id, []]));
 
-.header .venue-name {
-  font-size: 3em;
-  margin: 0;
-  font-weight: 300;
-}
+        if (this.store) {
+            eventIds.forEach(id => definitionsByEvent.set(id, this.store.byEvent('definitions', id).map(definition => definition.data)));
+            return definitionsByEvent;
+        }
 
-.header p {
-  margin-top: 10px;
-  opacity: 0.9;
-}
+        try {
+            const { items } = await this.client.listTicketDefinitions(eventIds);
+            items.forEach(definition => definitionsByEvent.get(definition.eventId)?.push(definition));
+        } catch (error) {
+            console.error('   Could not fetch ticket definitions, tiers will come from tickets only:', error.message);
+        }
+        return definitionsByEvent;
+    }
 
-.content {
-  padding: 40px;
-}
+    // Every RSVP (any status) for RSVP events; ticketed events have none
+    async getRsvps(event) {
+        if (event.registration?.type !== 'RSVP') return [];
 
-.summary-grid {
-  display: grid;
-  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-  gap: 25px;
-  margin-bottom: 40px;
-}
+        try {
+            return this.store ?
+                this.store.byEvent('rsvps', event.id).map(rsvp => rsvp.data) :
+                (await this.client.listEventRsvps(event.id)).items;
+        } catch (error) {
+            console.error(`   Could not fetch RSVPs for ${event.title}:`, error.message);
+            return [];
+        }
+    }
 
-.summary-card {
-  background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
-  color: #ffffff;
-  padding: 25px;
-  border-radius: 12px;
-  text-align: center;
-}
+    // Every ticket for an event, page by page (the client retries each page on its own)
+    async getEventTickets(eventId) {
+        if (this.store) {
+            const tickets = this.store.byEvent('tickets', eventId).map(ticket => ticket.data);
+            return { success: true, tickets, total: tickets.length };
+        }
 
-.summary-card .summary-number {
-  font-size: 2.5em;
-  font-weight: bold;
-  margin-bottom: 5px;
-}
+        try {
+            const { items: tickets, total } = await this.client.listEventTickets(eventId);
+            
+            return {
+                success: true,
+                tickets,
+                total: Math.max(total, tickets.length)
+            };
+        } catch (error) {
+            return { success: false, error: error.message, tickets: [], total: 0 };
+        }
+    }
 
-.summary-card .summary-label {
-  opacity: 0.9;
-}
+    async getUpcomingEventsWithTickets(limit = 20, options = {}) {
+        try {
+            console.log(`Fetching next ${limit} events with ticket sales...`);
+            
+            const upcomingEvents = await this.getUpcomingEvents(limit);
+            
+            console.log(`   Found ${upcomingEvents.length} upcoming events`);
+            console.log(`   Getting ticket counts...`);
+            
+            // Recurring series among them, so the dashboard can collapse each into one row.
+            // The store has past dates too, which catches series with few upcoming ones.
+            const seriesOf = seriesByEvent(detectSeries(this.store ? this.store.all('events').map(event => event.data) : upcomingEvents));
+            
+            // Velocity, pace and forecasts need sales history, which only the local store has
+            const now = this.now();
+            const categorize = event => this.categorizeEvent(event);
+            const metrics = this.store ? new SalesMetrics({ store: this.store, categorize }) : null;
+            const forecaster = this.store ? new SalesForecast({ store: this.store, categorize }) : null;
+            
+            // RSVP overbooking advice from past no-shows per event type, also store-only
+            let overbooking = [];
+            if (this.store) {
+                const checkIns = await this.checkIns.getCheckIns();
+                overbooking = checkIns.success ? checkIns.rsvpOverbooking : [];
+            }
+            
+            const definitionsByEvent = await this.getTicketDefinitions(upcomingEvents.map(event => event.id));
+            const bookingsByEvent = await this.attendance.getBookings(upcomingEvents.map(event => event.id));
+            
+            // Orders for all of these events in one pass, for revenue
+            console.log(`   Getting orders...`);
+            let ordersByEvent = null;
+            try {
+                ordersByEvent = await this.revenue.getOrdersByEvent(upcomingEvents.map(event => event.id));
+            } catch (error) {
+                console.error('   Could not fetch orders, leaving revenue out:', error.message);
+            }
+            
+            // Get ticket data a few events at a time; the pool speeds up or backs off with Wix
+            const eventsWithTickets = await this.pool.run(upcomingEvents, async (event) => {
+                const ticketsResult = await this.getEventTickets(event.id);
+                const ticketsSold = ticketsResult.total;
+                
+                // Calculate days until event
+                const eventDate = new Date(event.scheduling?.config?.startDate);
+                const daysFromNow = Math.ceil((eventDate - this.now()) / (1000 * 60 * 60 * 24));
+                
+                // Seats: the deduplicated headcount across tickets, RSVPs and bookings (see attendance.js)
+                const definitions = definitionsByEvent.get(event.id);
+                const attendance = eventAttendance({
+                    tickets: ticketsResult.tickets || [],
+                    definitions,
+                    rsvps: await this.getRsvps(event),
+                    bookings: bookingsByEvent.get(event.id)
+                });
+                const rsvpCount = attendance.rsvps.GOING.guests;
+                const seatsTaken = attendance.expectedHeadcount;
+                
+                // Analyze payment methods (as a proxy for activity)
+                const paidTickets = ticketsResult.tickets?.filter(ticket => !ticket.free) || [];
+                const freeTickets = ticketsResult.tickets?.filter(ticket => ticket.free) || [];
+                
+                // Determine if this is a ticketed event (has paid tickets) or free/RSVP event
+                const isPaidEvent = paidTickets.length > 0;
+                const isFreeEvent = freeTickets.length === ticketsSold && ticketsSold > 0;
+                const isRSVPOnly = ticketsSold === 0 && this.isRSVPEvent(event);
+                
+                // Get event description/summary - try multiple fields
+                const eventSummary = this.getEventSummary(event);
+                
+                const { velocity = null, pace = null } = metrics ? metrics.forEvent({ ...event, ticketsSold }, now) : {};
+                const eventType = this.categorizeEvent(event);
+                
+                // Sales status from config/sales-status.json; the rule that fired is shown alongside it
+                const { facts, seats } = statusFacts(event, {
+                    capacity: this.capacity,
+                    definitions,
+                    daysOut: daysFromNow,
+                    sold: seatsTaken,
+                    ticketsSold,
+                    rsvps: rsvpCount,
+                    paceScore: pace?.score ?? null,
+                    eventType
+                });
+                const { capacity, setup, source: capacitySource, percentSold, remaining: remainingSeats } = seats;
+                const { status: salesStatus, rule: statusRule } = this.statusRules.evaluate(facts);
+                const forecast = forecaster ? forecaster.forecastEvent({ ...event, ticketsSold, capacity }, now) : null;
+                const revenue = ordersByEvent ? summarizeOrders(ordersByEvent.get(event.id)) : null;
+                const tiers = attendance.tickets.byTier;
+                const series = seriesOf.get(event.id);
+                
+                // How many RSVPs to take so the room fills once the usual no-shows stay home
+                const advice = overbooking.find(entry => entry.type === eventType);
+                const rsvpLimit = event.registration?.type === 'RSVP' && capacity && advice ? {
+                    suggested: this.checkIns.suggestedRsvpLimit(capacity, advice),
+                    noShowRate: advice.noShowRate
+                } : null;
+                
+                return {
+                    ...event,
+                    ticketsSold,
+                    paidTickets: paidTickets.length,
+                    freeTickets: freeTickets.length,
+                    rsvpCount,
+                    seatsTaken,
+                    attendance,
+                    capacity,
+                    capacitySource,
+                    setup,
+                    percentSold,
+                    remainingSeats,
+                    rsvpLimit,
+                    daysFromNow,
+                    salesStatus,
+                    statusRule,
+                    eventType,
+                    venue: event.location?.name || 'The Listening Booth',
+                    isPaid: isPaidEvent,
+                    isFree: isFreeEvent,
+                    isRSVPOnly: isRSVPOnly,
+                    summary: eventSummary,
+                    velocity,
+                    pace,
+                    forecast,
+                    revenue,
+                    tiers,
+                    series: series ? { id: series.id, name: series.name, pattern: series.pattern, schedule: series.schedule } : null
+                };
+            }, {
+                onProgress: ({ completed, total, item, result, concurrency }) => {
+                    console.log(`   ${completed}/${total}: ${item.title} (${result.ticketsSold} tickets, ${concurrency} at a time)`);
+                    if (options.onProgress) options.onProgress({ completed, total, event: result });
+                }
+            });
+            
+            const allOrders = ordersByEvent ? [...ordersByEvent.values()].flat() : null;
+            
+            return {
+                success: true,
+                events: eventsWithTickets,
+                total: eventsWithTickets.length,
+                revenue: allOrders ? summarizeOrders(allOrders) : null,
+                revenueByWeek: allOrders ? revenueByPeriod(allOrders, 'week') : [],
+                generatedAt: new Date().toISOString()
+            };
+            
+        } catch (error) {
+            console.error('Error fetching events with tickets:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
 
-.note {
-  background: #f8f9fa;
-  border: 1px solid #f1f3f4;
-  border-radius: 8px;
-  padding: 15px;
-  margin-bottom: 30px;
-  color: #6b7280;
-  font-size: 0.9em;
-}
+    // Extract event summary/description
+    getEventSummary(event) {
+        // Try different fields that might contain the description
+        const description = event.about || 
+                          event.description || 
+                          event.summary || 
+                          event.details ||
+                          event.eventDescription ||
+                          '';
+        
+        if (!description) return '';
+        
+        // Clean up and truncate the description
+        let cleanDescription = description
+            .replace(/\n/g, ' ')  // Replace line breaks with spaces
+            .replace(/\s+/g, ' ') // Replace multiple spaces with single space
+            .trim();
+        
+        // Truncate to reasonable length for console output
+        if (cleanDescription.length > 120) {
+            cleanDescription = cleanDescription.substring(0, 120) + '...';
+        }
+        
+        return cleanDescription;
+    }
 
-.note strong {
-  color: #333333;
-}
+    // Event type from config/event-categories.json: manual override, Wix category, then title rules
+    categorizeEvent(event) {
+        return this.categories.categorize(event);
+    }
 
-.sections {
-  display: grid;
-  grid-template-columns: 1fr 400px;
-  gap: 30px;
-  margin-bottom: 40px;
-}
+    // Determine if an event is likely RSVP-only based on its category
+    isRSVPEvent(event) {
+        return this.categories.isRSVPEvent(event);
+    }
 
-.events-section {
-  background: #ffffff;
-  border-radius: 12px;
-  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-  overflow: hidden;
-}
+    // Get list of only ticketed events
+    async getTicketedEventsList(limit = 50) {
+        try {
+            const data = await this.getUpcomingEventsWithTickets(limit);
+            
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            // Filter for only events with tickets sold
+            const ticketedEvents = data.events.filter(event => event.ticketsSold > 0);
+            
+            return {
+                success: true,
+                events: ticketedEvents,
+                total: ticketedEvents.length
+            };
+            
+        } catch (error) {
+            console.error('Error fetching ticketed events:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
 
-.section-header {
-  background: #f8f9fa;
-  padding: 20px;
-  border-bottom: 1px solid #e5e7eb;
-  font-weight: 600;
-  font-size: 1.2em;
-  color: #333333;
-}
+    // Print ticketed events in format: {{date}} {{event}} ({{ticket count}})
+    async printTicketedEventsList(limit = 50) {
+        const result = await this.getTicketedEventsList(limit);
+        
+        if (!result.success) {
+            console.log('Error fetching ticketed events:', result.error);
+            return;
+        }
+        
+        if (result.events.length === 0) {
+            console.log('No ticketed events found.');
+            return;
+        }
+        
+        console.log('TICKETED EVENTS');
+        console.log('===============');
+        
+        result.events.forEach(event => {
+            // Format the date - try to get just the date part
+            let dateStr;
+            if (event.scheduling?.formatted) {
+                // Extract just the date part from formatted string
+                // "September 16, 2025, 6:30 – 8:00 PM" -> "September 16, 2025"
+                dateStr = event.scheduling.formatted.split(',').slice(0, 2).join(',');
+            } else if (event.scheduling?.config?.startDate) {
+                const eventDate = new Date(event.scheduling.config.startDate);
+                dateStr = eventDate.toLocaleDateString('en-US', { 
+                    year: 'numeric', 
+                    month: 'long', 
+                    day: 'numeric' 
+                });
+            } else {
+                dateStr = 'Date TBD';
+            }
+            
+            console.log(`${dateStr} ${event.title} (${event.ticketsSold})`);
+        });
+        
+        console.log(`\nTotal ticketed events: ${result.events.length}`);
+    }
+
+    // Print ticketed events with shorter date format
+    async printTicketedEventsListShort(limit = 50) {
+        const result = await this.getTicketedEventsList(limit);
+        
+        if (!result.success) {
+            console.log('Error fetching ticketed events:', result.error);
+            return;
+        }
+        
+        if (result.events.length === 0) {
+            console.log('No ticketed events found.');
+            return;
+        }
+        
+        console.log('TICKETED EVENTS');
+        console.log('===============');
+        
+        result.events.forEach(event => {
+            // Short date format: "Sep 16" or "9/16"
+            let dateStr;
+            if (event.scheduling?.config?.startDate) {
+                const eventDate = new Date(event.scheduling.config.startDate);
+                dateStr = eventDate.toLocaleDateString('en-US', { 
+                    month: 'short', 
+                    day: 'numeric' 
+                });
+            } else {
+                dateStr = 'TBD';
+            }
+            
+            console.log(`${dateStr} ${event.title} (${event.ticketsSold})`);
+        });
+        
+        console.log(`\nTotal: ${result.events.length}`);
+    }
+
+    async generateTicketReport(limit = 20) {
+        try {
+            const data = await this.getUpcomingEventsWithTickets(limit);
+            
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+            
+            const totalTicketsSold = data.events.reduce((sum, event) => sum + event.ticketsSold, 0);
+            const totalPaidTickets = data.events.reduce((sum, event) => sum + event.paidTickets, 0);
+            const totalFreeTickets = data.events.reduce((sum, event) => sum + event.freeTickets, 0);
+            
+            // Only include events that sell tickets for the average calculation.
+            // Free and RSVP-only events are counted separately, so every event lands in one group.
+            const isFreeOrRSVP = event => event.isFree || event.isRSVPOnly;
+            const ticketedEvents = data.events.filter(event => 
+                !isFreeOrRSVP(event) && (event.isPaid || event.ticketsSold > 0)
+            );
+            const averageTicketsPerEvent = ticketedEvents.length > 0 ? 
+                Math.round(ticketedEvents.reduce((sum, event) => sum + event.ticketsSold, 0) / ticketedEvents.length * 10) / 10 : 0;
+            
+            // Event type breakdown
+            const eventTypes = {};
+            data.events.forEach(event => {
+                eventTypes[event.eventType] = (eventTypes[event.eventType] || 0) + 1;
+            });
+            
+            // Sales performance
+            const salesBreakdown = {
+                high: data.events.filter(e => e.salesStatus === 'high').length,
+                medium: data.events.filter(e => e.salesStatus === 'medium').length,
+                low: data.events.filter(e => e.salesStatus === 'low').length,
+                urgent: data.events.filter(e => e.salesStatus === 'urgent').length
+            };
+            
+            const report = {
+                venue: {
+                    name: "The Listening Booth",
+                    location: "Lewes, Delaware"
+                },
+                summary: {
+                    totalUpcomingEvents: data.events.length,
+                    totalTicketsSold,
+                    totalPaidTickets,
+                    totalFreeTickets,
+                    averageTicketsPerEvent,
+                    ticketedEventsCount: ticketedEvents.length,
+                    freeEventsCount: data.events.filter(isFreeOrRSVP).length,
+                    eventTypes,
+                    salesBreakdown,
+                    revenue: data.revenue,
+                    revenueByWeek: data.revenueByWeek,
+                    topSellingEvents: data.events
+                        .filter(e => e.ticketsSold > 0)
+                        .sort((a, b) => b.ticketsSold - a.ticketsSold)
+                        .slice(0, 5)
+                        .map(e => ({ 
+                            title: e.title, 
+                            tickets: e.ticketsSold,
+                            type: e.isPaid ? 'paid' : e.isFree ? 'free' : 'unknown'
+                        })),
+                    urgentEvents: data.events.filter(e => e.salesStatus === 'urgent'),
+                    thisWeekEvents: data.events.filter(e => e.daysFromNow <= 7)
+                },
+                events: data.events.map(event => ({
+                    title: event.title,
+                    date: event.scheduling?.formatted,
+                    daysFromNow: event.daysFromNow,
+                    ticketsSold: event.ticketsSold,
+                    paidTickets: event.paidTickets,
+                    freeTickets: event.freeTickets,
+                    rsvpCount: event.rsvpCount,
+                    seatsTaken: event.seatsTaken,
+                    attendance: event.attendance,
+                    capacity: event.capacity,
+                    capacitySource: event.capacitySource,
+                    setup: event.setup,
+                    percentSold: event.percentSold,
+                    remainingSeats: event.remainingSeats,
+                    rsvpLimit: event.rsvpLimit,
+                    salesStatus: event.salesStatus,
+                    statusRule: event.statusRule,
+                    eventType: event.eventType,
+                    venue: event.venue,
+                    isPaid: event.isPaid,
+                    isFree: event.isFree,
+                    isRSVPOnly: event.isRSVPOnly,
+                    eventId: event.id,
+                    slug: event.slug,
+                    summary: event.summary,
+                    velocity: event.velocity,
+                    pace: event.pace,
+                    forecast: event.forecast,
+                    revenue: event.revenue,
+                    tiers: event.tiers,
+                    series: event.series
+                })),
+                generatedAt: data.generatedAt
+            };
+            
+            return { success: true, report };
+            
+        } catch (error) {
+            console.error('Error generating ticket report:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async printTicketReport(limit = 20) {
+        const reportData = await this.generateTicketReport(limit);
+        
+        if (!reportData.success) {
+            console.log('Error generating ticket report:', reportData.error);
+            return;
+        }
+        
+        const report = reportData.report;
+        
+        console.log('\nTHE LISTENING BOOTH - TICKET SALES REPORT');
+        console.log('===========================================');
+        console.log(`${report.summary.totalUpcomingEvents} events | ${report.summary.totalTicketsSold} tickets sold`);
+        console.log(`${report.summary.totalPaidTickets} paid tickets | ${report.summary.totalFreeTickets} free tickets`);
+        console.log(`Average: ${report.summary.averageTicketsPerEvent} tickets per ticketed event (${report.summary.ticketedEventsCount} ticketed events)`);
+        if (report.summary.revenue) {
+            const revenue = report.summary.revenue;
+            console.log(`Revenue: $${revenue.gross.toFixed(2)} gross | $${revenue.refunds.toFixed(2)} refunded | $${revenue.net.toFixed(2)} net`);
+        }
+        
+        const sb = report.summary.salesBreakdown;
+        console.log(`Performance: ${sb.high} high sales | ${sb.medium} medium | ${sb.low} low | ${sb.urgent} urgent\n`);
+        
+        // Top selling events
+        if (report.summary.topSellingEvents.length > 0) {
+            console.log('TOP SELLING EVENTS:');
+            report.summary.topSellingEvents.forEach((event) => {
+                const typeIcon = event.type === 'paid' ? 'PAID' : event.type === 'free' ? 'FREE' : '';
+                console.log(`${event.title} - ${event.tickets} tickets ${typeIcon}`);
+            });
+            console.log('');
+        }
+        
+        // This week's events
+        if (report.summary.thisWeekEvents.length > 0) {
+            console.log(`THIS WEEK (${report.summary.thisWeekEvents.length} events):`);
+            report.summary.thisWeekEvents.forEach(event => {
+                const statusIcon = {
+                    'high': 'HIGH',
+                    'medium': 'MED', 
+                    'low': 'LOW',
+                    'urgent': 'URGENT'
+                }[event.salesStatus];
+                console.log(`${statusIcon} ${event.title} - ${event.ticketsSold} tickets (${event.daysFromNow} days)`);
+            });
+            console.log('');
+        }
+        
+        // Event breakdown
+        console.log('Event Types:');
+        Object.entries(report.summary.eventTypes).forEach(([type, count]) => {
+            console.log(`${type}: ${count}`);
+        });
+        console.log('');
+        
+        console.log(`Ticketed Events: ${report.summary.ticketedEventsCount}`);
+        console.log(`Free/RSVP Events: ${report.summary.freeEventsCount}`);
+        console.log('');
+        
+        // Individual events - CLEAN FORMAT
+        console.log('ALL UPCOMING EVENTS:');
+        console.log('=====================');
+        report.events.forEach((event) => {
+            const statusIcon = {
+                'high': 'HIGH',
+                'medium': 'MED', 
+                'low': 'LOW',
+                'urgent': 'URGENT'
+            }[event.salesStatus];
+            
+            const typeIcon = this.categories.label(event.eventType);
+            
+            let ticketInfo;
+            if (event.isRSVPOnly) {
+                ticketInfo = 'RSVP only';
+            } else if (event.isPaid) {
+                // Change "paid" to "ticket/tickets"
+                const ticketWord = event.paidTickets === 1 ? 'ticket' : 'tickets';
+                ticketInfo = `${event.paidTickets} ${ticketWord}`;
+            } else if (event.isFree) {
+                ticketInfo = `${event.freeTickets} free`;
+            } else {
+                const ticketWord = event.ticketsSold === 1 ? 'ticket' : 'tickets';
+                ticketInfo = `${event.ticketsSold} ${ticketWord}`;
+            }
+            
+            // Clean output format - no numbering, minimal spacing, no location
+            console.log(`${event.title}`);
+            console.log(`${event.date} (${event.daysFromNow} days away)`);
+            console.log(`${statusIcon} ${ticketInfo} | ${typeIcon} (${event.statusRule.label})`);
+            if (event.attendance.bookings.confirmed > 0 || event.attendance.duplicates > 0 || event.attendance.rsvps.WAITING.rsvps > 0) {
+                console.log(`Attendance: ${describeAttendance(event.attendance)}`);
+            }
+            if (event.capacity) {
+                console.log(`Capacity: ${event.seatsTaken}/${event.capacity} (${event.percentSold}%) | ${event.remainingSeats} seats left`);
+            }
+            if (event.rsvpLimit) {
+                console.log(`RSVP limit: take up to ${event.rsvpLimit.suggested} RSVPs (${event.rsvpLimit.noShowRate}% usually don't show)`);
+            }
+            if (event.pace?.label) {
+                console.log(`Pace: ${event.pace.label} (${event.velocity.last7Days}/day this week)`);
+            }
+            if (event.forecast?.label) {
+                console.log(`Forecast: ${event.forecast.label}`);
+            }
+            if (event.tiers?.length > 1) {
+                console.log(`Tiers: ${describeTiers(event.tiers)}`);
+            }
+            
+            // Add event summary if available
+            if (event.summary) {
+                console.log(`${event.summary}`);
+            }
+            
+            console.log(''); // Single blank line between events
+        });
+        
+        // Urgent events warning
+        if (report.summary.urgentEvents.length > 0) {
+            console.log(`URGENT: ${report.summary.urgentEvents.length} events need attention:`);
+            report.summary.urgentEvents.forEach(event => {
+                console.log(`• ${event.title} (${event.daysFromNow} days away) - ${event.statusRule.label}`);
+            });
+            console.log('');
+        }
+        
+        console.log(`Report generated: ${new Date(report.generatedAt).toLocaleString()}`);
+        
+        // Note about calculation
+        console.log('\nNote: Average tickets calculated only for ticketed events (excludes free/RSVP-only events).');
+    }
+
+    async saveHTMLReport(filename = null) {
+        const reportData = await this.generateTicketReport(20);
+        
+        if (!reportData.success) {
+            console.log('Error generating report:', reportData.error);
+            return;
+        }
+        
+        const timestamp = new Date().toISOString().slice(0, 16).replace(/[:.]/g, '-');
+        const file = filename || `listening-booth-tickets-${timestamp}.html`;
+        
+        // Generate and save CSS file
+        await this.generateCSSFile();
+        
+        // The report still goes out without the timing section if that analysis fails
+        const timing = await this.purchaseTiming.getTiming();
+        const html = this.generateHTML(reportData.report, timing.success ? timing : null);
+        fs.writeFileSync(file, html);
+        
+        console.log(`HTML ticket report saved to ${file}`);
+        console.log(`CSS styles saved to report-styles.css`);
+        console.log('Perfect for sharing with your team!');
+        
+        return { success: true, filename: file, cssFile: 'report-styles.css' };
+    }
+
+    async generateCSSFile() {
+        // You would typically compile SCSS to CSS here
+        // For now, I'll provide the compiled CSS
+        const css = `/* Compiled from report-styles.scss */
+* {
+  margin: 0;
+  padding: 0;
+  box-sizing: border-box;
+}
+
+body {
+  font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  min-height: 100vh;
+  padding: 20px;
+}
+
+.container {
+  max-width: 1200px;
+  margin: 0 auto;
+  background: #ffffff;
+  border-radius: 12px;
+  box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+  overflow: hidden;
+}
+
+.header {
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: #ffffff;
+  padding: 40px;
+  text-align: center;
+}
+
+.header .venue-name {
+  font-size: 3em;
+  margin: 0;
+  font-weight: 300;
+}
+
+.header p {
+  margin-top: 10px;
+  opacity: 0.9;
+}
+
+.content {
+  padding: 40px;
+}
+
+.summary-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+  gap: 25px;
+  margin-bottom: 40px;
+}
+
+.summary-card {
+  background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
+  color: #ffffff;
+  padding: 25px;
+  border-radius: 12px;
+  text-align: center;
+}
+
+.summary-card .summary-number {
+  font-size: 2.5em;
+  font-weight: bold;
+  margin-bottom: 5px;
+}
+
+.summary-card .summary-label {
+  opacity: 0.9;
+}
+
+.note {
+  background: #f8f9fa;
+  border: 1px solid #f1f3f4;
+  border-radius: 8px;
+  padding: 15px;
+  margin-bottom: 30px;
+  color: #6b7280;
+  font-size: 0.9em;
+}
+
+.note strong {
+  color: #333333;
+}
+
+.sections {
+  display: grid;
+  grid-template-columns: 1fr 400px;
+  gap: 30px;
+  margin-bottom: 40px;
+}
+
+.events-section {
+  background: #ffffff;
+  border-radius: 12px;
+  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+  overflow: hidden;
+}
+
+.section-header {
+  background: #f8f9fa;
+  padding: 20px;
+  border-bottom: 1px solid #e5e7eb;
+  font-weight: 600;
+  font-size: 1.2em;
+  color: #333333;
+}
 
 .sidebar {
   display: flex;
@@ -330,618 +969,170 @@ body {
 }
 
 .all-events-text .events-text-list .event-text-item:last-child {
-  border-bottom: none;
-  margin-bottom: 0;
-}
-
-.all-events-text .events-text-list .event-text-item .event-text-date {
-  font-size: 0.9em;
-  color: #666666;
-  margin-bottom: 5px;
-}
-
-.all-events-text .events-text-list .event-text-item .event-text-title {
-  font-weight: 600;
-  color: #333333;
-  margin-bottom: 5px;
-  line-height: 1.3;
-}
-
-.all-events-text .events-text-list .event-text-item .event-text-url {
-  font-size: 0.8em;
-}
-
-.all-events-text .events-text-list .event-text-item .event-text-url a {
-  color: #667eea;
-  text-decoration: none;
-  word-break: break-all;
-  line-height: 1.3;
-}
-
-.all-events-text .events-text-list .event-text-item .event-text-url a:hover {
-  color: #5a67d8;
-  text-decoration: underline;
-}
-
-.footer {
-  text-align: center;
-  margin-top: 40px;
-  color: #666666;
-  border-top: 1px solid #e5e7eb;
-  padding-top: 20px;
-}
-
-.footer p {
-  margin-bottom: 5px;
-}
-
-.footer p:last-child {
-  margin-bottom: 0;
-}
-
-@media (max-width: 1200px) {
-  .sections {
-    grid-template-columns: 1fr;
-  }
-  .sidebar {
-    flex-direction: row;
-  }
-}
-
-@media (max-width: 768px) {
-  .summary-grid {
-    grid-template-columns: 1fr 1fr;
-  }
-  .sidebar {
-    flex-direction: column;
-  }
-  .header .venue-name {
-    font-size: 2em;
-  }
-  .content {
-    padding: 20px;
-  }
-  .summary-card {
-    padding: 20px;
-  }
-  .summary-card .summary-number {
-    font-size: 2em;
-  }
-}`;
+  border-bottom: none;
+  margin-bottom: 0;
+}
 
-        fs.writeFileSync('report-styles.css', css);
-        return { success: true, filename: 'report-styles.css' };
-    }// final-ticket-manager.js - Complete version with ticketed events list
-require('dotenv').config();
-const axios = require('axios');
-const fs = require('fs');
+.all-events-text .events-text-list .event-text-item .event-text-date {
+  font-size: 0.9em;
+  color: #666666;
+  margin-bottom: 5px;
+}
 
-class FinalTicketManager {
-    constructor() {
-        this.apiToken = process.env.WIX_API_TOKEN;
-        this.siteId = process.env.WIX_SITE_ID;
-        this.baseUrl = 'https://www.wixapis.com';
-        
-        if (!this.apiToken || !this.siteId) {
-            throw new Error('Missing WIX_API_TOKEN or WIX_SITE_ID in .env file');
-        }
-    }
+.all-events-text .events-text-list .event-text-item .event-text-title {
+  font-weight: 600;
+  color: #333333;
+  margin-bottom: 5px;
+  line-height: 1.3;
+}
 
-    getHeaders() {
-        return {
-            'Authorization': `Bearer ${this.apiToken}`,
-            'Content-Type': 'application/json',
-            'wix-site-id': this.siteId
-        };
-    }
+.all-events-text .events-text-list .event-text-item .event-text-url {
+  font-size: 0.8em;
+}
 
-    async delay(ms = 1000) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+.all-events-text .events-text-list .event-text-item .event-text-url a {
+  color: #667eea;
+  text-decoration: none;
+  word-break: break-all;
+  line-height: 1.3;
+}
 
-    async getEventTickets(eventId, retries = 3) {
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            try {
-                const response = await axios.get(`${this.baseUrl}/events/v1/events/${eventId}/tickets?limit=100`, {
-                    headers: this.getHeaders(),
-                    timeout: 10000
-                });
-                
-                return {
-                    success: true,
-                    tickets: response.data.tickets || [],
-                    total: response.data.total || 0
-                };
-            } catch (error) {
-                if (error.response?.status === 429 && attempt < retries) {
-                    console.log(`   Rate limited, waiting ${attempt * 2} seconds...`);
-                    await this.delay(attempt * 2000);
-                    continue;
-                }
-                
-                return { success: false, error: error.message, tickets: [], total: 0 };
-            }
-        }
-    }
+.all-events-text .events-text-list .event-text-item .event-text-url a:hover {
+  color: #5a67d8;
+  text-decoration: underline;
+}
 
-    async getUpcomingEventsWithTickets(limit = 20) {
-        try {
-            console.log(`Fetching next ${limit} events with ticket sales...`);
-            
-            // Get all events
-            let allEvents = [];
-            let offset = 0;
-            const batchSize = 100;
-            
-            while (true) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/events?limit=${batchSize}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const events = response.data.events || [];
-                if (events.length === 0) break;
-                
-                allEvents.push(...events);
-                offset += batchSize;
-                
-                if (events.length < batchSize) break;
-                await this.delay(500);
-            }
-            
-            // Filter for upcoming events
-            const now = new Date();
-            const upcomingEvents = allEvents
-                .filter(event => {
-                    const eventDate = new Date(event.scheduling?.config?.startDate);
-                    return eventDate > now;
-                })
-                .sort((a, b) => 
-                    new Date(a.scheduling?.config?.startDate) - new Date(b.scheduling?.config?.startDate)
-                )
-                .slice(0, limit);
-            
-            console.log(`   Found ${upcomingEvents.length} upcoming events`);
-            console.log(`   Getting ticket counts...`);
-            
-            // Get ticket data for each event
-            const eventsWithTickets = [];
-            for (let i = 0; i < upcomingEvents.length; i++) {
-                const event = upcomingEvents[i];
-                
-                console.log(`   ${i + 1}/${upcomingEvents.length}: ${event.title}`);
-                
-                const ticketsResult = await this.getEventTickets(event.id);
-                const ticketsSold = ticketsResult.total;
-                
-                // Calculate days until event
-                const eventDate = new Date(event.scheduling?.config?.startDate);
-                const daysFromNow = Math.ceil((eventDate - new Date()) / (1000 * 60 * 60 * 24));
-                
-                // Determine sales status
-                let salesStatus = 'low';
-                if (daysFromNow <= 7 && ticketsSold === 0) {
-                    salesStatus = 'urgent';
-                } else if (ticketsSold >= 25) {
-                    salesStatus = 'high';
-                } else if (ticketsSold >= 10) {
-                    salesStatus = 'medium';
-                }
-                
-                // Analyze payment methods (as a proxy for activity)
-                const paidTickets = ticketsResult.tickets?.filter(ticket => !ticket.free) || [];
-                const freeTickets = ticketsResult.tickets?.filter(ticket => ticket.free) || [];
-                
-                // Determine if this is a ticketed event (has paid tickets) or free/RSVP event
-                const isPaidEvent = paidTickets.length > 0;
-                const isFreeEvent = freeTickets.length === ticketsSold && ticketsSold > 0;
-                const isRSVPOnly = ticketsSold === 0 && this.isRSVPEvent(event.title);
-                
-                // Get event description/summary - try multiple fields
-                const eventSummary = this.getEventSummary(event);
-                
-                eventsWithTickets.push({
-                    ...event,
-                    ticketsSold,
-                    paidTickets: paidTickets.length,
-                    freeTickets: freeTickets.length,
-                    daysFromNow,
-                    salesStatus,
-                    eventType: this.categorizeEvent(event.title),
-                    venue: event.location?.name || 'The Listening Booth',
-                    isPaid: isPaidEvent,
-                    isFree: isFreeEvent,
-                    isRSVPOnly: isRSVPOnly,
-                    summary: eventSummary
-                });
-                
-                if (i < upcomingEvents.length - 1) {
-                    await this.delay(1000);
-                }
-            }
-            
-            return {
-                success: true,
-                events: eventsWithTickets,
-                total: eventsWithTickets.length,
-                generatedAt: new Date().toISOString()
-            };
-            
-        } catch (error) {
-            console.error('Error fetching events with tickets:', error.response?.data || error.message);
-            return { success: false, error: error.message };
-        }
-    }
+.timing-section {
+  margin-top: 40px;
+}
 
-    // Extract event summary/description
-    getEventSummary(event) {
-        // Try different fields that might contain the description
-        const description = event.about || 
-                          event.description || 
-                          event.summary || 
-                          event.details ||
-                          event.eventDescription ||
-                          '';
-        
-        if (!description) return '';
-        
-        // Clean up and truncate the description
-        let cleanDescription = description
-            .replace(/\n/g, ' ')  // Replace line breaks with spaces
-            .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-            .trim();
-        
-        // Truncate to reasonable length for console output
-        if (cleanDescription.length > 120) {
-            cleanDescription = cleanDescription.substring(0, 120) + '...';
-        }
-        
-        return cleanDescription;
-    }
+.timing-note {
+  color: #666666;
+  margin-bottom: 15px;
+}
 
-    categorizeEvent(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('open mic')) return 'Open Mic';
-        if (titleLower.includes('jam')) return 'Jam Session';
-        if (titleLower.includes('lessons') || titleLower.includes('songwriting')) return 'Workshop';
-        if (titleLower.includes('fundraiser')) return 'Fundraiser';
-        return 'Concert';
-    }
+.lead-time-table, .heatmap-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.85em;
+  margin-bottom: 20px;
+}
 
-    // Determine if an event is likely RSVP-only based on title/type
-    isRSVPEvent(title) {
-        const titleLower = title.toLowerCase();
-        return titleLower.includes('open mic') || 
-               titleLower.includes('jam') || 
-               titleLower.includes('lessons');
-    }
+.lead-time-table th, .lead-time-table td {
+  text-align: left;
+  padding: 8px 10px;
+  border-bottom: 1px solid #e5e7eb;
+}
 
-    // Get list of only ticketed events
-    async getTicketedEventsList(limit = 50) {
-        try {
-            const data = await this.getUpcomingEventsWithTickets(limit);
-            
-            if (!data.success) {
-                throw new Error(data.error);
-            }
-            
-            // Filter for only events with tickets sold
-            const ticketedEvents = data.events.filter(event => event.ticketsSold > 0);
-            
-            return {
-                success: true,
-                events: ticketedEvents,
-                total: ticketedEvents.length
-            };
-            
-        } catch (error) {
-            console.error('Error fetching ticketed events:', error.message);
-            return { success: false, error: error.message };
-        }
-    }
+.heatmap-table th {
+  color: #666666;
+  font-weight: 600;
+  font-size: 0.85em;
+  text-align: left;
+  white-space: nowrap;
+}
 
-    // Print ticketed events in format: {{date}} {{event}} ({{ticket count}})
-    async printTicketedEventsList(limit = 50) {
-        const result = await this.getTicketedEventsList(limit);
-        
-        if (!result.success) {
-            console.log('Error fetching ticketed events:', result.error);
-            return;
-        }
-        
-        if (result.events.length === 0) {
-            console.log('No ticketed events found.');
-            return;
-        }
-        
-        console.log('TICKETED EVENTS');
-        console.log('===============');
-        
-        result.events.forEach(event => {
-            // Format the date - try to get just the date part
-            let dateStr;
-            if (event.scheduling?.formatted) {
-                // Extract just the date part from formatted string
-                // "September 16, 2025, 6:30 – 8:00 PM" -> "September 16, 2025"
-                dateStr = event.scheduling.formatted.split(',').slice(0, 2).join(',');
-            } else if (event.scheduling?.config?.startDate) {
-                const eventDate = new Date(event.scheduling.config.startDate);
-                dateStr = eventDate.toLocaleDateString('en-US', { 
-                    year: 'numeric', 
-                    month: 'long', 
-                    day: 'numeric' 
-                });
-            } else {
-                dateStr = 'Date TBD';
-            }
-            
-            console.log(`${dateStr} ${event.title} (${event.ticketsSold})`);
-        });
-        
-        console.log(`\nTotal ticketed events: ${result.events.length}`);
-    }
+.heatmap-table td {
+  text-align: center;
+  height: 28px;
+  border: 1px solid #ffffff;
+  font-size: 0.8em;
+}
 
-    // Print ticketed events with shorter date format
-    async printTicketedEventsListShort(limit = 50) {
-        const result = await this.getTicketedEventsList(limit);
-        
-        if (!result.success) {
-            console.log('Error fetching ticketed events:', result.error);
-            return;
-        }
-        
-        if (result.events.length === 0) {
-            console.log('No ticketed events found.');
-            return;
-        }
-        
-        console.log('TICKETED EVENTS');
-        console.log('===============');
-        
-        result.events.forEach(event => {
-            // Short date format: "Sep 16" or "9/16"
-            let dateStr;
-            if (event.scheduling?.config?.startDate) {
-                const eventDate = new Date(event.scheduling.config.startDate);
-                dateStr = eventDate.toLocaleDateString('en-US', { 
-                    month: 'short', 
-                    day: 'numeric' 
-                });
-            } else {
-                dateStr = 'TBD';
-            }
-            
-            console.log(`${dateStr} ${event.title} (${event.ticketsSold})`);
-        });
-        
-        console.log(`\nTotal: ${result.events.length}`);
-    }
+.footer {
+  text-align: center;
+  margin-top: 40px;
+  color: #666666;
+  border-top: 1px solid #e5e7eb;
+  padding-top: 20px;
+}
 
-    async generateTicketReport(limit = 20) {
-        try {
-            const data = await this.getUpcomingEventsWithTickets(limit);
-            
-            if (!data.success) {
-                throw new Error(data.error);
-            }
-            
-            const totalTicketsSold = data.events.reduce((sum, event) => sum + event.ticketsSold, 0);
-            const totalPaidTickets = data.events.reduce((sum, event) => sum + event.paidTickets, 0);
-            const totalFreeTickets = data.events.reduce((sum, event) => sum + event.freeTickets, 0);
-            
-            // Only include events that sell tickets for the average calculation
-            const ticketedEvents = data.events.filter(event => 
-                event.isPaid || (event.ticketsSold > 0 && !event.isRSVPOnly)
-            );
-            const averageTicketsPerEvent = ticketedEvents.length > 0 ? 
-                Math.round(totalTicketsSold / ticketedEvents.length * 10) / 10 : 0;
-            
-            // Event type breakdown
-            const eventTypes = {};
-            data.events.forEach(event => {
-                eventTypes[event.eventType] = (eventTypes[event.eventType] || 0) + 1;
-            });
-            
-            // Sales performance
-            const salesBreakdown = {
-                high: data.events.filter(e => e.salesStatus === 'high').length,
-                medium: data.events.filter(e => e.salesStatus === 'medium').length,
-                low: data.events.filter(e => e.salesStatus === 'low').length,
-                urgent: data.events.filter(e => e.salesStatus === 'urgent').length
-            };
-            
-            const report = {
-                venue: {
-                    name: "The Listening Booth",
-                    location: "Lewes, Delaware"
-                },
-                summary: {
-                    totalUpcomingEvents: data.events.length,
-                    totalTicketsSold,
-                    totalPaidTickets,
-                    totalFreeTickets,
-                    averageTicketsPerEvent,
-                    ticketedEventsCount: ticketedEvents.length,
-                    freeEventsCount: data.events.filter(e => e.isFree || e.isRSVPOnly).length,
-                    eventTypes,
-                    salesBreakdown,
-                    topSellingEvents: data.events
-                        .filter(e => e.ticketsSold > 0)
-                        .sort((a, b) => b.ticketsSold - a.ticketsSold)
-                        .slice(0, 5)
-                        .map(e => ({ 
-                            title: e.title, 
-                            tickets: e.ticketsSold,
-                            type: e.isPaid ? 'paid' : e.isFree ? 'free' : 'unknown'
-                        })),
-                    urgentEvents: data.events.filter(e => e.salesStatus === 'urgent'),
-                    thisWeekEvents: data.events.filter(e => e.daysFromNow <= 7)
-                },
-                events: data.events.map(event => ({
-                    title: event.title,
-                    date: event.scheduling?.formatted,
-                    daysFromNow: event.daysFromNow,
-                    ticketsSold: event.ticketsSold,
-                    paidTickets: event.paidTickets,
-                    freeTickets: event.freeTickets,
-                    salesStatus: event.salesStatus,
-                    eventType: event.eventType,
-                    venue: event.venue,
-                    isPaid: event.isPaid,
-                    isFree: event.isFree,
-                    isRSVPOnly: event.isRSVPOnly,
-                    eventId: event.id,
-                    slug: event.slug,
-                    summary: event.summary
-                })),
-                generatedAt: data.generatedAt
-            };
-            
-            return { success: true, report };
-            
-        } catch (error) {
-            console.error('Error generating ticket report:', error.message);
-            return { success: false, error: error.message };
-        }
-    }
+.footer p {
+  margin-bottom: 5px;
+}
 
-    async printTicketReport(limit = 20) {
-        const reportData = await this.generateTicketReport(limit);
-        
-        if (!reportData.success) {
-            console.log('Error generating ticket report:', reportData.error);
-            return;
-        }
-        
-        const report = reportData.report;
-        
-        console.log('\nTHE LISTENING BOOTH - TICKET SALES REPORT');
-        console.log('===========================================');
-        console.log(`${report.summary.totalUpcomingEvents} events | ${report.summary.totalTicketsSold} tickets sold`);
-        console.log(`${report.summary.totalPaidTickets} paid tickets | ${report.summary.totalFreeTickets} free tickets`);
-        console.log(`Average: ${report.summary.averageTicketsPerEvent} tickets per ticketed event (${report.summary.ticketedEventsCount} ticketed events)`);
-        
-        const sb = report.summary.salesBreakdown;
-        console.log(`Performance: ${sb.high} high sales | ${sb.medium} medium | ${sb.low} low | ${sb.urgent} urgent\n`);
-        
-        // Top selling events
-        if (report.summary.topSellingEvents.length > 0) {
-            console.log('TOP SELLING EVENTS:');
-            report.summary.topSellingEvents.forEach((event) => {
-                const typeIcon = event.type === 'paid' ? 'PAID' : event.type === 'free' ? 'FREE' : '';
-                console.log(`${event.title} - ${event.tickets} tickets ${typeIcon}`);
-            });
-            console.log('');
-        }
-        
-        // This week's events
-        if (report.summary.thisWeekEvents.length > 0) {
-            console.log(`THIS WEEK (${report.summary.thisWeekEvents.length} events):`);
-            report.summary.thisWeekEvents.forEach(event => {
-                const statusIcon = {
-                    'high': 'HIGH',
-                    'medium': 'MED', 
-                    'low': 'LOW',
-                    'urgent': 'URGENT'
-                }[event.salesStatus];
-                console.log(`${statusIcon} ${event.title} - ${event.ticketsSold} tickets (${event.daysFromNow} days)`);
-            });
-            console.log('');
-        }
-        
-        // Event breakdown
-        console.log('Event Types:');
-        Object.entries(report.summary.eventTypes).forEach(([type, count]) => {
-            console.log(`${type}: ${count}`);
-        });
-        console.log('');
-        
-        console.log(`Ticketed Events: ${report.summary.ticketedEventsCount}`);
-        console.log(`Free/RSVP Events: ${report.summary.freeEventsCount}`);
-        console.log('');
-        
-        // Individual events - CLEAN FORMAT
-        console.log('ALL UPCOMING EVENTS:');
-        console.log('=====================');
-        report.events.forEach((event) => {
-            const statusIcon = {
-                'high': 'HIGH',
-                'medium': 'MED', 
-                'low': 'LOW',
-                'urgent': 'URGENT'
-            }[event.salesStatus];
-            
-            const typeIcon = {
-                'Concert': 'CONCERT',
-                'Open Mic': 'OPEN MIC',
-                'Jam Session': 'JAM',
-                'Workshop': 'WORKSHOP',
-                'Fundraiser': 'FUNDRAISER'
-            }[event.eventType] || event.eventType;
-            
-            let ticketInfo;
-            if (event.isRSVPOnly) {
-                ticketInfo = 'RSVP only';
-            } else if (event.isPaid) {
-                // Change "paid" to "ticket/tickets"
-                const ticketWord = event.paidTickets === 1 ? 'ticket' : 'tickets';
-                ticketInfo = `${event.paidTickets} ${ticketWord}`;
-            } else if (event.isFree) {
-                ticketInfo = `${event.freeTickets} free`;
-            } else {
-                const ticketWord = event.ticketsSold === 1 ? 'ticket' : 'tickets';
-                ticketInfo = `${event.ticketsSold} ${ticketWord}`;
-            }
-            
-            // Clean output format - no numbering, minimal spacing, no location
-            console.log(`${event.title}`);
-            console.log(`${event.date} (${event.daysFromNow} days away)`);
-            console.log(`${statusIcon} ${ticketInfo} | ${typeIcon}`);
-            
-            // Add event summary if available
-            if (event.summary) {
-                console.log(`${event.summary}`);
-            }
-            
-            console.log(''); // Single blank line between events
-        });
-        
-        // Urgent events warning
-        if (report.summary.urgentEvents.length > 0) {
-            console.log(`URGENT: ${report.summary.urgentEvents.length} events this week with no tickets sold:`);
-            report.summary.urgentEvents.forEach(event => {
-                console.log(`• ${event.title} (${event.daysFromNow} days away)`);
-            });
-            console.log('');
-        }
-        
-        console.log(`Report generated: ${new Date(report.generatedAt).toLocaleString()}`);
-        
-        // Note about calculation
-        console.log('\nNote: Average tickets calculated only for ticketed events (excludes free/RSVP-only events).');
+.footer p:last-child {
+  margin-bottom: 0;
+}
+
+@media (max-width: 1200px) {
+  .sections {
+    grid-template-columns: 1fr;
+  }
+  .sidebar {
+    flex-direction: row;
+  }
+}
+
+@media (max-width: 768px) {
+  .summary-grid {
+    grid-template-columns: 1fr 1fr;
+  }
+  .sidebar {
+    flex-direction: column;
+  }
+  .header .venue-name {
+    font-size: 2em;
+  }
+  .content {
+    padding: 20px;
+  }
+  .summary-card {
+    padding: 20px;
+  }
+  .summary-card .summary-number {
+    font-size: 2em;
+  }
+}`;
+
+        fs.writeFileSync('report-styles.css', css);
+        return { success: true, filename: 'report-styles.css' };
     }
 
-    async saveHTMLReport(filename = null) {
-        const reportData = await this.generateTicketReport(20);
-        
-        if (!reportData.success) {
-            console.log('Error generating report:', reportData.error);
-            return;
-        }
-        
-        const timestamp = new Date().toISOString().slice(0, 16).replace(/[:.]/g, '-');
-        const file = filename || `listening-booth-tickets-${timestamp}.html`;
-        
-        const html = this.generateHTML(reportData.report);
-        fs.writeFileSync(file, html);
-        
-        console.log(`HTML ticket report saved to ${file}`);
-        console.log('Perfect for sharing with your team!');
-        
-        return { success: true, filename: file };
+    // Lead times by event type and the weekday × hour purchase heatmap
+    generateTimingHTML(timing) {
+        const { leadTime, heatmap } = timing;
+        if (leadTime.orders === 0) return '';
+
+        const bucketHeaders = leadTime.buckets.map(bucket => `<th>${bucket.label}</th>`).join('');
+        const leadTimeRows = [{ type: 'All events', ...leadTime }, ...timing.leadTimeByType].map(group => `
+                        <tr>
+                            <td>${group.type}</td>
+                            <td>${group.orders}</td>
+                            <td>${group.medianDays} days</td>
+                            ${group.buckets.map(bucket => `<td>${bucket.percent}%</td>`).join('')}
+                        </tr>`).join('');
+
+        const heatmapRows = heatmap.weekdays.map((weekday, day) => `
+                        <tr>
+                            <th>${weekday}</th>
+                            ${heatmap.cells[day].map((count, hour) => {
+                                const opacity = heatmap.max > 0 ? Math.round(count / heatmap.max * 100) / 100 : 0;
+                                return `<td style="background: rgba(102, 126, 234, ${opacity})" title="${weekday} ${hourLabel(hour)}: ${count} orders">${count || ''}</td>`;
+                            }).join('')}
+                        </tr>`).join('');
+
+        return `
+            <div class="timing-section">
+                <div class="section-header">When People Buy</div>
+                <p class="timing-note">
+                    ${leadTime.orders} orders: half are placed ${leadTime.quartileDays[0]}-${leadTime.quartileDays[1]} days before the show (median ${leadTime.medianDays}).
+                    Busiest times: ${heatmap.peaks.slice(0, 3).map(peak => peak.label).join(', ')}.
+                </p>
+                <table class="lead-time-table">
+                    <tr><th>Event type</th><th>Orders</th><th>Median</th>${bucketHeaders}</tr>
+                    ${leadTimeRows}
+                </table>
+                <table class="heatmap-table">
+                    <tr><th></th>${heatmap.hours.map(hour => `<th>${hour % 3 === 0 ? hourLabel(hour) : ''}</th>`).join('')}</tr>
+                    ${heatmapRows}
+                </table>
+                <p class="timing-note">Orders by weekday and hour of the day (${heatmap.timeZone})</p>
+            </div>
+        `;
     }
 
-    generateHTML(report) {
+    generateHTML(report, timing = null) {
         const eventsHTML = report.events.map(event => {
             const statusClass = {
                 'high': 'status-high',
@@ -950,13 +1141,7 @@ class FinalTicketManager {
                 'urgent': 'status-urgent'
             }[event.salesStatus];
             
-            const typeColor = {
-                'Concert': '#667eea',
-                'Open Mic': '#f59e0b',
-                'Jam Session': '#10b981',
-                'Workshop': '#8b5cf6',
-                'Fundraiser': '#ef4444'
-            }[event.eventType] || '#6b7280';
+            const typeColor = this.categories.color(event.eventType);
             
             let ticketInfo;
             let ticketBadge = '';
@@ -1103,6 +1288,8 @@ class FinalTicketManager {
                 </div>
             </div>
             
+            ${timing ? this.generateTimingHTML(timing) : ''}
+            
             <div class="footer">
                 <p>Last Updated: ${new Date(report.generatedAt).toLocaleString()}</p>
                 <p>The Listening Booth Events System</p>
@@ -1117,9 +1304,12 @@ class FinalTicketManager {
 // Command line interface
 async function main() {
     try {
-        const manager = new FinalTicketManager();
-        const command = process.argv[2] || 'report';
-        const limit = parseInt(process.argv[3]) || 20;
+        // --store reads the local data store (see wix-sync.js) instead of calling Wix
+        const useStore = process.argv.includes('--store');
+        const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+        const manager = new FinalTicketManager({ client: useStore ? null : undefined, store: useStore ? new DataStore() : null });
+        const command = args[0] || 'report';
+        const limit = parseInt(args[1]) || 20;
         
         switch (command.toLowerCase()) {
             case 'report':
@@ -1130,6 +1320,28 @@ async function main() {
                 await manager.saveHTMLReport();
                 break;
                 
+            case 'revenue':
+                await manager.revenue.printEventRevenue(limit);
+                break;
+                
+            case 'compare': {
+                if (args.length < 3) {
+                    console.log('Usage: node final-ticket-manager.js compare <from> <to> [year|previous]');
+                    break;
+                }
+                // Whole days on the venue's clock, through the end of the last one
+                const range = PeriodComparison.dayRange(args[1], args[2]);
+                if (!range) {
+                    console.log('❌ from and to must be dates (YYYY-MM-DD), from no later than to');
+                    break;
+                }
+                await new PeriodComparison({ client: manager.client, store: manager.store }).printComparison({
+                    ...range,
+                    against: args[3] || 'year'
+                });
+                break;
+            }
+                
             case 'list':
             case 'ticketed':
                 await manager.printTicketedEventsList(limit);
@@ -1144,8 +1356,11 @@ async function main() {
                 console.log('Available commands:');
                 console.log('  report [number]       - Show comprehensive ticket sales report');
                 console.log('  html                  - Generate HTML report for team sharing');
+                console.log('  revenue [number]      - Gross, fees, refunds and net revenue per event');
+                console.log('  compare <from> <to> [year|previous] - Tickets, revenue and attendance vs last year or the period before');
                 console.log('  list [number]         - List ticketed events only ({{date}} {{event}} ({{count}}))');
                 console.log('  list-short [number]   - List ticketed events with short dates');
+                console.log('\nAdd --store to any command to read the local data store instead of Wix');
         }
         
     } catch (error) {
@@ -0,0 +1,188 @@
+// forecast.js - Projects final ticket counts and sell-out dates from past sales curves
+const SalesHistory = require('./sales-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Share of each projection that comes from the event's own recent sales rather than past curves
+const TREND_WEIGHT = 0.3;
+
+// Value at fraction p (0-1) of a list of numbers
+const percentile = (values, p) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Free / under $20 / $20-35 / over $35, from the cheapest ticket Wix lists for the event
+function priceTier(event) {
+    const lowest = parseFloat(event.registration?.ticketing?.lowestTicketPrice?.amount);
+    if (Number.isNaN(lowest)) return null;
+    if (lowest === 0) return 'free';
+    if (lowest < 20) return 'low';
+    if (lowest <= 35) return 'mid';
+    return 'high';
+}
+
+function weekday(event) {
+    const config = event.scheduling?.config;
+    if (!config?.startDate) return null;
+
+    return new Date(config.startDate).toLocaleDateString('en-US', {
+        weekday: 'short',
+        timeZone: config.timeZoneId || 'America/New_York'
+    });
+}
+
+class SalesForecast {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.history = options.history || new SalesHistory({ store: this.store });
+        // event -> type, same buckets as the report (see event-categories.js)
+        this.categorize = options.categorize;
+        // event -> seats available, or null when unknown (the report sets event.capacity, see capacity.js)
+        this.getCapacity = options.getCapacity || (event => event.capacity ?? null);
+        this.minComparables = options.minComparables ?? 3;
+        // Order timelines per event, cached for this instance (make one per report run)
+        this.timelines = new Map();
+    }
+
+    timeline(eventId) {
+        if (!this.timelines.has(eventId)) {
+            this.timelines.set(eventId, this.history.ticketsFromOrders(eventId)
+                .map(order => ({ at: new Date(order.at).getTime(), tickets: order.tickets })));
+        }
+        return this.timelines.get(eventId);
+    }
+
+    soldAt(eventId, time) {
+        return this.timeline(eventId)
+            .filter(order => order.at <= time)
+            .reduce((sum, order) => sum + order.tickets, 0);
+    }
+
+    // Past ticketed events of the same type, narrowed to those that also share weekday
+    // and price tier when there are enough of them
+    similarEvents(event, now) {
+        const type = this.categorize(event);
+        const candidates = this.store.find('events', past =>
+            new Date(past.startDate) <= now &&
+            past.status !== 'CANCELED' &&
+            past.registrationType !== 'RSVP' &&
+            this.categorize(past) === type &&
+            this.soldAt(past.id, new Date(past.startDate).getTime()) > 0
+        );
+
+        const day = weekday(event);
+        const tier = priceTier(event);
+        const score = past => (weekday(past.data) === day ? 1 : 0) + (priceTier(past.data) === tier ? 1 : 0);
+
+        for (const wanted of [2, 1]) {
+            const closest = candidates.filter(past => score(past) >= wanted);
+            if (closest.length >= this.minComparables) {
+                return { events: closest, matchedOn: wanted === 2 ? 'type, weekday and price' : 'type and weekday or price' };
+            }
+        }
+        return { events: candidates, matchedOn: 'type' };
+    }
+
+    // Projection for one upcoming event ({ ...wixEvent, ticketsSold })
+    forecastEvent(event, now = new Date()) {
+        const startTime = new Date(event.scheduling?.config?.startDate).getTime();
+        const daysOut = Math.max(0, Math.ceil((startTime - now.getTime()) / DAY_MS));
+        const sold = event.ticketsSold || 0;
+        const capacity = this.getCapacity(event);
+        const result = {
+            ticketsSold: sold,
+            daysOut,
+            capacity,
+            projectedFinal: null,
+            low: null,
+            high: null,
+            confidence: 'none',
+            sellOutDate: null,
+            soldOut: capacity ? sold >= capacity : false,
+            comparableCount: 0,
+            basis: null,
+            label: null
+        };
+
+        if (event.registration?.type === 'RSVP') {
+            return result;
+        }
+
+        const { events: similar, matchedOn } = this.similarEvents(event, now);
+        result.comparableCount = similar.length;
+        if (similar.length < this.minComparables) {
+            result.basis = 'not enough comparable past events';
+            return result;
+        }
+
+        // The event's own last week of sales carried through to showtime
+        const lastWeek = sold - this.soldAt(event.id, now.getTime() - 7 * DAY_MS);
+        const trend = sold + Math.max(0, lastWeek) / 7 * daysOut;
+
+        // Each comparable gives its own projection: scale by the share of its final sales it had
+        // reached at this lead time, or (if either side had sold nothing yet) add what it went on to sell.
+        // The event's own trend is blended in so a fast or slow run shows up before the curves catch it.
+        const curves = similar.map(past => {
+            const pastStart = new Date(past.startDate).getTime();
+            const soldThen = this.soldAt(past.id, pastStart - daysOut * DAY_MS);
+            const final = this.soldAt(past.id, pastStart);
+            const share = soldThen / final;
+            const fromCurve = sold > 0 && share >= 0.05 ? sold / share : sold + (final - soldThen);
+            const projection = fromCurve * (1 - TREND_WEIGHT) + trend * TREND_WEIGHT;
+            return { id: past.id, start: pastStart, soldThen, final, projection };
+        });
+
+        const cap = value => Math.round(capacity ? Math.min(value, capacity) : value);
+        const projections = curves.map(curve => curve.projection);
+        result.projectedFinal = Math.max(sold, cap(percentile(projections, 0.5)));
+        result.low = Math.max(sold, cap(percentile(projections, 0.25)));
+        result.high = Math.max(sold, cap(percentile(projections, 0.75)));
+
+        // Confidence from how many comparables there are and how tightly they agree
+        const spread = (result.high - result.low) / Math.max(1, result.projectedFinal);
+        result.confidence = similar.length >= 5 && spread <= 0.35 ? 'high' :
+            similar.length >= 3 && spread <= 0.75 ? 'medium' : 'low';
+        result.basis = `${similar.length} past events matched on ${matchedOn}`;
+
+        // Walk forward day by day along the median remaining-sales shape until capacity is reached
+        if (capacity && !result.soldOut && result.projectedFinal >= capacity) {
+            for (let day = daysOut; day >= 0; day--) {
+                const shares = curves
+                    .filter(curve => curve.final > curve.soldThen)
+                    .map(curve => (this.soldAt(curve.id, curve.start - day * DAY_MS) - curve.soldThen) / (curve.final - curve.soldThen));
+                const projectedThen = sold + (percentile(projections, 0.5) - sold) * (percentile(shares, 0.5) ?? 1);
+
+                if (projectedThen >= capacity) {
+                    result.sellOutDate = new Date(Math.max(now.getTime(), startTime - day * DAY_MS)).toISOString();
+                    break;
+                }
+            }
+        }
+
+        result.label = this.describe(result);
+        return result;
+    }
+
+    // e.g. "projected 48 tickets (40-55, medium confidence), sells out around Oct 30"
+    describe(forecast) {
+        if (forecast.projectedFinal === null) return null;
+
+        const range = forecast.low === forecast.high ? '' : `${forecast.low}-${forecast.high}, `;
+        let label = `projected ${forecast.projectedFinal} tickets (${range}${forecast.confidence} confidence)`;
+        if (forecast.sellOutDate) {
+            label += `, sells out around ${new Date(forecast.sellOutDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+        } else if (forecast.capacity) {
+            label += ` of ${forecast.capacity} seats`;
+        }
+        return label;
+    }
+}
+
+module.exports = SalesForecast;
+module.exports.priceTier = priceTier;
+module.exports.weekday = weekday;
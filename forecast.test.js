@@ -0,0 +1,132 @@
+// forecast.test.js - Final ticket and sell-out projections from the sales curves of similar past events (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('./data-store');
+const SalesForecast = require('./forecast');
+const { priceTier, weekday } = SalesForecast;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T00:00:00.000Z');
+const daysBefore = (date, days) => new Date(new Date(date).getTime() - days * DAY_MS).toISOString();
+
+// A Wix event as the API returns it; the store keeps it under `data`
+const wixEvent = (id, title, startDate, price, extra = {}) => ({
+    id,
+    title,
+    status: 'SCHEDULED',
+    scheduling: { config: { startDate, timeZoneId: 'America/New_York' } },
+    registration: { type: 'TICKETS', ticketing: { lowestTicketPrice: { amount: price } } },
+    ...extra
+});
+const stored = event => ({
+    id: event.id,
+    title: event.title,
+    status: event.status,
+    startDate: event.scheduling.config.startDate,
+    registrationType: event.registration.type,
+    data: event
+});
+
+// A week from now (a Saturday evening in New York): 10 tickets sold, all of them over a week ago
+const upcoming = wixEvent('next-concert', 'Next Concert', '2026-03-08T00:00:00.000Z', '25', { ticketsSold: 10 });
+
+let dir;
+let store;
+
+// Three past Saturday concerts at $25 sold 10 tickets by a week out and 20 in all. A Sunday $10 concert
+// sold far more late; an open mic and a canceled show did too, but never compare.
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forecast-'));
+    store = new DataStore({ dir });
+
+    const past = [
+        [wixEvent('concert-1', 'Concert 1', '2026-02-22T00:00:00.000Z', '25'), 10, 10],
+        [wixEvent('concert-2', 'Concert 2', '2026-02-15T00:00:00.000Z', '25'), 10, 10],
+        [wixEvent('concert-3', 'Concert 3', '2026-02-08T00:00:00.000Z', '25'), 10, 10],
+        [wixEvent('sunday-concert', 'Sunday Concert', '2026-02-02T00:00:00.000Z', '10'), 10, 90],
+        [wixEvent('open-mic', 'Open Mic', '2026-02-21T00:00:00.000Z', '25'), 10, 90],
+        [wixEvent('canceled', 'Canceled Concert', '2026-02-14T00:00:00.000Z', '25', { status: 'CANCELED' }), 10, 90]
+    ];
+    store.put('events', past.map(([event]) => stored(event)));
+
+    let orderNumber = 0;
+    const order = (eventId, created, ticketsQuantity) => ({ id: `o${++orderNumber}`, eventId, created, ticketsQuantity, status: 'PAID' });
+    const orders = past.flatMap(([event, early, late]) => [
+        order(event.id, daysBefore(event.scheduling.config.startDate, 10), early),
+        order(event.id, daysBefore(event.scheduling.config.startDate, 1), late)
+    ]);
+    orders.push(order(upcoming.id, daysBefore(now, 10), 10));
+    store.put('orders', orders);
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const categorize = event => (event.title.includes('Open Mic') ? 'Open Mic' : 'Concert');
+
+test('priceTier and weekday read the Wix event', () => {
+    assert.deepEqual(['0', '19.99', '20', '35', '35.01'].map(amount => priceTier(wixEvent('e', 'E', now.toISOString(), amount))),
+        ['free', 'low', 'mid', 'mid', 'high']);
+    assert.equal(priceTier({ registration: { type: 'RSVP' } }), null);
+
+    assert.equal(weekday(upcoming), 'Sat');
+    assert.equal(weekday({ scheduling: { config: { startDate: '2026-03-08T00:00:00.000Z', timeZoneId: 'UTC' } } }), 'Sun');
+    assert.equal(weekday({}), null);
+});
+
+test('the projection blends the closest comparables\' curves with the event\'s own trend', () => {
+    const forecast = new SalesForecast({ store, categorize }).forecastEvent(upcoming, now);
+
+    // Comparables had half their sales a week out (10 / 0.5 = 20); the last week added nothing (10).
+    // 20 × 0.7 + 10 × 0.3 = 17
+    assert.deepEqual(forecast, {
+        ticketsSold: 10,
+        daysOut: 7,
+        capacity: null,
+        projectedFinal: 17,
+        low: 17,
+        high: 17,
+        confidence: 'medium',
+        sellOutDate: null,
+        soldOut: false,
+        comparableCount: 3,
+        basis: '3 past events matched on type, weekday and price',
+        label: 'projected 17 tickets (medium confidence)'
+    });
+
+    // Fewer than minComparables at weekday and price: fall back to the type alone, which brings in
+    // the Sunday show (10% sold a week out: 100 × 0.7 + 10 × 0.3 = 73) and widens the range
+    const loose = new SalesForecast({ store, categorize, minComparables: 4 }).forecastEvent(upcoming, now);
+    assert.equal(loose.comparableCount, 4);
+    assert.equal(loose.basis, '4 past events matched on type');
+    assert.deepEqual([loose.low, loose.projectedFinal, loose.high], [17, 17, 31]);
+    assert.equal(loose.confidence, 'low');
+});
+
+test('capacity caps the projection and dates the sell-out along the comparables\' remaining sales', () => {
+    const forecast = new SalesForecast({ store, categorize, getCapacity: () => 15 }).forecastEvent(upcoming, now);
+    assert.equal(forecast.projectedFinal, 15);
+    assert.equal(forecast.high, 15);
+    // The comparables made their remaining sales the day before the show
+    assert.equal(forecast.sellOutDate, '2026-03-07T00:00:00.000Z');
+    assert.match(forecast.label, /^projected 15 tickets \(medium confidence\), sells out around Mar \d+$/);
+
+    const roomy = new SalesForecast({ store, categorize }).forecastEvent({ ...upcoming, capacity: 40 }, now);
+    assert.equal(roomy.sellOutDate, null);
+    assert.equal(roomy.label, 'projected 17 tickets (medium confidence) of 40 seats');
+
+    const soldOut = new SalesForecast({ store, categorize }).forecastEvent({ ...upcoming, capacity: 10 }, now);
+    assert.deepEqual([soldOut.soldOut, soldOut.projectedFinal, soldOut.sellOutDate], [true, 10, null]);
+});
+
+test('RSVP events and events without enough history get no projection', () => {
+    const forecasts = new SalesForecast({ store, categorize, minComparables: 5 });
+
+    const rsvp = forecasts.forecastEvent({ ...upcoming, registration: { type: 'RSVP' } }, now);
+    assert.deepEqual([rsvp.projectedFinal, rsvp.confidence, rsvp.comparableCount, rsvp.basis, rsvp.label], [null, 'none', 0, null, null]);
+
+    const thin = forecasts.forecastEvent(upcoming, now);
+    assert.deepEqual([thin.projectedFinal, thin.comparableCount, thin.basis, thin.label], [null, 4, 'not enough comparable past events', null]);
+});
@@ -0,0 +1,372 @@
+// mock-wix-server.js - Offline stand-in for the Wix APIs, served from recorded fixtures
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'wix');
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Read one fixture file ({ recordedAt, <key>: [...] })
+function loadFixture(dir, name, key) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+        return { recordedAt: null, items: [] };
+    }
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { recordedAt: data.recordedAt || null, items: data[key] || [] };
+}
+
+// Move every ISO timestamp by offsetMs so recorded "upcoming" events stay upcoming
+function shiftDates(value, offsetMs) {
+    if (typeof value === 'string' && ISO_DATE.test(value)) {
+        return new Date(new Date(value).getTime() + offsetMs).toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => shiftDates(item, offsetMs));
+    }
+    if (value && typeof value === 'object') {
+        const shifted = {};
+        Object.entries(value).forEach(([key, item]) => {
+            shifted[key] = shiftDates(item, offsetMs);
+        });
+        return shifted;
+    }
+    return value;
+}
+
+// Rebuild the human-readable schedule strings Wix sends ("September 17, 2025, 6:30 – 9:30 PM")
+function formatSchedule(event) {
+    const config = event.scheduling?.config;
+    if (!config?.startDate) return event;
+
+    const timeZone = config.timeZoneId || 'America/New_York';
+    const start = new Date(config.startDate);
+    const end = new Date(config.endDate || config.startDate);
+    const date = d => d.toLocaleDateString('en-US', { timeZone, month: 'long', day: 'numeric', year: 'numeric' });
+    const time = d => d.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+
+    let formatted;
+    if (date(start) === date(end)) {
+        const startTime = time(start);
+        const endTime = time(end);
+        const sameHalf = startTime.slice(-2) === endTime.slice(-2);
+        formatted = `${date(start)}, ${sameHalf ? startTime.slice(0, -3) : startTime} – ${endTime}`;
+    } else {
+        formatted = `${date(start)} at ${time(start)} – ${date(end)} at ${time(end)}`;
+    }
+
+    return {
+        ...event,
+        scheduling: {
+            ...event.scheduling,
+            formatted,
+            startDateFormatted: date(start),
+            startTimeFormatted: time(start)
+        }
+    };
+}
+
+// Load all fixtures, shifted by whole weeks so weekdays and showtimes stay put
+function loadFixtures(dir = DEFAULT_FIXTURES_DIR, { shift = true, now = new Date() } = {}) {
+    const files = {
+        events: loadFixture(dir, 'events.json', 'events'),
+        tickets: loadFixture(dir, 'tickets.json', 'tickets'),
+        ticketDefinitions: loadFixture(dir, 'ticket-definitions.json', 'definitions'),
+        orders: loadFixture(dir, 'orders.json', 'orders'),
+        rsvps: loadFixture(dir, 'rsvps.json', 'rsvps'),
+        bookings: loadFixture(dir, 'bookings.json', 'bookings')
+    };
+
+    const recordedAt = files.events.recordedAt;
+    const offsetMs = shift && recordedAt ?
+        Math.floor((now - new Date(recordedAt)) / WEEK_MS) * WEEK_MS : 0;
+
+    const fixtures = { recordedAt, offsetMs };
+    Object.entries(files).forEach(([key, file]) => {
+        fixtures[key] = offsetMs ? shiftDates(file.items, offsetMs) : file.items;
+    });
+    fixtures.events = fixtures.events.map(formatSchedule);
+
+    return fixtures;
+}
+
+// Query params can be repeated (?eventId=a&eventId=b)
+function toArray(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Read a dotted field path ("scheduling.config.startDate") off a record
+function getField(record, field) {
+    return field.split('.').reduce((value, key) => value?.[key], record);
+}
+
+// The subset of Wix query filters we use: equality plus $eq/$ne/$in/$gt/$gte/$lt/$lte
+function matchesFilter(record, filter = {}) {
+    return Object.entries(filter).every(([field, condition]) => {
+        const value = getField(record, field);
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            return value === condition;
+        }
+
+        return Object.entries(condition).every(([op, expected]) => {
+            switch (op) {
+                case '$eq': return value === expected;
+                case '$ne': return value !== expected;
+                case '$in': return expected.includes(value);
+                case '$gt': return value > expected;
+                case '$gte': return value >= expected;
+                case '$lt': return value < expected;
+                case '$lte': return value <= expected;
+                default: throw new Error(`Unsupported filter operator ${op}`);
+            }
+        });
+    });
+}
+
+// Offset paging the way the v1 list endpoints do it
+function paginate(items, query, defaultLimit = 50) {
+    const limit = Math.min(parseInt(query.limit) || defaultLimit, 100);
+    const offset = parseInt(query.offset) || 0;
+
+    return {
+        items: items.slice(offset, offset + limit),
+        total: items.length,
+        limit,
+        offset
+    };
+}
+
+function createMockWixServer(options = {}) {
+    const fixtures = options.fixtures || loadFixtures(options.fixturesDir, { shift: options.shift !== false });
+    const rateLimit = options.rateLimit || 0;
+    const latencyMs = options.latencyMs || 0;
+    const app = express();
+    let windowStart = Date.now();
+    let windowCount = 0;
+
+    app.use(express.json());
+
+    // OAuth refresh grant - hands out a new token pair for any refresh token
+    let tokenCount = 0;
+    app.post('/oauth/access', (req, res) => {
+        if (req.body.grant_type !== 'refresh_token' || !req.body.refresh_token) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'Expected a refresh_token grant' });
+        }
+
+        tokenCount++;
+        res.json({
+            access_token: `mock-access-token-${tokenCount}`,
+            refresh_token: `mock-refresh-token-${tokenCount}`,
+            expires_in: 300
+        });
+    });
+
+    // Same auth shape as Wix: a bearer token and a site id
+    app.use((req, res, next) => {
+        if (!req.get('Authorization')) {
+            return res.status(401).json({ message: 'Missing Authorization header' });
+        }
+        if (!req.get('wix-site-id')) {
+            return res.status(400).json({ message: 'Missing wix-site-id header' });
+        }
+        next();
+    });
+
+    // Optional requests-per-second cap to exercise the client's 429 handling
+    app.use((req, res, next) => {
+        if (!rateLimit) return next();
+
+        const now = Date.now();
+        if (now - windowStart >= 1000) {
+            windowStart = now;
+            windowCount = 0;
+        }
+        windowCount++;
+
+        if (windowCount > rateLimit) {
+            res.set('Retry-After', '1');
+            return res.status(429).json({ message: 'Rate limit exceeded' });
+        }
+        next();
+    });
+
+    if (latencyMs) {
+        app.use((req, res, next) => setTimeout(next, latencyMs));
+    }
+
+    const findEvent = (req, res) => {
+        const event = fixtures.events.find(e => e.id === req.params.id);
+        if (!event) {
+            res.status(404).json({ message: `Event ${req.params.id} not found` });
+        }
+        return event;
+    };
+
+    app.get('/events/v1/events', (req, res) => {
+        const statuses = toArray(req.query.status);
+        const events = statuses.length > 0 ?
+            fixtures.events.filter(e => statuses.includes(e.status)) :
+            fixtures.events;
+        const page = paginate(events, req.query);
+
+        res.json({ events: page.items, total: page.total, limit: page.limit, offset: page.offset });
+    });
+
+    // Query endpoints take a filter and a sort ("scheduling.config.startDate:asc")
+    const query = (key, records) => (req, res) => {
+        const { filter = {}, sort, limit, offset } = req.body || {};
+
+        let items;
+        try {
+            items = records.filter(record => matchesFilter(record, filter));
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+
+        if (sort) {
+            const [field, order = 'asc'] = sort.split(':');
+            const direction = order.toLowerCase() === 'desc' ? -1 : 1;
+            items = [...items].sort((a, b) => {
+                const left = getField(a, field);
+                const right = getField(b, field);
+                return (left < right ? -1 : left > right ? 1 : 0) * direction;
+            });
+        }
+
+        const page = paginate(items, { limit, offset });
+        res.json({ [key]: page.items, total: page.total, limit: page.limit, offset: page.offset });
+    };
+
+    app.post('/events/v1/events/query', query('events', fixtures.events));
+    app.post('/events/v1/orders/query', query('orders', fixtures.orders));
+
+    app.get('/events/v1/events/:id', (req, res) => {
+        const event = findEvent(req, res);
+        if (event) res.json({ event });
+    });
+
+    app.get('/events/v1/events/:id/tickets', (req, res) => {
+        if (!findEvent(req, res)) return;
+
+        const page = paginate(fixtures.tickets.filter(t => t.eventId === req.params.id), req.query);
+        res.json({ tickets: page.items, total: page.total, limit: page.limit, offset: page.offset });
+    });
+
+    app.get('/events/v1/tickets', (req, res) => {
+        const eventIds = toArray(req.query.eventId);
+        const tickets = eventIds.length > 0 ?
+            fixtures.tickets.filter(t => eventIds.includes(t.eventId)) :
+            fixtures.tickets;
+        const page = paginate(tickets, req.query);
+
+        res.json({ tickets: page.items, total: page.total, limit: page.limit, offset: page.offset });
+    });
+
+    app.get('/events/v1/ticket-definitions', (req, res) => {
+        const eventIds = toArray(req.query.eventId);
+        const definitions = eventIds.length > 0 ?
+            fixtures.ticketDefinitions.filter(d => eventIds.includes(d.eventId)) :
+            fixtures.ticketDefinitions;
+        const page = paginate(definitions, req.query);
+
+        res.json({ definitions: page.items, total: page.total, limit: page.limit, offset: page.offset });
+    });
+
+    app.get('/events/v1/orders', (req, res) => {
+        const eventIds = toArray(req.query.eventId);
+        const statuses = toArray(req.query.status);
+        const orders = fixtures.orders.filter(o =>
+            (eventIds.length === 0 || eventIds.includes(o.eventId)) &&
+            (statuses.length === 0 || statuses.includes(o.status))
+        );
+        const page = paginate(orders, req.query);
+
+        res.json({ orders: page.items, total: page.total, limit: page.limit, offset: page.offset });
+    });
+
+    app.get('/events/v1/events/:id/rsvps', (req, res) => {
+        if (!findEvent(req, res)) return;
+
+        const page = paginate(fixtures.rsvps.filter(r => r.eventId === req.params.id), req.query);
+        res.json({ rsvps: page.items, total: page.total, limit: page.limit, offset: page.offset });
+    });
+
+    app.get('/bookings/v2/bookings', (req, res) => {
+        const bookings = req.query.eventId ?
+            fixtures.bookings.filter(b => b.eventId === req.query.eventId) :
+            fixtures.bookings;
+
+        res.json({ bookings, pagingMetadata: { count: bookings.length } });
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ message: `No mock for ${req.method} ${req.path}` });
+    });
+
+    return app;
+}
+
+// Start a mock on `port` (0 picks a free one) and resolve with the listening server
+function startMockWixServer({ port = 0, ...options } = {}) {
+    return new Promise((resolve, reject) => {
+        const server = createMockWixServer(options).listen(port, () => resolve(server));
+        server.on('error', reject);
+    });
+}
+
+// Settings that point every Wix client at a running mock whatever .env says.
+// The blank OAuth settings keep a real refresh token from being used or rewritten.
+function mockWixEnv(server) {
+    const baseUrl = `http://localhost:${server.address().port}`;
+    return {
+        WIX_API_BASE_URL: baseUrl,
+        WIX_OAUTH_URL: `${baseUrl}/oauth/access`,
+        WIX_API_TOKEN: 'mock-token',
+        WIX_ACCESS_TOKEN: '',
+        WIX_REFRESH_TOKEN: '',
+        WIX_TOKEN_EXPIRES_AT: '',
+        WIX_SITE_ID: 'mock-site',
+        WIX_API_MODE: 'live'
+    };
+}
+
+// Command line interface
+function main() {
+    const args = process.argv.slice(2);
+    const flag = (name) => args.find(arg => arg.startsWith(`--${name}`));
+    const value = (name) => flag(name)?.split('=')[1];
+
+    const port = parseInt(args.find(arg => !arg.startsWith('--'))) || parseInt(process.env.MOCK_WIX_PORT) || 4010;
+    const fixturesDir = value('fixtures') || process.env.MOCK_WIX_FIXTURES || DEFAULT_FIXTURES_DIR;
+    const fixtures = loadFixtures(fixturesDir, { shift: !flag('no-shift') });
+
+    const app = createMockWixServer({
+        fixtures,
+        rateLimit: parseInt(value('rate-limit')) || 0,
+        latencyMs: parseInt(value('latency')) || 0
+    });
+
+    app.listen(port, () => {
+        console.log('Mock Wix API Server');
+        console.log('===================');
+        console.log(`Listening on http://localhost:${port}`);
+        console.log(`Fixtures: ${fixturesDir}`);
+        console.log(`${fixtures.events.length} events | ${fixtures.tickets.length} tickets | ${fixtures.ticketDefinitions.length} ticket definitions | ${fixtures.orders.length} orders | ${fixtures.rsvps.length} RSVPs | ${fixtures.bookings.length} bookings`);
+        if (fixtures.offsetMs) {
+            console.log(`Dates shifted forward ${Math.round(fixtures.offsetMs / WEEK_MS)} weeks from ${fixtures.recordedAt}`);
+        }
+        console.log(`\nPoint the dashboard at it with WIX_API_BASE_URL=http://localhost:${port}`);
+    });
+}
+
+module.exports = createMockWixServer;
+module.exports.loadFixtures = loadFixtures;
+module.exports.startMockWixServer = startMockWixServer;
+module.exports.mockWixEnv = mockWixEnv;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,110 @@
+// mock-wix.test.js - End to end against mock-wix-server.js: sync into a scratch data dir
+// and report from it (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockWixServer = require('./mock-wix-server');
+const { startMockWixServer, mockWixEnv } = createMockWixServer;
+const DataStore = require('./data-store');
+
+const run = promisify(execFile);
+const fixtures = createMockWixServer.loadFixtures();
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wix-data-'));
+let server;
+let env;
+
+// Run one of the CLIs and return what it printed (a non-zero exit fails the test)
+async function cli(args, options = {}) {
+    const { stdout } = await run(process.execPath, [path.join(__dirname, args[0]), ...args.slice(1)], {
+        cwd: __dirname,
+        env,
+        timeout: 120000,
+        ...options
+    });
+    return stdout;
+}
+
+test.before(async () => {
+    server = await startMockWixServer({ fixtures });
+    env = { ...process.env, ...mockWixEnv(server), WIX_DATA_DIR: dataDir };
+});
+
+test.after(() => {
+    server?.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('wix-sync.js all copies every fixture into the store', async () => {
+    const output = await cli(['wix-sync.js', 'all']);
+    assert.match(output, /✅ Sync complete/);
+
+    const store = new DataStore({ dir: dataDir });
+    const stats = store.stats();
+    assert.equal(stats.events, fixtures.events.length);
+    assert.equal(stats.tickets, fixtures.tickets.length);
+    assert.equal(stats.definitions, fixtures.ticketDefinitions.length);
+    assert.equal(stats.orders, fixtures.orders.length);
+    assert.equal(stats.rsvps, fixtures.rsvps.length);
+    assert.equal(stats.bookings, fixtures.bookings.length);
+
+    // Every record hangs off a synced event
+    const eventIds = new Set(store.all('events').map(event => event.id));
+    store.all('tickets').forEach(ticket => assert.ok(eventIds.has(ticket.eventId), `ticket ${ticket.id} has no event`));
+});
+
+test('final-ticket-manager.js report --store adds up', async () => {
+    const output = await cli(['final-ticket-manager.js', 'report', '--store']);
+    const count = pattern => {
+        const match = output.match(pattern);
+        assert.ok(match, `report is missing ${pattern}`);
+        return match.slice(1).map(Number);
+    };
+
+    const [events, ticketsSold] = count(/^(\d+) events \| (\d+) tickets sold$/m);
+    const [paid, free] = count(/^(\d+) paid tickets \| (\d+) free tickets$/m);
+    const [ticketed] = count(/^Ticketed Events: (\d+)$/m);
+    const [freeEvents] = count(/^Free\/RSVP Events: (\d+)$/m);
+    const statuses = count(/^Performance: (\d+) high sales \| (\d+) medium \| (\d+) low \| (\d+) urgent$/m);
+
+    assert.equal(events, 20);
+    assert.ok(ticketsSold > 0);
+    assert.equal(paid + free, ticketsSold);
+    // An event is ticketed or free/RSVP, never both
+    assert.ok(ticketed > 0 && freeEvents > 0 && ticketed + freeEvents <= events);
+    assert.equal(statuses.reduce((sum, value) => sum + value, 0), events);
+
+    const types = output.split('Event Types:\n')[1].split('\n\n')[0].split('\n');
+    assert.equal(types.reduce((sum, line) => sum + Number(line.split(': ')[1]), 0), events);
+});
+
+test('final-ticket-manager.js report works straight from Wix too', async () => {
+    const output = await cli(['final-ticket-manager.js', 'report', '5']);
+    assert.match(output, /^5 events \| \d+ tickets sold$/m);
+});
+
+test('--store reports run without Wix credentials', async () => {
+    // No .env in the working directory and no WIX_ settings beyond the data dir
+    const offline = Object.fromEntries(Object.entries(env).filter(([name]) => !name.startsWith('WIX_')));
+    offline.WIX_DATA_DIR = dataDir;
+
+    for (const args of [
+        ['past-events.js', 'report', '5'],
+        ['revenue.js', 'events'],
+        ['period-compare.js', '2025-09-01', '2025-09-30', 'year'],
+        ['check-ins.js', 'report', '5'],
+        ['purchase-timing.js', 'report'],
+        ['series.js', 'report'],
+        ['final-ticket-manager.js', 'report', '5']
+    ]) {
+        const { stdout, stderr } = await run(process.execPath, [path.join(__dirname, args[0]), ...args.slice(1), '--store'], {
+            cwd: os.tmpdir(),
+            env: offline,
+            timeout: 120000
+        });
+        assert.doesNotMatch(stdout + stderr, /❌/, `${args[0]} failed:\n${stderr}`);
+    }
+});
@@ -2,6 +2,7 @@
 require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
+const { updateEnvFile } = require('./token-provider');
 
 const app = express();
 
@@ -81,31 +82,14 @@ WIX_REFRESH_TOKEN=${refresh_token}
             <p>You can now close this window and use your Wix Events API.</p>
         `);
 
-        // Optionally save to .env file automatically
-        const fs = require('fs');
-        let envContent = '';
-        try {
-            envContent = fs.readFileSync('.env', 'utf8').toString();
-        } catch (e) {
-            // .env doesn't exist, create it
-            envContent = '';
-        }
-        
-        // Update or add tokens
-        if (envContent.includes('WIX_ACCESS_TOKEN=')) {
-            envContent = envContent.replace(/WIX_ACCESS_TOKEN=.*/, `WIX_ACCESS_TOKEN=${access_token}`);
-        } else {
-            envContent += `\nWIX_ACCESS_TOKEN=${access_token}`;
-        }
-        
-        if (envContent.includes('WIX_REFRESH_TOKEN=')) {
-            envContent = envContent.replace(/WIX_REFRESH_TOKEN=.*/, `WIX_REFRESH_TOKEN=${refresh_token}`);
-        } else {
-            envContent += `\nWIX_REFRESH_TOKEN=${refresh_token}`;
-        }
-        
-        fs.writeFileSync('.env', envContent);
+        // Save to .env automatically; the expiry lets token-provider.js refresh before it runs out
+        updateEnvFile({
+            WIX_ACCESS_TOKEN: access_token,
+            WIX_REFRESH_TOKEN: refresh_token,
+            WIX_TOKEN_EXPIRES_AT: new Date(Date.now() + (expires_in || 300) * 1000).toISOString()
+        });
         console.log('✅ Tokens automatically saved to .env file');
+        console.log('🔄 The dashboard will refresh the access token on its own from now on');
         
         setTimeout(() => {
             process.exit(0);
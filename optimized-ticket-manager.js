@@ -1,25 +1,18 @@
 // optimized-ticket-manager.js - Respects rate limits, focuses on ticket data
 require('dotenv').config();
-const axios = require('axios');
 const fs = require('fs');
+const WixClient = require('./wix-client');
+const SalesStatusRules = require('./sales-status');
+const { statusFacts } = SalesStatusRules;
+const EventCapacity = require('./capacity');
+const EventCategories = require('./event-categories');
 
 class OptimizedTicketManager {
-    constructor() {
-        this.apiToken = process.env.WIX_API_TOKEN;
-        this.siteId = process.env.WIX_SITE_ID;
-        this.baseUrl = 'https://www.wixapis.com';
-        
-        if (!this.apiToken || !this.siteId) {
-            throw new Error('Missing WIX_API_TOKEN or WIX_SITE_ID in .env file');
-        }
-    }
-
-    getHeaders() {
-        return {
-            'Authorization': `Bearer ${this.apiToken}`,
-            'Content-Type': 'application/json',
-            'wix-site-id': this.siteId
-        };
+    constructor(options = {}) {
+        this.client = options.client || new WixClient(options);
+        this.statusRules = options.statusRules || new SalesStatusRules();
+        this.categories = options.categories || new EventCategories();
+        this.capacity = options.capacity || new EventCapacity();
     }
 
     // Add delay between requests to avoid rate limiting
@@ -27,30 +20,21 @@ class OptimizedTicketManager {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Get tickets for specific event with rate limiting
-    async getEventTickets(eventId, retries = 3) {
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            try {
-                const response = await axios.get(`${this.baseUrl}/events/v1/events/${eventId}/tickets?limit=100`, {
-                    headers: this.getHeaders(),
-                    timeout: 10000
-                });
-                
-                return {
-                    success: true,
-                    tickets: response.data.tickets || [],
-                    total: response.data.total || 0
-                };
-            } catch (error) {
-                if (error.response?.status === 429 && attempt < retries) {
-                    console.log(`   Rate limited, waiting ${attempt * 2} seconds...`);
-                    await this.delay(attempt * 2000);
-                    continue;
-                }
-                
-                console.log(`   Could not fetch tickets for event: ${error.response?.status || error.message}`);
-                return { success: false, error: error.message, tickets: [], total: 0 };
-            }
+    // Get tickets for specific event (the client retries rate limits)
+    async getEventTickets(eventId) {
+        try {
+            const data = await this.client.get(`/events/v1/events/${eventId}/tickets`, {
+                params: { limit: 100 }
+            });
+            
+            return {
+                success: true,
+                tickets: data.tickets || [],
+                total: data.total || 0
+            };
+        } catch (error) {
+            console.log(`   Could not fetch tickets for event: ${error.status || error.message}`);
+            return { success: false, error: error.message, tickets: [], total: 0 };
         }
     }
 
@@ -59,41 +43,20 @@ class OptimizedTicketManager {
         try {
             console.log(`🎫 Fetching next ${limit} events with ticket sales...`);
             
-            // Get all events first
-            let allEvents = [];
-            let offset = 0;
-            const batchSize = 100;
+            // Only the next few upcoming events - Wix does the date filtering
+            const { items: upcomingEvents } = await this.client.listUpcomingEvents({ limit });
             
-            while (true) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/events?limit=${batchSize}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const events = response.data.events || [];
-                if (events.length === 0) break;
-                
-                allEvents.push(...events);
-                offset += batchSize;
-                
-                if (events.length < batchSize) break;
-                
-                // Add delay between batches
-                await this.delay(500);
-            }
+            console.log(`   Found ${upcomingEvents.length} upcoming events`);
             
-            // Filter for upcoming events
-            const now = new Date();
-            const upcomingEvents = allEvents
-                .filter(event => {
-                    const eventDate = new Date(event.scheduling?.config?.startDate);
-                    return eventDate > now;
-                })
-                .sort((a, b) => 
-                    new Date(a.scheduling?.config?.startDate) - new Date(b.scheduling?.config?.startDate)
-                )
-                .slice(0, limit);
+            // Ticket limits give the room size when config/capacity.json doesn't - one request for all events
+            const definitionsByEvent = new Map(upcomingEvents.map(event => [event.id, []]));
+            try {
+                const { items } = await this.client.listTicketDefinitions(upcomingEvents.map(event => event.id));
+                items.forEach(definition => definitionsByEvent.get(definition.eventId)?.push(definition));
+            } catch (error) {
+                console.log(`   Could not fetch ticket definitions: ${error.status || error.message}`);
+            }
             
-            console.log(`   Found ${upcomingEvents.length} upcoming events`);
             console.log(`   Getting ticket data (with rate limiting)...`);
             
             // Get ticket data for each event with delays
@@ -107,18 +70,18 @@ class OptimizedTicketManager {
                 
                 // Calculate days until event
                 const eventDate = new Date(event.scheduling?.config?.startDate);
-                const daysFromNow = Math.ceil((eventDate - new Date()) / (1000 * 60 * 60 * 24));
+                const daysFromNow = Math.ceil((eventDate - this.client.now()) / (1000 * 60 * 60 * 24));
                 
-                // Determine sales status
+                // Determine sales status from the shared rules
                 const ticketsSold = ticketsResult.total;
-                let salesStatus = 'low';
-                if (daysFromNow <= 7 && ticketsSold === 0) {
-                    salesStatus = 'urgent';
-                } else if (ticketsSold >= 25) {
-                    salesStatus = 'high';
-                } else if (ticketsSold >= 10) {
-                    salesStatus = 'medium';
-                }
+                const { facts } = statusFacts(event, {
+                    capacity: this.capacity,
+                    definitions: definitionsByEvent.get(event.id),
+                    daysOut: daysFromNow,
+                    sold: ticketsSold,
+                    eventType: this.categorizeEvent(event)
+                });
+                const { status: salesStatus, rule: statusRule } = this.statusRules.evaluate(facts);
                 
                 // Calculate estimated revenue (if ticket data available)
                 let estimatedRevenue = 0;
@@ -135,7 +98,8 @@ class OptimizedTicketManager {
                     estimatedRevenue,
                     daysFromNow,
                     salesStatus,
-                    eventType: this.categorizeEvent(event.title),
+                    statusRule,
+                    eventType: this.categorizeEvent(event),
                     venue: event.location?.name || 'The Listening Booth'
                 });
                 
@@ -153,20 +117,14 @@ class OptimizedTicketManager {
             };
             
         } catch (error) {
-            console.error('Error fetching events with tickets:', error.response?.data || error.message);
+            console.error('Error fetching events with tickets:', error.data || error.message);
             return { success: false, error: error.message };
         }
     }
 
     // Categorize events
-    categorizeEvent(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('open mic')) return 'Open Mic';
-        if (titleLower.includes('jam')) return 'Jam Session';
-        if (titleLower.includes('lessons') || titleLower.includes('songwriting')) return 'Workshop';
-        if (titleLower.includes('fundraiser')) return 'Fundraiser';
-        return 'Concert';
+    categorizeEvent(event) {
+        return this.categories.categorize(event);
     }
 
     // Generate sales report
@@ -223,6 +181,7 @@ class OptimizedTicketManager {
                     ticketsSold: event.ticketsSold,
                     estimatedRevenue: event.estimatedRevenue,
                     salesStatus: event.salesStatus,
+                    statusRule: event.statusRule,
                     eventType: event.eventType,
                     venue: event.venue,
                     eventId: event.id
@@ -284,13 +243,7 @@ class OptimizedTicketManager {
                 'urgent': '⚠️'
             }[event.salesStatus] || '📊';
             
-            const typeIcon = {
-                'Concert': '🎤',
-                'Open Mic': '🎙️',
-                'Jam Session': '🎸',
-                'Workshop': '📚',
-                'Fundraiser': '💝'
-            }[event.eventType] || '🎵';
+            const typeIcon = this.categories.icon(event.eventType);
             
             console.log(`${index + 1}. ${event.title}`);
             console.log(`   📅 ${event.date} (${event.daysFromNow} days away)`);
@@ -301,7 +254,7 @@ class OptimizedTicketManager {
         
         // Urgent events warning
         if (report.summary.urgentEvents > 0) {
-            console.log(`⚠️  WARNING: ${report.summary.urgentEvents} events coming up soon with no tickets sold!`);
+            console.log(`⚠️  WARNING: ${report.summary.urgentEvents} events need attention!`);
         }
         
         console.log(`📋 Report generated: ${new Date(report.generatedAt).toLocaleString()}`);
@@ -338,13 +291,7 @@ class OptimizedTicketManager {
                 'urgent': 'status-urgent'
             }[event.salesStatus];
             
-            const typeColor = {
-                'Concert': '#667eea',
-                'Open Mic': '#f59e0b',
-                'Jam Session': '#10b981',
-                'Workshop': '#8b5cf6',
-                'Fundraiser': '#ef4444'
-            }[event.eventType] || '#6b7280';
+            const typeColor = this.categories.color(event.eventType);
             
             return `
                 <div class="event-card">
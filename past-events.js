@@ -0,0 +1,307 @@
+// past-events.js - How past events did: final tickets, revenue and check-in rate, with aggregates
+require('dotenv').config();
+const WixClient = require('./wix-client');
+const DataStore = require('./data-store');
+const ConcurrencyPool = require('./concurrency-pool');
+const Attendance = require('./attendance');
+const { eventAttendance } = Attendance;
+const EventCategories = require('./event-categories');
+const EventCapacity = require('./capacity');
+const { occupancy } = EventCapacity;
+const { summarizeOrders } = require('./revenue');
+const { priceTier, weekday } = require('./forecast');
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const PRICE_TIERS = ['free', 'low', 'mid', 'high'];
+const SEASONS = ['Winter', 'Spring', 'Summer', 'Fall'];
+// Groups in a fixed order, anything else (Unknown) last
+const inOrder = list => {
+    const position = value => (list.includes(value) ? list.indexOf(value) : list.length);
+    return (a, b) => position(a) - position(b);
+};
+// Aggregate keys and how to order their groups (alphabetically when not listed)
+const GROUPINGS = {
+    weekday: inOrder(WEEKDAYS),
+    season: inOrder(SEASONS),
+    priceTier: inOrder(PRICE_TIERS)
+};
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// 2025-09 in the event's own time zone
+function monthOf(event) {
+    const config = event.scheduling?.config;
+    if (!config?.startDate) return null;
+
+    return new Date(config.startDate).toLocaleDateString('en-CA', {
+        timeZone: config.timeZoneId || 'America/New_York'
+    }).slice(0, 7);
+}
+
+// Meteorological seasons: Dec-Feb is Winter, Mar-May Spring, ...
+function seasonOf(month) {
+    if (!month) return null;
+    return SEASONS[Math.floor((parseInt(month.slice(5)) % 12) / 3)];
+}
+
+class PastEventAnalytics {
+    constructor(options = {}) {
+        // client: null works from the store alone, without Wix credentials
+        this.client = options.client === null ? null : options.client || new WixClient(options);
+        this.pool = options.pool || (this.client && new ConcurrencyPool({ concurrency: options.concurrency }).watch(this.client));
+        // Synced data when there is a local store, otherwise straight from Wix
+        this.store = options.store || null;
+        this.categories = options.categories || new EventCategories();
+        this.capacity = options.capacity || new EventCapacity();
+        this.attendance = options.attendance || new Attendance({ client: this.client, pool: this.pool, store: this.store });
+    }
+
+    // Replays keep the time they were recorded at; without a client it's the clock
+    now() {
+        return this.client ? this.client.now() : new Date();
+    }
+
+    // Not-canceled events starting after `from` and up to `to` (default now), most recent first
+    async getEvents({ from = null, to = this.now(), limit = Infinity } = {}) {
+        const events = this.store ?
+            this.store.eventsBetween({ from, to, order: 'desc', limit }).map(event => event.data) :
+            (await this.client.listEventsBetween({ from, to, order: 'desc', limit })).items;
+
+        return events.filter(event => event.status !== 'CANCELED');
+    }
+
+    // eventId -> { tickets, definitions, rsvps, bookings, orders } as raw Wix objects
+    async getEventData(events) {
+        const byEvent = await this.attendance.getEventData(events);
+        (await this.getOrdersByEvent(events)).forEach((orders, eventId) => { byEvent.get(eventId).orders = orders; });
+        return byEvent;
+    }
+
+    // eventId -> raw Wix orders, without the tickets, RSVPs and bookings
+    async getOrdersByEvent(events) {
+        const byEvent = new Map(events.map(event => [event.id, []]));
+
+        const orders = this.store ?
+            events.flatMap(event => this.store.byEvent('orders', event.id).map(order => order.data)) :
+            events.length > 0 ? (await this.client.listEventOrders(events.map(event => event.id))).items : [];
+        orders.forEach(order => byEvent.get(order.eventId)?.push(order));
+        return byEvent;
+    }
+
+    // Final numbers for one past event
+    eventPerformance(event, data) {
+        const { tickets, definitions, orders, rsvps } = data;
+        const isRSVP = event.registration?.type === 'RSVP';
+        const validTickets = tickets.filter(ticket => ticket.orderStatus !== 'CANCELED' && !ticket.archived);
+        const going = rsvps.filter(rsvp => rsvp.status === 'GOING');
+
+        // Seats: the deduplicated headcount across tickets, RSVPs and bookings (see attendance.js).
+        // Only tickets and RSVPs can be checked in, so the check-in rate is out of those.
+        const seats = eventAttendance(data).expectedHeadcount;
+        const checkable = isRSVP ?
+            going.reduce((sum, rsvp) => sum + (rsvp.totalGuests || 1), 0) :
+            validTickets.length;
+        const checkedIn = isRSVP ?
+            going.filter(rsvp => rsvp.checkIn).reduce((sum, rsvp) => sum + (rsvp.totalGuests || 1), 0) :
+            validTickets.filter(ticket => ticket.checkIn).length;
+
+        const { capacity } = this.capacity.forEvent(event, definitions);
+        const { percentSold } = occupancy(capacity, seats);
+        const month = monthOf(event);
+
+        return {
+            eventId: event.id,
+            title: event.title,
+            date: event.scheduling?.formatted,
+            startDate: event.scheduling?.config?.startDate || null,
+            type: this.categories.categorize(event),
+            weekday: weekday(event),
+            month,
+            season: seasonOf(month),
+            priceTier: priceTier(event),
+            registrationType: event.registration?.type || null,
+            seats,
+            ticketsSold: validTickets.length,
+            capacity,
+            percentSold,
+            checkedIn,
+            checkable,
+            // Nobody checked in usually means the door didn't scan that night, not an empty room
+            checkInRate: checkable > 0 && checkedIn > 0 ? round1(checkedIn / checkable * 100) : null,
+            revenue: summarizeOrders(orders)
+        };
+    }
+
+    // Totals and averages for a group of events
+    aggregate(events) {
+        const scanned = events.filter(event => event.checkInRate !== null);
+        const sized = events.filter(event => event.percentSold !== null);
+        const seats = events.reduce((sum, event) => sum + event.seats, 0);
+        const net = events.reduce((sum, event) => sum + event.revenue.net, 0);
+
+        return {
+            events: events.length,
+            seats,
+            averageSeats: events.length > 0 ? round1(seats / events.length) : 0,
+            netRevenue: round2(net),
+            averageNetRevenue: events.length > 0 ? round2(net / events.length) : 0,
+            checkInRate: scanned.length > 0 ?
+                round1(scanned.reduce((sum, event) => sum + event.checkedIn, 0) /
+                    scanned.reduce((sum, event) => sum + event.checkable, 0) * 100) :
+                null,
+            averagePercentSold: sized.length > 0 ?
+                round1(sized.reduce((sum, event) => sum + event.percentSold, 0) / sized.length) :
+                null
+        };
+    }
+
+    groupBy(events, key) {
+        const groups = new Map();
+        events.forEach(event => {
+            const value = event[key] ?? 'Unknown';
+            if (!groups.has(value)) groups.set(value, []);
+            groups.get(value).push(event);
+        });
+
+        const compare = GROUPINGS[key] || ((a, b) => String(a).localeCompare(String(b)));
+        return [...groups.keys()].sort(compare).map(value => ({ [key]: value, ...this.aggregate(groups.get(value)) }));
+    }
+
+    // Each event's seats against the median for its type, so a full open mic and a
+    // full concert rank alike; events whose type has no median to compare with are skipped
+    rankEvents(events, count) {
+        const medians = new Map();
+        events.forEach(event => {
+            if (!medians.has(event.type)) {
+                medians.set(event.type, median(events.filter(other => other.type === event.type).map(other => other.seats)));
+            }
+        });
+
+        const ranked = events
+            .filter(event => medians.get(event.type) > 0)
+            .map(event => ({ ...event, vsTypical: round2(event.seats / medians.get(event.type)) }))
+            .sort((a, b) => b.vsTypical - a.vsTypical || b.revenue.net - a.revenue.net);
+
+        // With fewer than 2 × count events, worst takes only what best left over
+        return {
+            best: ranked.slice(0, count),
+            worst: ranked.slice(Math.max(count, ranked.length - count)).reverse()
+        };
+    }
+
+    // Events in a date range with their raw data and per-event results
+    async getPerformances(range = {}) {
+        const events = await this.getEvents(range);
+        const dataByEvent = await this.getEventData(events);
+        const performances = events.map(event => this.eventPerformance(event, dataByEvent.get(event.id)));
+        return { events, dataByEvent, performances };
+    }
+
+    // Per-event results, aggregates and best/worst lists for past events
+    async getAnalytics({ from = null, limit = Infinity, top = 5 } = {}) {
+        try {
+            const { dataByEvent, performances } = await this.getPerformances({ from, limit });
+            const ranking = this.rankEvents(performances, top);
+
+            return {
+                success: true,
+                totals: {
+                    ...this.aggregate(performances),
+                    revenue: summarizeOrders([...dataByEvent.values()].flatMap(data => data.orders))
+                },
+                byType: this.groupBy(performances, 'type'),
+                byWeekday: this.groupBy(performances, 'weekday'),
+                byMonth: this.groupBy(performances, 'month'),
+                bySeason: this.groupBy(performances, 'season'),
+                byPriceTier: this.groupBy(performances, 'priceTier'),
+                best: ranking.best,
+                worst: ranking.worst,
+                events: performances,
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error analyzing past events:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    printGroups(title, key, groups) {
+        console.log(`\n${title}`);
+        groups.forEach(group => {
+            const rate = group.checkInRate !== null ? ` | ${group.checkInRate}% checked in` : '';
+            const sold = group.averagePercentSold !== null ? ` | ${group.averagePercentSold}% full` : '';
+            console.log(`   ${String(group[key]).padEnd(12)} ${String(group.events).padStart(3)} events | avg ${group.averageSeats} seats | avg $${group.averageNetRevenue.toFixed(2)} net${sold}${rate}`);
+        });
+    }
+
+    printRanking(title, events) {
+        console.log(`\n${title}`);
+        events.forEach((event, index) => {
+            console.log(`   ${index + 1}. ${event.title} (${event.date})`);
+            console.log(`      ${event.seats} seats, ${event.vsTypical}× typical ${event.type} | $${event.revenue.net.toFixed(2)} net${event.checkInRate !== null ? ` | ${event.checkInRate}% checked in` : ''}`);
+        });
+    }
+
+    async printReport(options = {}) {
+        const result = await this.getAnalytics(options);
+        if (!result.success) {
+            console.log('❌ Error analyzing past events:', result.error);
+            return;
+        }
+
+        const { totals } = result;
+        console.log('\n📜 THE LISTENING BOOTH - PAST EVENT PERFORMANCE');
+        console.log('================================================');
+        console.log(`📊 ${totals.events} events | ${totals.seats} seats filled | $${totals.revenue.net.toFixed(2)} net revenue`);
+        console.log(`   ${totals.checkInRate !== null ? `${totals.checkInRate}% of guests checked in` : 'No check-ins recorded'}${totals.averagePercentSold !== null ? ` | ${totals.averagePercentSold}% full on average` : ''}`);
+
+        this.printGroups('🎭 By event type', 'type', result.byType);
+        this.printGroups('📅 By weekday', 'weekday', result.byWeekday);
+        this.printGroups('🗓️  By month', 'month', result.byMonth);
+        this.printGroups('🍂 By season', 'season', result.bySeason);
+        this.printGroups('💲 By price tier', 'priceTier', result.byPriceTier);
+
+        this.printRanking('🏆 Best performing (vs. typical for their type)', result.best);
+        this.printRanking('📉 Worst performing', result.worst);
+    }
+}
+
+// Command line interface
+async function main() {
+    try {
+        const args = process.argv.slice(2).filter(arg => arg !== '--store');
+        const store = process.argv.includes('--store') ? new DataStore() : null;
+        const analytics = new PastEventAnalytics({ client: store ? null : undefined, store });
+        const command = args[0] || 'report';
+
+        switch (command.toLowerCase()) {
+            case 'report':
+                await analytics.printReport({
+                    limit: parseInt(args[1]) || Infinity,
+                    from: args[2] ? new Date(args[2]) : null,
+                    top: 5
+                });
+                break;
+
+            default:
+                console.log('Usage: node past-events.js report [number] [from] [--store]');
+                console.log('  report [number] [from] - Results for the last N past events (optionally since YYYY-MM-DD)');
+                console.log('  --store                - Use the local synced data instead of calling Wix');
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+    }
+}
+
+module.exports = PastEventAnalytics;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,32 @@
+// past-events.test.js - Best and worst past events against their type's typical night (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PastEventAnalytics = require('./past-events');
+
+const performance = (id, type, seats) => ({ id, type, seats, revenue: { net: 0 } });
+
+test('rankEvents never lists an event as both best and worst', () => {
+    const analytics = new PastEventAnalytics({ client: null });
+    const events = [
+        performance('a', 'Concert', 40),
+        performance('b', 'Concert', 20),
+        performance('c', 'Concert', 10),
+        performance('d', 'Open Mic', 27),
+        performance('e', 'Open Mic', 15),
+        performance('f', 'Open Mic', 0)
+    ];
+    const ids = list => list.map(event => event.id);
+
+    // Six events, top 5: the one left over after best is the worst
+    const few = analytics.rankEvents(events, 5);
+    assert.deepEqual(ids(few.best), ['a', 'd', 'b', 'e', 'c']);
+    assert.deepEqual(ids(few.worst), ['f']);
+
+    // Enough events for both lists in full, worst first
+    const many = analytics.rankEvents(events, 2);
+    assert.deepEqual(ids(many.best), ['a', 'd']);
+    assert.deepEqual(ids(many.worst), ['f', 'c']);
+    assert.deepEqual(many.best.map(event => event.vsTypical), [2, 1.8]);
+
+    assert.deepEqual(analytics.rankEvents(events.slice(0, 1), 5), { best: [{ ...events[0], vsTypical: 1 }], worst: [] });
+});
@@ -0,0 +1,307 @@
+// period-compare.js - A date range against the same period last year or the period before it
+require('dotenv').config();
+const DataStore = require('./data-store');
+const PastEventAnalytics = require('./past-events');
+const { summarizeOrders } = require('./revenue');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_ZONE = process.env.VENUE_TIME_ZONE || 'America/New_York';
+const BASELINES = ['year', 'previous'];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// How far the venue's clock is ahead of UTC at this moment (negative west of Greenwich)
+function zoneOffsetMs(date, timeZone = TIME_ZONE) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = parseInt(part.value); });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Midnight starting a venue-local YYYY-MM-DD, or null if it isn't one. Shows run in
+// the evening, so a UTC midnight would put a 9 PM show into the next day.
+function dayStart(day, timeZone = TIME_ZONE) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '')) return null;
+    const utcMidnight = Date.parse(`${day}T00:00:00Z`);
+    if (Number.isNaN(utcMidnight) || new Date(utcMidnight).toISOString().slice(0, 10) !== day) return null;
+
+    // The offset at a first guess, then at the answer in case a DST change falls in between
+    const guess = utcMidnight - zoneOffsetMs(new Date(utcMidnight), timeZone);
+    return new Date(utcMidnight - zoneOffsetMs(new Date(guess), timeZone));
+}
+
+// From the start of the first day to the midnight after the last, both venue-local;
+// null unless both are dates and the range isn't backwards
+function dayRange(fromDay, toDay, timeZone = TIME_ZONE) {
+    const from = dayStart(fromDay, timeZone);
+    const lastDay = dayStart(toDay, timeZone);
+    if (!from || !lastDay || lastDay < from) return null;
+
+    const nextDay = new Date(Date.parse(`${toDay}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+    return { from, to: dayStart(nextDay, timeZone) };
+}
+
+// 2024-12-31 for a moment on the venue's clock
+const localDay = (date, timeZone = TIME_ZONE) => new Date(date).toLocaleDateString('en-CA', { timeZone });
+
+// { current, previous, change, percentChange }; no change when either side is missing
+// and no percentage when there is nothing to compare with
+function delta(current, previous) {
+    const comparable = current !== null && previous !== null;
+    return {
+        current,
+        previous,
+        change: comparable ? round1(current - previous) : null,
+        percentChange: comparable && previous ? round1((current - previous) / previous * 100) : null
+    };
+}
+
+// The range to compare against: the same dates a year earlier, or the equally long range just before
+function baselineRange({ from, to }, against = 'year') {
+    if (!BASELINES.includes(against)) {
+        throw new Error(`Unknown comparison "${against}" (expected ${BASELINES.join(', ')})`);
+    }
+
+    // Moved back, but at the same wall-clock time even when only one side is on daylight time
+    const keepWallClock = (date, moved) => new Date(moved.getTime() + zoneOffsetMs(date) - zoneOffsetMs(moved));
+
+    if (against === 'previous') {
+        return { from: keepWallClock(from, new Date(from.getTime() - (to - from))), to: new Date(from) };
+    }
+
+    const shift = date => {
+        const shifted = new Date(date);
+        shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+        return keepWallClock(date, shifted);
+    };
+    return { from: shift(from), to: shift(to) };
+}
+
+// What recurring events have in common across years: the title without the year,
+// the billing ("with The Honey Badgers") or anything in brackets
+function recurringKey(title) {
+    return (title || '')
+        .toLowerCase()
+        .replace(/\(.*?\)|\[.*?\]/g, '')
+        .split(/\s+(?:with|featuring|feat\.|ft\.)\s+|\s+[-–]\s+/)[0]
+        .replace(/\b(19|20)\d{2}\b/g, '')
+        .replace(/[^a-z0-9' ]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+class PeriodComparison {
+    constructor(options = {}) {
+        // Per-event tickets, revenue and check-ins come from the past-event analytics
+        this.analytics = options.analytics || new PastEventAnalytics(options);
+        this.client = this.analytics.client;
+    }
+
+    // Seats taken by `at`: paid/free orders by creation time, or RSVPs by when they came in
+    seatsAt(event, { orders, rsvps }, at) {
+        if (event.registration?.type === 'RSVP') {
+            return rsvps
+                .filter(rsvp => rsvp.status === 'GOING' && new Date(rsvp.created) <= at)
+                .reduce((sum, rsvp) => sum + (rsvp.totalGuests || 1), 0);
+        }
+
+        return orders
+            .filter(order => order.status !== 'CANCELED' && new Date(order.created) <= at)
+            .reduce((sum, order) => sum + (order.ticketsQuantity || 0), 0);
+    }
+
+    // Totals for one side of the comparison
+    periodTotals({ dataByEvent, performances }, range) {
+        const revenue = summarizeOrders([...dataByEvent.values()].flatMap(data => data.orders));
+        return {
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            events: performances.length,
+            ticketsSold: performances.reduce((sum, event) => sum + event.ticketsSold, 0),
+            seats: performances.reduce((sum, event) => sum + event.seats, 0),
+            revenue,
+            byType: this.analytics.groupBy(performances, 'type')
+        };
+    }
+
+    // Events that recur in both periods, paired in date order, with the earlier one's
+    // seats at the same number of days before showtime as the current one is now
+    matchRecurring(current, previous) {
+        const now = this.analytics.now();
+        const byKey = side => {
+            const groups = new Map();
+            [...side.events]
+                .sort((a, b) => new Date(a.scheduling?.config?.startDate) - new Date(b.scheduling?.config?.startDate))
+                .forEach(event => {
+                    const key = recurringKey(event.title);
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(event);
+                });
+            return groups;
+        };
+        const previousByKey = byKey(previous);
+
+        const pairs = [];
+        byKey(current).forEach((events, key) => {
+            const earlier = previousByKey.get(key) || [];
+            events.slice(0, earlier.length).forEach((event, index) => {
+                const before = earlier[index];
+                const start = new Date(event.scheduling?.config?.startDate);
+                const beforeStart = new Date(before.scheduling?.config?.startDate);
+                // Whole days until showtime, 0 once the show has happened
+                const daysOut = Math.max(0, Math.ceil((start - now) / DAY_MS));
+                const currentSeats = this.seatsAt(event, current.dataByEvent.get(event.id), now);
+                const previousSeats = this.seatsAt(before, previous.dataByEvent.get(before.id), new Date(beforeStart.getTime() - daysOut * DAY_MS));
+
+                pairs.push({
+                    key,
+                    title: event.title,
+                    type: this.analytics.categories.categorize(event),
+                    daysOut,
+                    current: { eventId: event.id, title: event.title, date: event.scheduling?.formatted, seats: currentSeats },
+                    previous: {
+                        eventId: before.id,
+                        title: before.title,
+                        date: before.scheduling?.formatted,
+                        seats: previousSeats,
+                        finalSeats: this.seatsAt(before, previous.dataByEvent.get(before.id), beforeStart)
+                    },
+                    seats: delta(currentSeats, previousSeats)
+                });
+            });
+        });
+
+        return pairs.sort((a, b) => a.daysOut - b.daysOut || a.title.localeCompare(b.title));
+    }
+
+    // Tickets, revenue, events and attendance per type for a range against its baseline.
+    // Ranges can reach into the future: upcoming events count what they have sold so far.
+    async compare({ from, to, against = 'year' }) {
+        try {
+            if (Number.isNaN(from?.getTime()) || Number.isNaN(to?.getTime()) || from >= to) {
+                throw new Error('Invalid date range');
+            }
+
+            const range = { from, to };
+            const baseline = baselineRange(range, against);
+            const current = await this.analytics.getPerformances(range);
+            const previous = await this.analytics.getPerformances(baseline);
+
+            const currentTotals = this.periodTotals(current, range);
+            const previousTotals = this.periodTotals(previous, baseline);
+            const types = [...new Set([...currentTotals.byType, ...previousTotals.byType].map(group => group.type))].sort();
+            // null for a type with no events in that period
+            const averageSeats = totals => type => totals.byType.find(group => group.type === type)?.averageSeats ?? null;
+
+            return {
+                success: true,
+                against,
+                current: currentTotals,
+                previous: previousTotals,
+                changes: {
+                    events: delta(currentTotals.events, previousTotals.events),
+                    ticketsSold: delta(currentTotals.ticketsSold, previousTotals.ticketsSold),
+                    seats: delta(currentTotals.seats, previousTotals.seats),
+                    grossRevenue: delta(currentTotals.revenue.gross, previousTotals.revenue.gross),
+                    netRevenue: delta(currentTotals.revenue.net, previousTotals.revenue.net)
+                },
+                averageSeatsByType: types.map(type => ({
+                    type,
+                    ...delta(averageSeats(currentTotals)(type), averageSeats(previousTotals)(type))
+                })),
+                recurring: this.matchRecurring(current, previous),
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error comparing periods:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    describeDelta(value, format = v => v) {
+        if (value.change === null) {
+            return `${value.current !== null ? format(value.current) : '-'} vs ${value.previous !== null ? format(value.previous) : '-'}`;
+        }
+
+        const sign = value.change > 0 ? '+' : '';
+        const percent = value.percentChange !== null ? ` (${sign}${value.percentChange}%)` : '';
+        const arrow = value.change > 0 ? '📈' : value.change < 0 ? '📉' : '➖';
+        return `${format(value.current)} vs ${format(value.previous)} ${arrow} ${sign}${format(value.change)}${percent}`;
+    }
+
+    async printComparison(options) {
+        const result = await this.compare(options);
+        if (!result.success) {
+            console.log('❌ Error comparing periods:', result.error);
+            return;
+        }
+
+        const money = value => `$${value.toFixed(2)}`;
+        // Ranges end at the midnight after their last day
+        const day = iso => localDay(iso);
+        const lastDay = iso => localDay(new Date(iso).getTime() - 1);
+        const { changes } = result;
+
+        console.log(`\n📊 THE LISTENING BOOTH - ${result.against === 'year' ? 'YEAR OVER YEAR' : 'PERIOD OVER PERIOD'}`);
+        console.log('================================================');
+        console.log(`${day(result.current.from)} to ${lastDay(result.current.to)} vs ${day(result.previous.from)} to ${lastDay(result.previous.to)}\n`);
+        console.log(`Events:       ${this.describeDelta(changes.events)}`);
+        console.log(`Tickets sold: ${this.describeDelta(changes.ticketsSold)}`);
+        console.log(`Seats filled: ${this.describeDelta(changes.seats)}`);
+        console.log(`Gross sales:  ${this.describeDelta(changes.grossRevenue, money)}`);
+        console.log(`Net revenue:  ${this.describeDelta(changes.netRevenue, money)}`);
+
+        console.log('\n🎭 Average attendance by event type');
+        result.averageSeatsByType.forEach(entry => {
+            console.log(`   ${entry.type.padEnd(12)} ${this.describeDelta(entry)}`);
+        });
+
+        if (result.recurring.length > 0) {
+            console.log('\n🔁 Recurring events (seats at the same days out)');
+            result.recurring.forEach(pair => {
+                const when = pair.daysOut > 0 ? `${pair.daysOut} days out` : 'final';
+                console.log(`   ${pair.title} (${pair.current.date})`);
+                console.log(`      ${when}: ${this.describeDelta(pair.seats)} | last time finished with ${pair.previous.finalSeats}`);
+            });
+        }
+    }
+}
+
+// Command line interface
+async function main() {
+    try {
+        const args = process.argv.slice(2).filter(arg => arg !== '--store');
+        const store = process.argv.includes('--store') ? new DataStore() : null;
+        const comparison = new PeriodComparison({ client: store ? null : undefined, store });
+
+        if (args.length < 2) {
+            console.log('Usage: node period-compare.js <from> <to> [year|previous] [--store]');
+            console.log('  <from> <to>     - Date range to look at (YYYY-MM-DD, both days included)');
+            console.log('  year|previous   - Compare with the same dates last year (default) or the period just before');
+            console.log('  --store         - Use the local synced data instead of calling Wix');
+            return;
+        }
+
+        const range = dayRange(args[0], args[1]);
+        if (!range) {
+            console.log('❌ from and to must be dates (YYYY-MM-DD), from no later than to');
+            return;
+        }
+        await comparison.printComparison({ ...range, against: args[2] || 'year' });
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+    }
+}
+
+module.exports = PeriodComparison;
+module.exports.BASELINES = BASELINES;
+module.exports.dayStart = dayStart;
+module.exports.dayRange = dayRange;
+module.exports.baselineRange = baselineRange;
+module.exports.recurringKey = recurringKey;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,65 @@
+// period-compare.test.js - Date ranges on the venue's calendar and their baselines (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockWixServer = require('./mock-wix-server');
+const { startMockWixServer, mockWixEnv } = createMockWixServer;
+const DataStore = require('./data-store');
+const WixSync = require('./wix-sync');
+const PeriodComparison = require('./period-compare');
+const { dayStart, dayRange, baselineRange } = PeriodComparison;
+
+const iso = range => ({ from: range.from.toISOString(), to: range.to.toISOString() });
+
+test('dayRange covers whole venue-local days, on standard and daylight time', () => {
+    assert.deepEqual(iso(dayRange('2024-12-01', '2024-12-31')), { from: '2024-12-01T05:00:00.000Z', to: '2025-01-01T05:00:00.000Z' });
+    assert.deepEqual(iso(dayRange('2025-07-04', '2025-07-04')), { from: '2025-07-04T04:00:00.000Z', to: '2025-07-05T04:00:00.000Z' });
+    // The day the clocks go back is 25 hours long
+    assert.deepEqual(iso(dayRange('2025-11-02', '2025-11-02')), { from: '2025-11-02T04:00:00.000Z', to: '2025-11-03T05:00:00.000Z' });
+
+    assert.equal(dayStart('2025-02-30'), null);
+    assert.equal(dayStart('12/01/2024'), null);
+    assert.equal(dayStart(undefined), null);
+    assert.equal(dayRange('2025-01-02', '2025-01-01'), null);
+    assert.equal(dayRange('2025-01-01', 'soon'), null);
+});
+
+test('baselineRange keeps local midnights when one side is on daylight time', () => {
+    // March 10th 2025 is on daylight time; March 10th 2024 was still on standard time
+    assert.deepEqual(iso(baselineRange(dayRange('2025-03-10', '2025-03-16'), 'year')), {
+        from: '2024-03-10T05:00:00.000Z', to: '2024-03-17T04:00:00.000Z'
+    });
+    // The 31 days before December start on October 31st, before the clocks went back
+    assert.deepEqual(iso(baselineRange(dayRange('2024-12-01', '2024-12-31'), 'previous')), {
+        from: '2024-10-31T04:00:00.000Z', to: '2024-12-01T05:00:00.000Z'
+    });
+    assert.throws(() => baselineRange(dayRange('2024-12-01', '2024-12-31'), 'decade'), /Unknown comparison "decade"/);
+});
+
+test('an evening show on New Year\'s Eve counts in December, not January', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'period-compare-'));
+    // Recorded dates as they are: the party starts 2025-01-01T01:00Z, 8 PM on the 31st in Lewes
+    const fixtures = createMockWixServer.loadFixtures(undefined, { shift: false });
+    const party = fixtures.events.find(event => event.scheduling.config.startDate === '2025-01-01T01:00:00.000Z');
+    const server = await startMockWixServer({ fixtures });
+    try {
+        Object.assign(process.env, mockWixEnv(server));
+        const store = new DataStore({ dir });
+        assert.ok((await new WixSync({ store }).run({ scope: 'all' })).success);
+
+        const comparison = new PeriodComparison({ store });
+        const december = await comparison.analytics.getEvents(dayRange('2024-12-01', '2024-12-31'));
+        const january = await comparison.analytics.getEvents(dayRange('2025-01-01', '2025-01-31'));
+        assert.deepEqual(december.map(event => event.id), [party.id]);
+        assert.ok(!january.some(event => event.id === party.id));
+
+        const result = await comparison.compare({ ...dayRange('2025-01-01', '2025-01-31'), against: 'previous' });
+        assert.ok(result.success, result.error);
+        assert.deepEqual([result.current.events, result.previous.events], [january.length, 1]);
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,203 @@
+// purchase-timing.js - How far ahead people buy (by event type) and a weekday × hour heatmap of when they do
+require('dotenv').config();
+const DataStore = require('./data-store');
+const PastEventAnalytics = require('./past-events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_ZONE = process.env.VENUE_TIME_ZONE || 'America/New_York';
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Days between purchase and showtime; the first bucket the lead time is under wins
+const LEAD_TIME_BUCKETS = [
+    { label: 'Same day', underDays: 1 },
+    { label: '1-3 days', underDays: 4 },
+    { label: '4-7 days', underDays: 8 },
+    { label: '1-2 weeks', underDays: 15 },
+    { label: '2-4 weeks', underDays: 29 },
+    { label: '1-2 months', underDays: 61 },
+    { label: '2+ months', underDays: Infinity }
+];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Value at `fraction` of the way through the sorted values (0.5 is the median)
+const quantile = (values, fraction) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * fraction;
+    const below = Math.floor(position);
+    return round1(sorted[below] + (sorted[Math.ceil(position)] - sorted[below]) * (position - below));
+};
+
+// 0 -> "12am", 13 -> "1pm"
+const hourLabel = hour => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+
+// Weekday and hour of a moment on the venue's clock
+function localSlot(date, timeZone = TIME_ZONE) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' })
+        .formatToParts(new Date(date));
+    return {
+        weekday: parts.find(part => part.type === 'weekday').value,
+        hour: parseInt(parts.find(part => part.type === 'hour').value) % 24
+    };
+}
+
+class PurchaseTiming {
+    constructor(options = {}) {
+        // Events and their orders come from the past-event analytics
+        this.analytics = options.analytics || new PastEventAnalytics(options);
+        this.timeZone = options.timeZone || TIME_ZONE;
+    }
+
+    // One entry per order that wasn't canceled: when it was placed and how long before the show.
+    // Door sales placed after the start count as same day.
+    purchases(events, ordersByEvent) {
+        return events.flatMap(event => {
+            const start = new Date(event.scheduling?.config?.startDate);
+            const type = this.analytics.categories.categorize(event);
+
+            return ordersByEvent.get(event.id)
+                .filter(order => order.status !== 'CANCELED' && order.created)
+                .map(order => ({
+                    eventId: event.id,
+                    type,
+                    created: order.created,
+                    tickets: order.ticketsQuantity || 0,
+                    leadDays: Math.max(0, (start - new Date(order.created)) / DAY_MS),
+                    ...localSlot(order.created, this.timeZone)
+                }));
+        });
+    }
+
+    // How many days ahead a set of purchases were made
+    leadTimes(purchases) {
+        const days = purchases.map(purchase => purchase.leadDays);
+        const buckets = LEAD_TIME_BUCKETS.map(bucket => ({ label: bucket.label, orders: 0, percent: 0 }));
+        days.forEach(value => {
+            buckets[LEAD_TIME_BUCKETS.findIndex(bucket => value < bucket.underDays)].orders++;
+        });
+        buckets.forEach(bucket => { bucket.percent = days.length > 0 ? round1(bucket.orders / days.length * 100) : 0; });
+
+        return {
+            orders: purchases.length,
+            tickets: purchases.reduce((sum, purchase) => sum + purchase.tickets, 0),
+            medianDays: quantile(days, 0.5),
+            // Half of all purchases fall between these two
+            quartileDays: [quantile(days, 0.25), quantile(days, 0.75)],
+            buckets
+        };
+    }
+
+    leadTimesByType(purchases) {
+        const types = [...new Set(purchases.map(purchase => purchase.type))].sort();
+        return types.map(type => ({ type, ...this.leadTimes(purchases.filter(purchase => purchase.type === type)) }));
+    }
+
+    // Orders per weekday (Mon first) and hour of the day, on the venue's clock
+    heatmap(purchases) {
+        const cells = WEEKDAYS.map(() => HOURS.map(() => 0));
+        purchases.forEach(purchase => { cells[WEEKDAYS.indexOf(purchase.weekday)][purchase.hour]++; });
+
+        const slots = WEEKDAYS.flatMap((weekday, day) => HOURS.map(hour => ({ weekday, hour, label: `${weekday} ${hourLabel(hour)}`, orders: cells[day][hour] })));
+        return {
+            timeZone: this.timeZone,
+            weekdays: WEEKDAYS,
+            hours: HOURS,
+            cells,
+            max: Math.max(0, ...slots.map(slot => slot.orders)),
+            byWeekday: WEEKDAYS.map((weekday, day) => ({ weekday, orders: cells[day].reduce((sum, count) => sum + count, 0) })),
+            byHour: HOURS.map(hour => ({ hour, label: hourLabel(hour), orders: cells.reduce((sum, row) => sum + row[hour], 0) })),
+            peaks: slots.filter(slot => slot.orders > 0).sort((a, b) => b.orders - a.orders).slice(0, 5)
+        };
+    }
+
+    // Lead times and the purchase heatmap for events starting after `from` (all history by default).
+    // Only shows that have happened: upcoming ones haven't had their last-minute buyers yet.
+    async getTiming({ from = null, to = null } = {}) {
+        try {
+            const now = this.analytics.now();
+            const events = await this.analytics.getEvents({ from, to: to && to < now ? to : now });
+            const ordersByEvent = await this.analytics.getOrdersByEvent(events);
+            const purchases = this.purchases(events, ordersByEvent);
+
+            return {
+                success: true,
+                events: events.length,
+                leadTime: this.leadTimes(purchases),
+                leadTimeByType: this.leadTimesByType(purchases),
+                heatmap: this.heatmap(purchases),
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error analyzing purchase timing:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async printReport(options = {}) {
+        const result = await this.getTiming(options);
+        if (!result.success) {
+            console.log('❌ Error analyzing purchase timing:', result.error);
+            return;
+        }
+
+        const { leadTime, heatmap } = result;
+        console.log('\n🕒 THE LISTENING BOOTH - WHEN PEOPLE BUY');
+        console.log('================================================');
+        console.log(`📊 ${leadTime.orders} orders (${leadTime.tickets} tickets) across ${result.events} events`);
+        if (leadTime.orders === 0) return;
+        console.log(`   Median ${leadTime.medianDays} days before the show; half buy ${leadTime.quartileDays[0]}-${leadTime.quartileDays[1]} days ahead`);
+
+        console.log('\n📅 Days before the show');
+        leadTime.buckets.forEach(bucket => {
+            console.log(`   ${bucket.label.padEnd(12)} ${'█'.repeat(Math.round(bucket.percent / 4)).padEnd(25)} ${bucket.percent}%`);
+        });
+
+        console.log('\n🎭 By event type (median days ahead)');
+        result.leadTimeByType.forEach(group => {
+            const common = group.buckets.reduce((best, bucket) => (bucket.orders > best.orders ? bucket : best));
+            console.log(`   ${group.type.padEnd(12)} ${String(group.medianDays).padStart(5)} days | ${String(group.orders).padStart(4)} orders | most buy ${common.label.toLowerCase()} ahead`);
+        });
+
+        const shades = ' ░▒▓█';
+        console.log(`\n🔥 Orders by weekday and hour (${heatmap.timeZone})`);
+        console.log(`        ${HOURS.map(hour => (hour % 6 === 0 ? hourLabel(hour).padEnd(6) : '')).join('')}`);
+        heatmap.weekdays.forEach((weekday, day) => {
+            const row = heatmap.cells[day].map(count => (count === 0 ? '·' : shades[Math.ceil(count / heatmap.max * (shades.length - 1))])).join('');
+            console.log(`   ${weekday}  ${row}  ${heatmap.byWeekday[day].orders}`);
+        });
+        console.log(`\n   Busiest: ${heatmap.peaks.map(peak => `${peak.label} (${peak.orders})`).join(', ')}`);
+    }
+}
+
+// Command line interface
+async function main() {
+    try {
+        const args = process.argv.slice(2).filter(arg => arg !== '--store');
+        const store = process.argv.includes('--store') ? new DataStore() : null;
+        const timing = new PurchaseTiming({ client: store ? null : undefined, store });
+        const command = args[0] || 'report';
+
+        switch (command.toLowerCase()) {
+            case 'report':
+                await timing.printReport({ from: args[1] ? new Date(args[1]) : null });
+                break;
+
+            default:
+                console.log('Usage: node purchase-timing.js report [from] [--store]');
+                console.log('  report [from] - Lead times and purchase heatmap for all events (optionally starting after YYYY-MM-DD)');
+                console.log('  --store       - Use the local synced data instead of calling Wix');
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+    }
+}
+
+module.exports = PurchaseTiming;
+module.exports.LEAD_TIME_BUCKETS = LEAD_TIME_BUCKETS;
+module.exports.hourLabel = hourLabel;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,47 @@
+// purchase-timing.test.js - Lead times come from the orders of shows that have happened (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockWixServer = require('./mock-wix-server');
+const { startMockWixServer, mockWixEnv } = createMockWixServer;
+const DataStore = require('./data-store');
+const WixSync = require('./wix-sync');
+const PurchaseTiming = require('./purchase-timing');
+
+test('getTiming reads only orders, and only for past events', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'purchase-timing-'));
+    const fixtures = createMockWixServer.loadFixtures();
+    const server = await startMockWixServer({ fixtures });
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    Object.assign(process.env, mockWixEnv(server));
+    const store = new DataStore({ dir });
+    assert.ok((await new WixSync({ store }).run({ scope: 'all' })).success);
+
+    const now = new Date();
+    const past = new Set(fixtures.events
+        .filter(event => new Date(event.scheduling.config.startDate) <= now && event.status !== 'CANCELED')
+        .map(event => event.id));
+    const orders = fixtures.orders.filter(order => past.has(order.eventId) && order.status !== 'CANCELED' && order.created);
+    assert.ok(fixtures.orders.some(order => !past.has(order.eventId)), 'fixtures have no orders for upcoming events');
+
+    const read = new Set();
+    const byEvent = store.byEvent.bind(store);
+    store.byEvent = (collection, eventId) => {
+        read.add(collection);
+        return byEvent(collection, eventId);
+    };
+
+    // A `to` in the future is capped at now
+    const timing = new PurchaseTiming({ client: null, store });
+    const result = await timing.getTiming({ to: new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000) });
+    assert.ok(result.success, result.error);
+    assert.equal(result.events, past.size);
+    assert.equal(result.leadTime.orders, orders.length);
+    assert.equal(result.heatmap.byWeekday.reduce((sum, day) => sum + day.orders, 0), orders.length);
+    assert.deepEqual([...read], ['orders']);
+});
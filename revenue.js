@@ -0,0 +1,272 @@
+// revenue.js - Revenue accounting from Wix order invoices: gross, discounts, fees, taxes, refunds and net
+require('dotenv').config();
+const WixClient = require('./wix-client');
+const DataStore = require('./data-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_ZONE = process.env.VENUE_TIME_ZONE || 'America/New_York';
+const PERIODS = ['day', 'week', 'month'];
+
+// Wix sends money as { amount: "30.75", currency }; work in cents so totals add up exactly
+const cents = money => Math.round((parseFloat(money?.amount) || 0) * 100);
+const dollars = value => Math.round(value) / 100;
+
+// Wix's service fee is either added on top at checkout (the buyer pays it)
+// or taken out of the ticket price (the venue pays it)
+const isVenueFee = fee => fee.type === 'FEE_INCLUDED_IN_PRICE';
+
+// Money breakdown of one order, in cents.
+// Only PAID orders count as sales; a CANCELED order that was paid for is a refund.
+// FREE, pending and declined orders carry no money.
+function orderRevenue(order) {
+    const invoice = order.invoice || {};
+    const paid = Boolean(order.paymentDetails?.transaction);
+    const kind = order.status === 'PAID' ? 'sale' :
+        order.status === 'CANCELED' && paid ? 'refund' : 'none';
+    const result = {
+        kind,
+        gross: 0,
+        discounts: 0,
+        taxes: 0,
+        fees: 0,
+        venueFees: 0,
+        refunds: 0,
+        net: 0,
+        tickets: kind === 'sale' ? order.ticketsQuantity || 0 : 0,
+        currency: order.totalPrice?.currency || invoice.grandTotal?.currency || null
+    };
+    if (kind === 'none') return result;
+
+    result.gross = cents(invoice.subTotal || order.totalPrice);
+    result.discounts = cents(invoice.discount?.amount);
+    const fees = invoice.fees || [];
+
+    if (kind === 'sale') {
+        result.taxes = cents(invoice.tax?.amount);
+        result.fees = fees.reduce((sum, fee) => sum + cents(fee.amount), 0);
+        result.venueFees = fees.filter(isVenueFee).reduce((sum, fee) => sum + cents(fee.amount), 0);
+    } else {
+        // What the venue had taken in goes back to the buyer; Wix returns its own fee
+        result.refunds = result.gross - result.discounts;
+    }
+
+    // Taxes are collected for the state and buyer-paid fees go to Wix, so neither is the venue's
+    result.net = result.gross - result.discounts - result.refunds - result.venueFees;
+    return result;
+}
+
+// Totals for a set of orders, in dollars
+function summarizeOrders(orders) {
+    const totals = { gross: 0, discounts: 0, taxes: 0, fees: 0, venueFees: 0, refunds: 0, net: 0 };
+    let tickets = 0;
+    let paidOrders = 0;
+    let refundedOrders = 0;
+    let currency = null;
+
+    orders.forEach(order => {
+        const revenue = orderRevenue(order);
+        Object.keys(totals).forEach(key => { totals[key] += revenue[key]; });
+        tickets += revenue.tickets;
+        if (revenue.kind === 'sale') paidOrders++;
+        if (revenue.kind === 'refund') refundedOrders++;
+        currency = currency || revenue.currency;
+    });
+
+    const summary = { currency: currency || 'USD', paidOrders, refundedOrders, paidTickets: tickets };
+    Object.keys(totals).forEach(key => { summary[key] = dollars(totals[key]); });
+    summary.averageTicketPrice = tickets > 0 ? dollars((totals.gross - totals.discounts - totals.refunds) / tickets) : 0;
+    return summary;
+}
+
+// Venue-local calendar key for a date: 2025-09-17, week of Monday 2025-09-15, or 2025-09
+function periodKey(date, period) {
+    const day = new Date(date).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+    if (period === 'month') return day.slice(0, 7);
+    if (period === 'week') {
+        const local = new Date(`${day}T00:00:00Z`);
+        const monday = new Date(local.getTime() - ((local.getUTCDay() + 6) % 7) * DAY_MS);
+        return monday.toISOString().slice(0, 10);
+    }
+    return day;
+}
+
+// Revenue per period, oldest first. Sales count when the order was placed,
+// refunds when the order was canceled.
+function revenueByPeriod(orders, period = 'month') {
+    if (!PERIODS.includes(period)) {
+        throw new Error(`Unknown period "${period}" (expected ${PERIODS.join(', ')})`);
+    }
+
+    const groups = new Map();
+    orders.forEach(order => {
+        const kind = orderRevenue(order).kind;
+        if (kind === 'none') return;
+
+        const key = periodKey(kind === 'refund' ? order.updated || order.created : order.created, period);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(order);
+    });
+
+    return [...groups.keys()].sort().map(key => ({ period: key, ...summarizeOrders(groups.get(key)) }));
+}
+
+class RevenueReport {
+    constructor(options = {}) {
+        // client: null works from the store alone, without Wix credentials
+        this.client = options.client === null ? null : options.client || new WixClient(options);
+        // Synced orders when there is a local store, otherwise straight from Wix
+        this.store = options.store || null;
+    }
+
+    // Replays keep the time they were recorded at; without a client it's the clock
+    now() {
+        return this.client ? this.client.now() : new Date();
+    }
+
+    // eventId -> raw Wix orders
+    async getOrdersByEvent(eventIds) {
+        const ordersByEvent = new Map(eventIds.map(id => [id, []]));
+        if (eventIds.length === 0) return ordersByEvent;
+
+        const orders = this.store ?
+            eventIds.flatMap(id => this.store.byEvent('orders', id).map(order => order.data)) :
+            (await this.client.listEventOrders(eventIds)).items;
+
+        orders.forEach(order => ordersByEvent.get(order.eventId)?.push(order));
+        return ordersByEvent;
+    }
+
+    async getAllOrders() {
+        if (this.store) {
+            return this.store.all('orders').map(order => order.data);
+        }
+
+        const { items } = await this.client.listOrders();
+        return items;
+    }
+
+    // Per-event revenue plus a total for the next `limit` events
+    async forUpcomingEvents(limit = 20) {
+        try {
+            const events = this.store ?
+                this.store.eventsBetween({ from: this.now(), limit }).map(event => event.data) :
+                (await this.client.listUpcomingEvents({ limit })).items;
+            const ordersByEvent = await this.getOrdersByEvent(events.map(event => event.id));
+
+            return {
+                success: true,
+                events: events.map(event => ({
+                    eventId: event.id,
+                    title: event.title,
+                    date: event.scheduling?.formatted,
+                    revenue: summarizeOrders(ordersByEvent.get(event.id))
+                })),
+                total: summarizeOrders([...ordersByEvent.values()].flat())
+            };
+        } catch (error) {
+            console.error('Error building event revenue:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Revenue per day, week or month across every order, optionally between two dates
+    async forPeriods(period = 'month', { from = null, to = null } = {}) {
+        try {
+            const orders = (await this.getAllOrders()).filter(order =>
+                (!from || new Date(order.created) >= from) && (!to || new Date(order.created) < to)
+            );
+
+            return {
+                success: true,
+                period,
+                periods: revenueByPeriod(orders, period),
+                total: summarizeOrders(orders)
+            };
+        } catch (error) {
+            console.error('Error building period revenue:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    printTotals(label, revenue) {
+        const money = value => `$${value.toFixed(2)}`;
+        console.log(`${label}`);
+        console.log(`   Gross ${money(revenue.gross)} | Discounts -${money(revenue.discounts)} | Refunds -${money(revenue.refunds)} | Net ${money(revenue.net)}`);
+        console.log(`   ${revenue.paidTickets} paid tickets in ${revenue.paidOrders} orders (avg ${money(revenue.averageTicketPrice)}) | ${revenue.refundedOrders} refunded`);
+        console.log(`   Wix fees ${money(revenue.fees)} (${money(revenue.venueFees)} paid by the venue) | Taxes collected ${money(revenue.taxes)}`);
+    }
+
+    async printEventRevenue(limit = 20) {
+        const result = await this.forUpcomingEvents(limit);
+        if (!result.success) {
+            console.log('❌ Error building revenue report:', result.error);
+            return;
+        }
+
+        console.log('\n💵 THE LISTENING BOOTH - REVENUE BY EVENT');
+        console.log('==========================================\n');
+        result.events.forEach(event => {
+            this.printTotals(`${event.title} (${event.date})`, event.revenue);
+            console.log('');
+        });
+        this.printTotals(`📊 All ${result.events.length} events`, result.total);
+    }
+
+    async printPeriodRevenue(period = 'month', options = {}) {
+        const result = await this.forPeriods(period, options);
+        if (!result.success) {
+            console.log('❌ Error building revenue report:', result.error);
+            return;
+        }
+
+        console.log(`\n💵 THE LISTENING BOOTH - REVENUE BY ${period.toUpperCase()}`);
+        console.log('==========================================\n');
+        result.periods.forEach(entry => {
+            this.printTotals(period === 'week' ? `Week of ${entry.period}` : entry.period, entry);
+            console.log('');
+        });
+        this.printTotals('📊 Total', result.total);
+    }
+}
+
+// Command line interface
+async function main() {
+    try {
+        const args = process.argv.slice(2).filter(arg => arg !== '--store');
+        const store = process.argv.includes('--store') ? new DataStore() : null;
+        const report = new RevenueReport({ client: store ? null : undefined, store });
+        const command = args[0] || 'events';
+
+        switch (command.toLowerCase()) {
+            case 'events':
+                await report.printEventRevenue(parseInt(args[1]) || 20);
+                break;
+
+            case 'day':
+            case 'week':
+            case 'month':
+                await report.printPeriodRevenue(command.toLowerCase(), {
+                    from: args[1] ? new Date(args[1]) : null,
+                    to: args[2] ? new Date(args[2]) : null
+                });
+                break;
+
+            default:
+                console.log('Usage: node revenue.js <command> [--store]');
+                console.log('  events [number]           - Revenue for each upcoming event');
+                console.log('  day|week|month [from] [to] - Revenue per period (dates as YYYY-MM-DD)');
+                console.log('  --store                   - Use the local synced data instead of calling Wix');
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+    }
+}
+
+module.exports = RevenueReport;
+module.exports.orderRevenue = orderRevenue;
+module.exports.summarizeOrders = summarizeOrders;
+module.exports.revenueByPeriod = revenueByPeriod;
+
+if (require.main === module) {
+    main();
+}
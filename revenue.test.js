@@ -0,0 +1,56 @@
+// revenue.test.js - Order accounting: sales, refunds and free orders in cents (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { orderRevenue, summarizeOrders, revenueByPeriod } = require('./revenue');
+
+test('orderRevenue splits paid orders, refunds and free orders into cents', () => {
+    const money = amount => ({ amount, currency: 'USD' });
+    const invoice = {
+        subTotal: money('50.00'),
+        discount: { amount: money('5.00') },
+        tax: { amount: money('2.50') },
+        fees: [
+            { type: 'FEE_ADDED_AT_CHECKOUT', amount: money('1.25') },
+            { type: 'FEE_INCLUDED_IN_PRICE', amount: money('1.00') }
+        ]
+    };
+
+    assert.deepEqual(orderRevenue({ status: 'PAID', ticketsQuantity: 2, totalPrice: money('48.75'), invoice }), {
+        kind: 'sale', gross: 5000, discounts: 500, taxes: 250, fees: 225, venueFees: 100, refunds: 0, net: 4400, tickets: 2, currency: 'USD'
+    });
+
+    const refund = orderRevenue({ status: 'CANCELED', ticketsQuantity: 2, paymentDetails: { transaction: { transactionId: 't1' } }, invoice });
+    assert.deepEqual([refund.kind, refund.refunds, refund.net, refund.taxes, refund.tickets], ['refund', 4500, 0, 0, 0]);
+
+    // Canceled before anyone paid, and free tickets, carry no money
+    assert.equal(orderRevenue({ status: 'CANCELED', ticketsQuantity: 2, invoice }).kind, 'none');
+    const free = orderRevenue({ status: 'FREE', ticketsQuantity: 1, totalPrice: money('0') });
+    assert.deepEqual([free.kind, free.gross, free.net, free.tickets], ['none', 0, 0, 0]);
+});
+
+test('summarizeOrders totals in dollars and revenueByPeriod groups on the venue calendar', () => {
+    const money = amount => ({ amount, currency: 'USD' });
+    const sale = (created, amount, tickets) => ({ status: 'PAID', created, ticketsQuantity: tickets, totalPrice: money(amount), invoice: { subTotal: money(amount) } });
+    const orders = [
+        // 10 PM Eastern on September 30th is October 1st in UTC
+        sale('2025-10-01T02:00:00.000Z', '30.00', 2),
+        sale('2025-10-15T18:00:00.000Z', '15.50', 1),
+        // Bought in October, refunded in November
+        { ...sale('2025-10-20T18:00:00.000Z', '20.00', 1), status: 'CANCELED', updated: '2025-11-02T18:00:00.000Z',
+            paymentDetails: { transaction: { transactionId: 't1' } } },
+        { status: 'FREE', created: '2025-10-21T18:00:00.000Z', ticketsQuantity: 4 }
+    ];
+
+    const total = summarizeOrders(orders);
+    assert.deepEqual([total.paidOrders, total.refundedOrders, total.paidTickets], [2, 1, 3]);
+    assert.deepEqual([total.gross, total.refunds, total.net, total.averageTicketPrice], [65.5, 20, 45.5, 15.17]);
+
+    const months = revenueByPeriod(orders, 'month');
+    assert.deepEqual(months.map(month => [month.period, month.gross, month.refunds]), [
+        ['2025-09', 30, 0],
+        ['2025-10', 15.5, 0],
+        ['2025-11', 20, 20]
+    ]);
+    assert.deepEqual(revenueByPeriod(orders, 'week').map(week => week.period), ['2025-09-29', '2025-10-13', '2025-10-27']);
+    assert.throws(() => revenueByPeriod(orders, 'year'), /Unknown period "year"/);
+});
@@ -0,0 +1,178 @@
+// sales-history.js - Timestamped ticket-count snapshots and per-event sales curves
+require('dotenv').config();
+const DataStore = require('./data-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SalesHistory {
+    constructor(options = {}) {
+        this.store = options.store || new DataStore({ dir: options.dataDir });
+    }
+
+    logName(eventId) {
+        return `history/${eventId}`;
+    }
+
+    // RSVP headcount (guests included) for an event, from the synced RSVPs
+    countRsvps(eventId) {
+        return this.store.byEvent('rsvps', eventId)
+            .filter(rsvp => rsvp.status === 'GOING')
+            .reduce((sum, rsvp) => sum + (rsvp.guests || 1), 0);
+    }
+
+    // Save one snapshot per report event; called after every cache update
+    recordSnapshot(events, at = new Date().toISOString()) {
+        events.forEach(event => {
+            const eventId = event.eventId || event.id;
+            this.store.appendLog(this.logName(eventId), [{
+                at,
+                eventId,
+                title: event.title,
+                ticketsSold: event.ticketsSold || 0,
+                paidTickets: event.paidTickets || 0,
+                freeTickets: event.freeTickets || 0,
+                rsvps: this.countRsvps(eventId)
+            }]);
+        });
+
+        return events.length;
+    }
+
+    getSnapshots(eventId) {
+        return this.store.readLog(this.logName(eventId), { limit: Infinity });
+    }
+
+    // Tickets sold per day from stored orders, for days before snapshots were taken
+    ticketsFromOrders(eventId) {
+        return this.store.byEvent('orders', eventId)
+            .filter(order => order.status !== 'CANCELED' && order.created)
+            .map(order => ({ at: order.created, tickets: order.ticketsQuantity || 0 }))
+            .sort((a, b) => new Date(a.at) - new Date(b.at));
+    }
+
+    // Tickets sold as of `at`. Orders give exact sale times, so they win;
+    // snapshots cover events whose orders were never synced.
+    ticketsSoldAt(eventId, at) {
+        const orders = this.ticketsFromOrders(eventId);
+        if (orders.length > 0) {
+            return orders
+                .filter(order => new Date(order.at) <= at)
+                .reduce((sum, order) => sum + order.tickets, 0);
+        }
+
+        const snapshot = this.getSnapshots(eventId).filter(entry => new Date(entry.at) <= at).pop();
+        return snapshot?.ticketsSold || 0;
+    }
+
+    // Day-by-day cumulative sales from on-sale date to showtime (or today, if the show is still ahead).
+    // Days with a snapshot use the last snapshot of that day; earlier days are rebuilt from orders.
+    getSalesCurve(eventId, { now = new Date() } = {}) {
+        const event = this.store.get('events', eventId);
+        if (!event) {
+            return { success: false, error: `Event ${eventId} is not in the local store (run: node wix-sync.js all)` };
+        }
+
+        const snapshots = this.getSnapshots(eventId);
+        const orders = this.ticketsFromOrders(eventId);
+
+        // On sale from when the event was published, or the first order if that came first
+        const candidates = [event.created, orders[0]?.at, snapshots[0]?.at].filter(Boolean).map(date => new Date(date));
+        const onSaleDate = candidates.length > 0 ? new Date(Math.min(...candidates)) : new Date(event.startDate);
+        const showtime = new Date(event.startDate);
+        const end = showtime < now ? showtime : now;
+
+        const lastSnapshotByDay = new Map();
+        snapshots.forEach(snapshot => lastSnapshotByDay.set(snapshot.at.slice(0, 10), snapshot));
+
+        const curve = [];
+        let orderIndex = 0;
+        let soldFromOrders = 0;
+        for (let day = new Date(onSaleDate.toISOString().slice(0, 10)); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+            const date = day.toISOString().slice(0, 10);
+            const dayEnd = new Date(day.getTime() + DAY_MS);
+
+            while (orderIndex < orders.length && new Date(orders[orderIndex].at) < dayEnd) {
+                soldFromOrders += orders[orderIndex].tickets;
+                orderIndex++;
+            }
+
+            const snapshot = lastSnapshotByDay.get(date);
+            curve.push(snapshot ?
+                { date, ticketsSold: snapshot.ticketsSold, rsvps: snapshot.rsvps, source: 'snapshot' } :
+                { date, ticketsSold: soldFromOrders, rsvps: null, source: 'orders' });
+        }
+
+        return {
+            success: true,
+            event: {
+                id: event.id,
+                title: event.title,
+                startDate: event.startDate,
+                onSaleDate: onSaleDate.toISOString()
+            },
+            snapshots,
+            curve
+        };
+    }
+
+    // Look an event up by id or by part of its title (soonest upcoming match first)
+    findEvent(query) {
+        const byId = this.store.get('events', query);
+        if (byId) return byId;
+
+        const needle = query.toLowerCase();
+        const matches = this.store.find('events', event => event.title.toLowerCase().includes(needle))
+            .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+        const upcoming = matches.filter(event => new Date(event.startDate) > new Date());
+
+        return upcoming[0] || matches[matches.length - 1] || null;
+    }
+
+    printSalesCurve(query) {
+        const event = this.findEvent(query);
+        if (!event) {
+            console.log(`No event matching "${query}" in the local store`);
+            return;
+        }
+
+        const result = this.getSalesCurve(event.id);
+        if (!result.success) {
+            console.log('Error:', result.error);
+            return;
+        }
+
+        console.log(`SALES HISTORY - ${result.event.title}`);
+        console.log('='.repeat(16 + result.event.title.length));
+        console.log(`On sale: ${new Date(result.event.onSaleDate).toLocaleDateString()}`);
+        console.log(`Showtime: ${new Date(result.event.startDate).toLocaleString()}`);
+        console.log(`Snapshots recorded: ${result.snapshots.length}\n`);
+
+        const max = Math.max(1, ...result.curve.map(point => point.ticketsSold));
+        result.curve.forEach(point => {
+            const bar = '█'.repeat(Math.round(point.ticketsSold / max * 40));
+            const marker = point.source === 'snapshot' ? '' : ' *';
+            console.log(`${point.date}  ${bar} ${point.ticketsSold}${marker}`);
+        });
+        console.log('\n* rebuilt from orders (no snapshot that day)');
+    }
+}
+
+// Command line interface
+function main() {
+    const query = process.argv.slice(2).join(' ');
+    const history = new SalesHistory();
+
+    if (!query) {
+        console.log('Usage:');
+        console.log('  node sales-history.js <event id or part of the title>   - Show the sales curve for an event');
+        return;
+    }
+
+    history.printSalesCurve(query);
+}
+
+module.exports = SalesHistory;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,93 @@
+// sales-metrics.js - Sales velocity and pace versus comparable past events
+const SalesHistory = require('./sales-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Within this fraction of typical counts as "on pace"
+const ON_PACE_MARGIN = 0.1;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+class SalesMetrics {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.history = options.history || new SalesHistory({ store: this.store });
+        // event -> type, same buckets as the report (see event-categories.js)
+        this.categorize = options.categorize;
+        this.minComparables = options.minComparables ?? 3;
+        // Per instance, so make one per report run
+        this.typicalCache = new Map();
+    }
+
+    // Tickets per day over the last 1, 7 and 14 days
+    velocity(eventId, now) {
+        const soldNow = this.history.ticketsSoldAt(eventId, now);
+        const perDay = (days) => {
+            const soldThen = this.history.ticketsSoldAt(eventId, new Date(now.getTime() - days * DAY_MS));
+            return Math.round((soldNow - soldThen) / days * 10) / 10;
+        };
+
+        return { last1Days: perDay(1), last7Days: perDay(7), last14Days: perDay(14) };
+    }
+
+    // Past, not-canceled ticketed events of this type that sold at least one ticket
+    comparableEvents(type, now) {
+        return this.store.find('events', event =>
+            new Date(event.startDate) <= now &&
+            event.status !== 'CANCELED' &&
+            event.registrationType !== 'RSVP' &&
+            this.categorize(event) === type &&
+            this.history.ticketsSoldAt(event.id, new Date(event.startDate)) > 0
+        );
+    }
+
+    // Median tickets that comparable events had sold `daysOut` days before their showtime
+    typicalAt(type, daysOut, now) {
+        const key = `${type}|${daysOut}`;
+        if (!this.typicalCache.has(key)) {
+            const comparables = this.comparableEvents(type, now);
+            const sold = comparables.map(event =>
+                this.history.ticketsSoldAt(event.id, new Date(new Date(event.startDate).getTime() - daysOut * DAY_MS))
+            );
+            this.typicalCache.set(key, {
+                typical: sold.length > 0 ? median(sold) : null,
+                comparableCount: comparables.length
+            });
+        }
+        return this.typicalCache.get(key);
+    }
+
+    // How this event compares with typical events of its type at the same lead time
+    pace(event, now) {
+        const type = this.categorize(event);
+        const daysOut = Math.max(0, Math.ceil((new Date(event.scheduling?.config?.startDate) - now) / DAY_MS));
+        const { typical, comparableCount } = this.typicalAt(type, daysOut, now);
+        const result = { type, daysOut, ticketsSold: event.ticketsSold, typical, comparableCount, score: null, label: null };
+
+        // RSVP events don't sell tickets, so there is no ticket pace to speak of
+        if (event.registration?.type === 'RSVP' || comparableCount < this.minComparables || !typical) {
+            return result;
+        }
+
+        const score = Math.round((event.ticketsSold / typical - 1) * 100) / 100;
+        const plural = `${type}s`;
+        result.score = score;
+        result.label = Math.abs(score) < ON_PACE_MARGIN ?
+            `on pace with typical ${plural} at ${daysOut} days out` :
+            `tracking ${Math.round(Math.abs(score) * 100)}% ${score > 0 ? 'ahead of' : 'behind'} typical ${plural} at ${daysOut} days out`;
+
+        return result;
+    }
+
+    forEvent(event, now = new Date()) {
+        return {
+            velocity: this.velocity(event.id, now),
+            pace: this.pace(event, now)
+        };
+    }
+}
+
+module.exports = SalesMetrics;
@@ -0,0 +1,73 @@
+// sales-metrics.test.js - Sales velocity and pace against comparable past events, from stored orders (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('./data-store');
+const SalesMetrics = require('./sales-metrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T00:00:00.000Z');
+const daysBefore = (date, days) => new Date(new Date(date).getTime() - days * DAY_MS).toISOString();
+
+let dir;
+let store;
+let upcoming;
+
+// Three past concerts had sold 4, 6 and 8 tickets a week out (median 6); the others don't compare
+test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sales-metrics-'));
+    store = new DataStore({ dir });
+
+    const event = (id, startDate, extra = {}) => ({ id, title: id, startDate, status: 'SCHEDULED', registrationType: 'TICKETS', ...extra });
+    store.put('events', [
+        event('concert-1', '2026-01-10T01:00:00.000Z'),
+        event('concert-2', '2026-01-20T01:00:00.000Z'),
+        event('concert-3', '2026-02-01T01:00:00.000Z'),
+        event('canceled', '2026-02-05T01:00:00.000Z', { status: 'CANCELED' }),
+        event('rsvp-night', '2026-02-06T01:00:00.000Z', { registrationType: 'RSVP' }),
+        event('open-mic', '2026-02-07T01:00:00.000Z')
+    ]);
+
+    let orderNumber = 0;
+    const order = (eventId, created, ticketsQuantity, status = 'PAID') => ({ id: `o${++orderNumber}`, eventId, created, ticketsQuantity, status });
+    const orders = [];
+    [['concert-1', 4], ['concert-2', 6], ['concert-3', 8], ['canceled', 30], ['rsvp-night', 30], ['open-mic', 30]].forEach(([eventId, weekOut]) => {
+        const start = store.get('events', eventId).startDate;
+        orders.push(order(eventId, daysBefore(start, 10), weekOut), order(eventId, daysBefore(start, 1), 5));
+    });
+    orders.push(order('concert-2', daysBefore(store.get('events', 'concert-2').startDate, 9), 20, 'CANCELED'));
+
+    // A week from now: 9 tickets so far, 2 of them today and 5 this week
+    upcoming = { id: 'next-concert', title: 'next-concert', scheduling: { config: { startDate: new Date(now.getTime() + 7 * DAY_MS).toISOString() } } };
+    orders.push(order(upcoming.id, daysBefore(now, 0.5), 2), order(upcoming.id, daysBefore(now, 5), 3), order(upcoming.id, daysBefore(now, 10), 4));
+    store.put('orders', orders);
+});
+
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const categorize = event => (event.title === 'open-mic' ? 'Open Mic' : 'Concert');
+
+test('pace compares tickets sold with the median comparable event at the same days out', () => {
+    const metrics = new SalesMetrics({ store, categorize });
+
+    const ahead = metrics.pace({ ...upcoming, ticketsSold: 9 }, now);
+    assert.deepEqual(ahead, {
+        type: 'Concert', daysOut: 7, ticketsSold: 9, typical: 6, comparableCount: 3,
+        score: 0.5, label: 'tracking 50% ahead of typical Concerts at 7 days out'
+    });
+    assert.equal(metrics.pace({ ...upcoming, ticketsSold: 3 }, now).label, 'tracking 50% behind typical Concerts at 7 days out');
+    assert.equal(metrics.pace({ ...upcoming, ticketsSold: 6 }, now).label, 'on pace with typical Concerts at 7 days out');
+
+    // Not enough history, or an RSVP event: no score
+    assert.equal(new SalesMetrics({ store, categorize, minComparables: 4 }).pace({ ...upcoming, ticketsSold: 9 }, now).score, null);
+    const rsvp = metrics.pace({ ...upcoming, registration: { type: 'RSVP' }, ticketsSold: 9 }, now);
+    assert.deepEqual([rsvp.score, rsvp.label, rsvp.typical], [null, null, 6]);
+});
+
+test('velocity is tickets per day over the last 1, 7 and 14 days', () => {
+    const { velocity, pace } = new SalesMetrics({ store, categorize }).forEvent({ ...upcoming, ticketsSold: 9 }, now);
+    assert.deepEqual(velocity, { last1Days: 2, last7Days: 0.7, last14Days: 0.6 });
+    assert.equal(pace.score, 0.5);
+});
@@ -0,0 +1,112 @@
+// sales-status.js - Declarative urgent/high/medium/low rules, shared by every report
+const fs = require('fs');
+const path = require('path');
+const { occupancy } = require('./capacity');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'config', 'sales-status.json');
+const STATUSES = ['urgent', 'high', 'medium', 'low'];
+
+// What a rule's `when` can look at
+const FACTS = [
+    'daysOut',          // whole days until showtime
+    'sold',             // seats taken: tickets, or RSVP headcount for RSVP events
+    'ticketsSold',
+    'rsvps',
+    'capacity',         // null when unknown
+    'percentSold',      // 0-100, null when capacity is unknown
+    'paceScore',        // vs comparable past events: -0.5 = half as many sold, null without history
+    'eventType',        // Concert, Open Mic, Jam Session, Workshop, Fundraiser
+    'registrationType'  // TICKETS or RSVP
+];
+
+// Same operators as Wix query filters (see mock-wix-server.js); a bare value means equality
+const OPERATORS = {
+    $eq: (value, expected) => value === expected,
+    $ne: (value, expected) => value !== expected,
+    $in: (value, expected) => expected.includes(value),
+    $nin: (value, expected) => !expected.includes(value),
+    // Comparisons never match a missing fact, so "percentSold < 20" skips events of unknown size
+    $gt: (value, expected) => value !== null && value > expected,
+    $gte: (value, expected) => value !== null && value >= expected,
+    $lt: (value, expected) => value !== null && value < expected,
+    $lte: (value, expected) => value !== null && value <= expected
+};
+
+// config/sales-status.json (or SALES_STATUS_RULES):
+//   rules   - checked in order, first match wins: { name, status, label, when: { fact: condition } }
+//   default - { status, label } for events no rule matches
+class SalesStatusRules {
+    constructor(options = {}) {
+        this.file = options.file || process.env.SALES_STATUS_RULES || DEFAULT_RULES_FILE;
+        const config = options.config || JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.rules = config.rules || [];
+        this.fallback = { name: 'default', status: 'low', label: 'No rule matched', ...config.default };
+        this.validate();
+    }
+
+    // Catch typos when the config loads rather than silently never matching
+    validate() {
+        [...this.rules, this.fallback].forEach(rule => {
+            if (!STATUSES.includes(rule.status)) {
+                throw new Error(`${this.file}: rule "${rule.name}" has unknown status "${rule.status}" (expected ${STATUSES.join(', ')})`);
+            }
+
+            Object.entries(rule.when || {}).forEach(([fact, condition]) => {
+                if (!FACTS.includes(fact)) {
+                    throw new Error(`${this.file}: rule "${rule.name}" uses unknown fact "${fact}" (expected ${FACTS.join(', ')})`);
+                }
+                if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+                    Object.keys(condition).forEach(op => {
+                        if (!OPERATORS[op]) {
+                            throw new Error(`${this.file}: rule "${rule.name}" uses unknown operator "${op}" on ${fact}`);
+                        }
+                    });
+                }
+            });
+        });
+    }
+
+    matches(rule, facts) {
+        return Object.entries(rule.when || {}).every(([fact, condition]) => {
+            const value = facts[fact] ?? null;
+            if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+                return value === condition;
+            }
+            return Object.entries(condition).every(([op, expected]) => OPERATORS[op](value, expected));
+        });
+    }
+
+    // { status, rule: { name, label } } for the first rule that matches these facts
+    evaluate(facts) {
+        const rule = this.rules.find(candidate => this.matches(candidate, facts)) || this.fallback;
+        return { status: rule.status, rule: { name: rule.name, label: rule.label || rule.name } };
+    }
+}
+
+// The facts every report passes to evaluate(), so a rule sees the same event the same way
+// everywhere. `seats` is the capacity.js answer (capacity, setup, source, percentSold, remaining).
+//   capacity - an EventCapacity; definitions - the event's ticket definitions, if known
+function statusFacts(event, { capacity: eventCapacity, definitions = [], daysOut, sold, ticketsSold = sold, rsvps = 0, paceScore = null, eventType = null }) {
+    const { capacity, setup, source } = eventCapacity.forEvent(event, definitions);
+    const { percentSold, remaining } = occupancy(capacity, sold);
+
+    return {
+        facts: {
+            daysOut,
+            sold,
+            ticketsSold,
+            rsvps,
+            capacity,
+            percentSold,
+            paceScore,
+            eventType,
+            registrationType: event.registration?.type || null
+        },
+        seats: { capacity, setup, source, percentSold, remaining }
+    };
+}
+
+module.exports = SalesStatusRules;
+module.exports.statusFacts = statusFacts;
+module.exports.FACTS = FACTS;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,86 @@
+// sales-status.test.js - The sales-status rules engine: rule order, missing facts and config checks (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const createMockWixServer = require('./mock-wix-server');
+const { startMockWixServer, mockWixEnv } = createMockWixServer;
+const SalesStatusRules = require('./sales-status');
+const { statusFacts } = SalesStatusRules;
+const EventCapacity = require('./capacity');
+const TicketSalesManager = require('./ticket-sales-manager');
+const OptimizedTicketManager = require('./optimized-ticket-manager');
+const SimplifiedVenueManager = require('./simplified-venue-manager');
+
+test('SalesStatusRules: first matching rule wins, missing facts never compare', () => {
+    const rules = new SalesStatusRules({
+        config: {
+            default: { status: 'low', label: 'Slow' },
+            rules: [
+                { name: 'empty-soon', status: 'urgent', when: { daysOut: { $lte: 7 }, sold: 0 } },
+                { name: 'nearly-full', status: 'high', label: 'Nearly full', when: { percentSold: { $gte: 70 } } },
+                { name: 'unknown-size', status: 'medium', when: { capacity: null, sold: { $gte: 10 } } },
+                { name: 'concerts', status: 'medium', when: { eventType: { $in: ['Concert'] } } }
+            ]
+        }
+    });
+
+    assert.deepEqual(rules.evaluate({ daysOut: 3, sold: 0, percentSold: 90 }), { status: 'urgent', rule: { name: 'empty-soon', label: 'empty-soon' } });
+    assert.deepEqual(rules.evaluate({ daysOut: 3, sold: 50, capacity: 60, percentSold: 83.3 }), { status: 'high', rule: { name: 'nearly-full', label: 'Nearly full' } });
+    // percentSold is null without a capacity, so only the capacity: null rule can match
+    assert.equal(rules.evaluate({ daysOut: 20, sold: 12, capacity: null, percentSold: null }).rule.name, 'unknown-size');
+    assert.equal(rules.evaluate({ daysOut: 20, sold: 5, capacity: 100, percentSold: 5, eventType: 'Concert' }).rule.name, 'concerts');
+    assert.deepEqual(rules.evaluate({ daysOut: 20, sold: 5, capacity: 100, percentSold: 5, eventType: 'Open Mic' }), { status: 'low', rule: { name: 'default', label: 'Slow' } });
+});
+
+test('SalesStatusRules rejects unknown facts, operators and statuses, and loads the shipped config', () => {
+    assert.throws(() => new SalesStatusRules({ config: { rules: [{ name: 'typo', status: 'high', when: { soldd: 1 } }] } }), /unknown fact "soldd"/);
+    assert.throws(() => new SalesStatusRules({ config: { rules: [{ name: 'op', status: 'high', when: { sold: { $between: 1 } } }] } }), /unknown operator "\$between"/);
+    assert.throws(() => new SalesStatusRules({ config: { rules: [{ name: 'status', status: 'hot', when: {} }] } }), /unknown status "hot"/);
+
+    const shipped = new SalesStatusRules({ file: path.join(__dirname, 'config', 'sales-status.json') });
+    assert.equal(shipped.evaluate({ daysOut: 2, sold: 0 }).status, 'urgent');
+    assert.equal(shipped.evaluate({ daysOut: 30, sold: 30, capacity: null, percentSold: null }).rule.name, 'many-sold-unknown-size');
+});
+
+test('statusFacts sizes the room with capacity.js', () => {
+    const capacity = new EventCapacity({ config: { defaultCapacity: null, setups: { seated: 60 }, events: { 'jazz-night': 'seated' } } });
+    const { facts, seats } = statusFacts({ id: 'e1', slug: 'jazz-night', registration: { type: 'TICKETS' } }, { capacity, daysOut: 10, sold: 45, eventType: 'Concert' });
+
+    assert.deepEqual(facts, {
+        daysOut: 10, sold: 45, ticketsSold: 45, rsvps: 0, capacity: 60, percentSold: 75,
+        paceScore: null, eventType: 'Concert', registrationType: 'TICKETS'
+    });
+    assert.deepEqual(seats, { capacity: 60, setup: 'seated', source: 'config', percentSold: 75, remaining: 15 });
+});
+
+test('every report applies capacity rules to the same events', { timeout: 60000 }, async (t) => {
+    const fixtures = createMockWixServer.loadFixtures();
+    const server = await startMockWixServer({ fixtures });
+    t.after(() => server.close());
+    Object.assign(process.env, mockWixEnv(server));
+    t.mock.method(console, 'log', () => {});
+
+    // The next few ticketed shows, each sized so what's sold is at least 70% of the room
+    const now = new Date();
+    const upcoming = fixtures.events
+        .filter(event => new Date(event.scheduling.config.startDate) > now)
+        .sort((a, b) => new Date(a.scheduling.config.startDate) - new Date(b.scheduling.config.startDate))
+        .slice(0, 3);
+    const sold = id => fixtures.tickets.filter(ticket => ticket.eventId === id).length;
+    const events = Object.fromEntries(upcoming.filter(event => sold(event.id) >= 3).map(event => [event.id, Math.floor(sold(event.id) / 0.7)]));
+    assert.ok(Object.keys(events).length > 0, 'fixtures have no ticketed show coming up');
+    const capacity = new EventCapacity({ config: { defaultCapacity: null, setups: {}, events } });
+
+    const sales = await new TicketSalesManager({ capacity }).getUpcomingEventsWithSales(upcoming.length);
+    const optimized = await new OptimizedTicketManager({ capacity }).getUpcomingEventsWithTickets(upcoming.length);
+    const statusOf = (result, field) => Object.fromEntries(result.events.filter(event => events[event.id]).map(event => [event.id, event[field].name]));
+    const expected = Object.fromEntries(Object.keys(events).map(id => [id, 'mostly-sold']));
+    assert.deepEqual(statusOf(sales, 'statusRule'), expected);
+    assert.deepEqual(statusOf(optimized, 'statusRule'), expected);
+
+    // Series events keep the status their rule gave them
+    const simplified = await new SimplifiedVenueManager({ capacity }).getUpcomingEvents(10);
+    assert.ok(simplified.success, simplified.error);
+    const statuses = new Set(SalesStatusRules.STATUSES);
+    simplified.events.forEach(event => assert.ok(statuses.has(event.popularityStatus), `${event.title}: ${event.popularityStatus}`));
+});
@@ -0,0 +1,255 @@
+// series.js - Recurring series (weekly open mics, jams, lessons) detected from titles, schedules and Wix recurrence data
+require('dotenv').config();
+const DataStore = require('./data-store');
+const PastEventAnalytics = require('./past-events');
+const { eventAttendance } = require('./attendance');
+const { recurringKey } = require('./period-compare');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Titles alone need this many dates to count as a series; Wix-recurring events need two
+const MIN_OCCURRENCES = 3;
+// The usual gap between dates decides the pattern; anything else is irregular
+const PATTERNS = [
+    { name: 'weekly', minDays: 6, maxDays: 8 },
+    { name: 'every 2 weeks', minDays: 13, maxDays: 15 },
+    { name: 'monthly', minDays: 27, maxDays: 32 }
+];
+// A trend smaller than this share of the average over the last occurrences is steady
+const STEADY_SHARE = 0.1;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const startOf = event => new Date(event.scheduling?.config?.startDate);
+
+// "acoustic open mic night" -> "acoustic-open-mic-night"
+const slug = text => text.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// How often a set of dated events repeats: the typical gap and its pattern name
+function recurrencePattern(events) {
+    const starts = events.map(startOf).sort((a, b) => a - b);
+    const gaps = starts.slice(1).map((start, i) => (start - starts[i]) / DAY_MS);
+    if (gaps.length === 0) return { pattern: 'irregular', intervalDays: null };
+
+    const intervalDays = round1(median(gaps));
+    const match = PATTERNS.find(pattern => intervalDays >= pattern.minDays && intervalDays <= pattern.maxDays);
+    return { pattern: match ? match.name : 'irregular', intervalDays };
+}
+
+// "Sundays at 7:00 PM" for one date, in the event's own time zone
+function scheduleOf(event) {
+    const config = event.scheduling?.config;
+    if (!config?.startDate) return null;
+
+    const timeZone = config.timeZoneId || 'America/New_York';
+    const start = new Date(config.startDate);
+    const day = start.toLocaleDateString('en-US', { weekday: 'long', timeZone });
+    return `${day}s at ${start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })}`;
+}
+
+// The schedule most of the dates keep, so one moved date doesn't change it
+function usualSchedule(events) {
+    const counts = new Map();
+    events.map(scheduleOf).filter(Boolean).forEach(schedule => counts.set(schedule, (counts.get(schedule) || 0) + 1));
+    return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// Group events into series. Events that share a normalized title or a Wix recurrence
+// category are one candidate group; it's a series when Wix marks it recurring or when
+// enough dates repeat on a regular pattern. Canceled dates are left out.
+function detectSeries(events, { minOccurrences = MIN_OCCURRENCES } = {}) {
+    const groups = [];
+    const byKey = new Map();
+
+    [...events]
+        .filter(event => event.status !== 'CANCELED')
+        .sort((a, b) => startOf(a) - startOf(b))
+        .forEach(event => {
+            const titleKey = `title:${recurringKey(event.title)}`;
+            const categoryId = event.scheduling?.config?.recurrences?.categoryId;
+            const keys = [titleKey, categoryId && `wix:${categoryId}`].filter(Boolean);
+
+            let group = keys.map(key => byKey.get(key)).find(Boolean);
+            if (!group) {
+                group = { key: recurringKey(event.title), events: [], wixCategories: new Set() };
+                groups.push(group);
+            }
+            if (categoryId) group.wixCategories.add(categoryId);
+            keys.forEach(key => byKey.set(key, group));
+            group.events.push(event);
+        });
+
+    return groups
+        .map(group => {
+            const { pattern, intervalDays } = recurrencePattern(group.events);
+            const latest = group.events[group.events.length - 1];
+            return {
+                id: slug(group.key),
+                name: latest.title,
+                pattern,
+                intervalDays,
+                schedule: usualSchedule(group.events),
+                wixRecurring: group.wixCategories.size > 0,
+                wixCategories: [...group.wixCategories],
+                events: group.events
+            };
+        })
+        .filter(series => series.events.length >= 2 && series.id !== '' &&
+            (series.wixRecurring || (series.events.length >= minOccurrences && series.pattern !== 'irregular')));
+}
+
+// eventId -> series, for tagging events with the series they belong to
+function seriesByEvent(seriesList) {
+    const index = new Map();
+    seriesList.forEach(series => series.events.forEach(event => index.set(event.id, series)));
+    return index;
+}
+
+class EventSeries {
+    constructor(options = {}) {
+        // Past seats come from the past-event analytics, upcoming seats from the attendance model
+        this.analytics = options.analytics || new PastEventAnalytics(options);
+        this.client = this.analytics.client;
+    }
+
+    // Average attendance, the trend over the last `last` occurrences and what's next
+    seriesStats(series, dataByEvent, now, last) {
+        const past = series.events.filter(event => startOf(event) <= now);
+        const upcoming = series.events.filter(event => startOf(event) > now);
+        const performances = past.map(event => this.analytics.eventPerformance(event, dataByEvent.get(event.id)));
+        const seats = performances.map(performance => performance.seats);
+        const recent = performances.slice(-last);
+
+        // Least-squares slope of seats per occurrence over the recent dates
+        let slope = null;
+        if (recent.length >= 2) {
+            const xMean = (recent.length - 1) / 2;
+            const yMean = recent.reduce((sum, performance) => sum + performance.seats, 0) / recent.length;
+            const numerator = recent.reduce((sum, performance, x) => sum + (x - xMean) * (performance.seats - yMean), 0);
+            const denominator = recent.reduce((sum, performance, x) => sum + (x - xMean) ** 2, 0);
+            slope = round1(numerator / denominator);
+        }
+        const recentAverage = recent.length > 0 ? recent.reduce((sum, performance) => sum + performance.seats, 0) / recent.length : 0;
+        const direction = slope === null ? null :
+            Math.abs(slope * recent.length) <= recentAverage * STEADY_SHARE ? 'steady' :
+            slope > 0 ? 'growing' : 'shrinking';
+
+        const next = upcoming[0];
+        return {
+            id: series.id,
+            name: series.name,
+            type: this.analytics.categories.categorize(series.events[series.events.length - 1]),
+            pattern: series.pattern,
+            intervalDays: series.intervalDays,
+            schedule: series.schedule,
+            wixRecurring: series.wixRecurring,
+            occurrences: past.length,
+            upcoming: upcoming.length,
+            firstDate: series.events[0].scheduling?.config?.startDate || null,
+            averageAttendance: seats.length > 0 ? round1(seats.reduce((sum, value) => sum + value, 0) / seats.length) : null,
+            bestAttendance: seats.length > 0 ? Math.max(...seats) : null,
+            trend: {
+                last: recent.map(performance => ({ eventId: performance.eventId, date: performance.date, seats: performance.seats })),
+                averageAttendance: recent.length > 0 ? round1(recentAverage) : null,
+                slopePerOccurrence: slope,
+                direction
+            },
+            next: next ? {
+                eventId: next.id,
+                title: next.title,
+                date: next.scheduling?.formatted,
+                daysFromNow: Math.ceil((startOf(next) - now) / DAY_MS),
+                seatsSoFar: eventAttendance(dataByEvent.get(next.id)).expectedHeadcount
+            } : null,
+            eventIds: series.events.map(event => event.id)
+        };
+    }
+
+    // Every series across past and upcoming events, those with a next date first
+    async getSeries({ last = 6 } = {}) {
+        try {
+            const now = this.analytics.now();
+            const events = await this.analytics.getEvents({ to: null });
+            const seriesList = detectSeries(events);
+            const dataByEvent = await this.analytics.getEventData(seriesList.flatMap(series => series.events));
+            const series = seriesList
+                .map(entry => this.seriesStats(entry, dataByEvent, now, last))
+                .sort((a, b) => (a.next ? a.next.daysFromNow : Infinity) - (b.next ? b.next.daysFromNow : Infinity) || a.name.localeCompare(b.name));
+
+            return {
+                success: true,
+                series,
+                // Events in no series: one-off concerts and the like
+                oneOffEvents: events.length - series.reduce((sum, entry) => sum + entry.eventIds.length, 0),
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            console.error('Error detecting series:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async printReport(options = {}) {
+        const result = await this.getSeries(options);
+        if (!result.success) {
+            console.log('❌ Error detecting series:', result.error);
+            return;
+        }
+
+        const arrows = { growing: '📈', shrinking: '📉', steady: '➖' };
+        console.log('\n🔁 THE LISTENING BOOTH - RECURRING SERIES');
+        console.log('================================================');
+        console.log(`${result.series.length} series, ${result.oneOffEvents} one-off events\n`);
+
+        result.series.forEach(series => {
+            const source = series.wixRecurring ? 'Wix recurring' : 'detected';
+            console.log(`${series.name} (${series.type}) - ${series.pattern}, ${series.schedule || 'no schedule'} [${source}]`);
+            console.log(`   ${series.occurrences} past, ${series.upcoming} upcoming | avg ${series.averageAttendance ?? '-'} seats, best ${series.bestAttendance ?? '-'}`);
+            if (series.trend.direction) {
+                const slope = series.trend.slopePerOccurrence;
+                console.log(`   Last ${series.trend.last.length}: ${series.trend.last.map(entry => entry.seats).join(', ')} ${arrows[series.trend.direction]} ${series.trend.direction} (${slope > 0 ? '+' : ''}${slope}/date)`);
+            }
+            if (series.next) {
+                console.log(`   Next: ${series.next.date} (${series.next.daysFromNow} days) - ${series.next.seatsSoFar} so far`);
+            }
+            console.log('');
+        });
+    }
+}
+
+// Command line interface
+async function main() {
+    try {
+        const args = process.argv.slice(2).filter(arg => arg !== '--store');
+        const store = process.argv.includes('--store') ? new DataStore() : null;
+        const series = new EventSeries({ client: store ? null : undefined, store });
+        const command = args[0] || 'report';
+
+        switch (command.toLowerCase()) {
+            case 'report':
+                await series.printReport({ last: parseInt(args[1]) || 6 });
+                break;
+
+            default:
+                console.log('Usage: node series.js report [last] [--store]');
+                console.log('  report [last] - Recurring series with attendance and the trend over the last N dates (default 6)');
+                console.log('  --store       - Use the local synced data instead of calling Wix');
+        }
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+    }
+}
+
+module.exports = EventSeries;
+module.exports.detectSeries = detectSeries;
+module.exports.seriesByEvent = seriesByEvent;
+module.exports.recurrencePattern = recurrencePattern;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,67 @@
+// series.test.js - Recurring series detection: titles, Wix recurrences and the repeat pattern (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectSeries, recurrencePattern } = require('./series');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Just enough of a Wix event for the analytics
+const event = (id, title, startDate, extra = {}) => ({
+    id,
+    title,
+    status: 'SCHEDULED',
+    ...extra,
+    scheduling: {
+        formatted: startDate,
+        config: { startDate, timeZoneId: 'America/New_York', ...extra.config }
+    }
+});
+
+// `count` dates `everyDays` apart, from 2026-09-06 at 7 PM Eastern
+const dates = (count, everyDays) =>
+    Array.from({ length: count }, (_, i) => new Date(Date.UTC(2026, 8, 6, 23) + i * everyDays * DAY_MS).toISOString());
+
+test('recurrencePattern names the usual gap between dates', () => {
+    const weekly = dates(4, 7).map((date, i) => event(`e${i}`, 'Jam', date));
+    assert.deepEqual(recurrencePattern(weekly), { pattern: 'weekly', intervalDays: 7 });
+
+    // One skipped week doesn't make it irregular
+    const skipped = [...weekly, event('e4', 'Jam', new Date(Date.parse(dates(4, 7)[3]) + 14 * DAY_MS).toISOString())];
+    assert.equal(recurrencePattern(skipped).pattern, 'weekly');
+
+    const monthly = ['2026-06-01', '2026-07-01', '2026-08-01'].map((date, i) => event(`m${i}`, 'Club', `${date}T23:00:00.000Z`));
+    assert.deepEqual(recurrencePattern(monthly), { pattern: 'monthly', intervalDays: 30.5 });
+
+    assert.deepEqual(recurrencePattern([weekly[0]]), { pattern: 'irregular', intervalDays: null });
+});
+
+test('detectSeries groups repeating titles and Wix recurrences, and leaves one-offs out', () => {
+    const events = [
+        // Weekly by title, with decorations the title key ignores and one canceled date
+        ...dates(4, 7).map((date, i) => event(`mic${i}`, i === 2 ? 'Acoustic Open Mic Night (Halloween)' : 'Acoustic Open Mic Night', date)),
+        event('mic-canceled', 'Acoustic Open Mic Night', dates(5, 7)[4], { status: 'CANCELED' }),
+        // Wix says these two are one recurring event, even with different titles
+        ...dates(2, 14).map((date, i) => event(`lesson${i}`, i === 0 ? 'Voice Lessons' : 'Group Voice Lessons', date,
+            { config: { recurrences: { categoryId: 'cat-voice' } } })),
+        // Same title but only twice, and a title whose dates don't keep a pattern
+        ...dates(2, 7).map((date, i) => event(`pair${i}`, 'Songwriting Club', date)),
+        ...['2026-01-03', '2026-01-06', '2026-01-26'].map((date, i) => event(`odd${i}`, 'Poetry Night', `${date}T23:00:00.000Z`))
+    ];
+
+    const series = detectSeries(events);
+    assert.deepEqual(series.map(entry => entry.id).sort(), ['acoustic-open-mic-night', 'voice-lessons']);
+
+    const mic = series.find(entry => entry.id === 'acoustic-open-mic-night');
+    assert.equal(mic.pattern, 'weekly');
+    assert.equal(mic.wixRecurring, false);
+    assert.equal(mic.schedule, 'Sundays at 7:00 PM');
+    assert.deepEqual(mic.events.map(entry => entry.id), ['mic0', 'mic1', 'mic2', 'mic3']);
+
+    const lessons = series.find(entry => entry.id === 'voice-lessons');
+    assert.equal(lessons.wixRecurring, true);
+    assert.deepEqual(lessons.wixCategories, ['cat-voice']);
+    assert.equal(lessons.name, 'Group Voice Lessons');
+
+    // Fewer dates are enough when asked for
+    assert.ok(detectSeries(events, { minOccurrences: 2 }).some(entry => entry.id === 'songwriting-club'));
+});
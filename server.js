@@ -3,17 +3,72 @@ require('dotenv').config();
 const express = require('express');
 const cron = require('node-cron');
 const nodemailer = require('nodemailer');
+const WixClient = require('./wix-client');
+const WixTokenProvider = require('./token-provider');
 const FinalTicketManager = require('./final-ticket-manager');
+const DataStore = require('./data-store');
+const WixSync = require('./wix-sync');
+const SalesHistory = require('./sales-history');
+const PastEventAnalytics = require('./past-events');
+const PeriodComparison = require('./period-compare');
+const CustomerDirectory = require('./customers');
+const EventSeries = require('./series');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Store latest report in memory
-let latestReport = null;
-let lastUpdated = null;
+// Latest report, kept in memory and in the data store so a restart doesn't lose it
+const store = new DataStore();
+const savedReport = store.readDocument('report');
+let latestReport = savedReport?.report || null;
+let lastUpdated = savedReport?.lastUpdated || null;
+let reportLimit = savedReport?.limit || 20;
+// The hourly cron keeps the report this fresh; older than this and a page load rebuilds it
+// (REPORT_MAX_AGE_MINUTES overrides the hour)
+const REPORT_MAX_AGE_MS = (process.env.REPORT_MAX_AGE_MINUTES ? parseFloat(process.env.REPORT_MAX_AGE_MINUTES) : 60) * 60 * 1000;
 
-// Initialize managers
-const ticketManager = new FinalTicketManager();
+// Initialize managers (one shared Wix client so retries and paging behave the same everywhere)
+const tokenProvider = new WixTokenProvider();
+const wixClient = new WixClient({ tokenProvider });
+const wixSync = new WixSync({ client: wixClient, store });
+const ticketManager = new FinalTicketManager({ client: wixClient, store });
+const salesHistory = new SalesHistory({ store });
+const pastEvents = new PastEventAnalytics({ client: wixClient, store });
+const periodComparison = new PeriodComparison({ analytics: pastEvents });
+const customers = new CustomerDirectory({ store, analytics: pastEvents });
+const eventSeries = new EventSeries({ analytics: pastEvents });
+
+wixSync.on('change', change => console.log(`   • ${change.message}`));
+
+// ?from=YYYY-MM-DD as the midnight starting that day on the venue's clock, null when absent.
+// Anything else gets a 400 and undefined back.
+function fromParam(req, res) {
+    if (!req.query.from) return null;
+
+    const from = PeriodComparison.dayStart(req.query.from);
+    if (from) return from;
+    res.status(400).json({ error: 'from must be a date (YYYY-MM-DD)' });
+    return undefined;
+}
+
+// Pull what changed in Wix into the store, then build the report from the store.
+// If Wix is unreachable the report is built from whatever was synced last.
+async function refreshReport(limit = 20) {
+    const syncResult = await wixSync.runIncremental();
+    if (!syncResult.success) {
+        console.error('Sync failed, reporting from stored data:', syncResult.error);
+    }
+    await customers.build();
+
+    const reportData = await ticketManager.generateTicketReport(limit);
+    if (reportData.success) {
+        latestReport = reportData.report;
+        lastUpdated = new Date().toISOString();
+        reportLimit = limit;
+        store.writeDocument('report', { report: latestReport, lastUpdated, limit });
+    }
+    return reportData;
+}
 
 // Email configuration
 const emailConfig = {
@@ -30,16 +85,20 @@ const emailConfig = {
 app.use(express.static('public'));
 app.use(express.json());
 
-// API endpoint for live events data
+// API endpoint for events data: the saved report while it's fresh, rebuilt when it's
+// stale, asked for with a different limit, or on ?refresh=1
 app.get('/api/events', async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 20;
-        const reportData = await ticketManager.generateTicketReport(limit);
+        const stale = !lastUpdated || Date.now() - new Date(lastUpdated) > REPORT_MAX_AGE_MS;
+        if (latestReport && !stale && limit === reportLimit && req.query.refresh !== '1') {
+            return res.json({ ...latestReport, lastUpdated });
+        }
+
+        const reportData = await refreshReport(limit);
         
         if (reportData.success) {
-            latestReport = reportData.report;
-            lastUpdated = new Date().toISOString();
-            res.json(reportData.report);
+            res.json({ ...reportData.report, lastUpdated });
         } else {
             res.status(500).json({ error: reportData.error });
         }
@@ -60,6 +119,126 @@ app.get('/api/events/cached', (req, res) => {
     }
 });
 
+// Sales curve for one event, from on-sale date to showtime
+app.get('/api/events/:id/history', (req, res) => {
+    const result = salesHistory.getSalesCurve(req.params.id);
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(404).json({ error: result.error });
+    }
+});
+
+// What the incremental syncs found, newest last (?since=ISO date&limit=N)
+app.get('/api/changes', (req, res) => {
+    const limit = parseInt(req.query.limit) || 100;
+    res.json({
+        changes: wixSync.getChanges({ since: req.query.since || null, limit }),
+        lastSync: store.getMeta('lastSync')
+    });
+});
+
+// Past event performance with aggregates and best/worst lists (?limit=N&from=YYYY-MM-DD&top=N)
+app.get('/api/past-events', async (req, res) => {
+    const from = fromParam(req, res);
+    if (from === undefined) return;
+
+    const result = await pastEvents.getAnalytics({
+        limit: parseInt(req.query.limit) || Infinity,
+        from,
+        top: parseInt(req.query.top) || 5
+    });
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json({ error: result.error });
+    }
+});
+
+// A date range against the same dates last year or the period before (?from=YYYY-MM-DD&to=YYYY-MM-DD&against=year|previous)
+app.get('/api/compare', async (req, res) => {
+    // Whole days on the venue's clock, both included
+    const range = PeriodComparison.dayRange(req.query.from, req.query.to);
+    if (!range) {
+        return res.status(400).json({ error: 'from and to are required (YYYY-MM-DD)' });
+    }
+    const against = req.query.against || 'year';
+    if (!PeriodComparison.BASELINES.includes(against)) {
+        return res.status(400).json({ error: `against must be one of ${PeriodComparison.BASELINES.join(', ')}` });
+    }
+
+    const result = await periodComparison.compare({ ...range, against });
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json({ error: result.error });
+    }
+});
+
+// Check-ins, no-show rates and arrival times for past events (?limit=N&from=YYYY-MM-DD)
+app.get('/api/check-ins', async (req, res) => {
+    const from = fromParam(req, res);
+    if (from === undefined) return;
+
+    const result = await ticketManager.checkIns.getCheckIns({
+        limit: parseInt(req.query.limit) || Infinity,
+        from
+    });
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json({ error: result.error });
+    }
+});
+
+// Customers across all events (?type=Jam Session&minEvents=3&lapsedDays=90&search=text&sort=lastVisit|firstVisit|events|spend|name&limit=N)
+app.get('/api/customers', async (req, res) => {
+    const result = await customers.query({
+        type: req.query.type || null,
+        minEvents: parseInt(req.query.minEvents) || 0,
+        lapsedDays: req.query.lapsedDays ? parseInt(req.query.lapsedDays) : null,
+        search: req.query.search || null,
+        sort: req.query.sort || 'lastVisit',
+        limit: parseInt(req.query.limit) || Infinity
+    });
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json({ error: result.error });
+    }
+});
+
+// How far ahead people buy by event type, and when they buy (?from=YYYY-MM-DD)
+app.get('/api/purchase-timing', async (req, res) => {
+    const from = fromParam(req, res);
+    if (from === undefined) return;
+
+    const result = await ticketManager.purchaseTiming.getTiming({
+        from
+    });
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json({ error: result.error });
+    }
+});
+
+// Recurring series with average attendance, the trend over the last N dates and the next date (?last=N)
+app.get('/api/series', async (req, res) => {
+    const result = await eventSeries.getSeries({ last: parseInt(req.query.last) || 6 });
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(500).json({ error: result.error });
+    }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
     res.json({ 
@@ -69,7 +248,10 @@ app.get('/api/health', (req, res) => {
         uptime: process.uptime(),
         totalEvents: latestReport?.summary?.totalUpcomingEvents || 0,
         totalTickets: latestReport?.summary?.totalTicketsSold || 0,
-        ticketedEvents: latestReport?.summary?.ticketedEventsCount || 0
+        ticketedEvents: latestReport?.summary?.ticketedEventsCount || 0,
+        lastSync: store.getMeta('lastSync'),
+        stored: store.stats(),
+        wixToken: tokenProvider.getStatus()
     });
 });
 
@@ -305,6 +487,37 @@ app.get('/', (req, res) => {
             padding: 20px;
         }
         
+        .series-row {
+            border: 1px solid #e5e7eb;
+            border-left: 4px solid #8b5cf6;
+            border-radius: 8px;
+        }
+        
+        .series-row summary {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 6px 12px;
+            padding: 16px 20px;
+            cursor: pointer;
+        }
+        
+        .series-name {
+            font-weight: 600;
+            color: #333;
+        }
+        
+        .series-info, .series-stats {
+            color: #6b7280;
+            font-size: 0.85em;
+        }
+        
+        .series-events {
+            display: grid;
+            gap: 15px;
+            padding: 0 20px 20px;
+        }
+        
         .event-card {
             border: 1px solid #e5e7eb;
             border-radius: 8px;
@@ -358,6 +571,91 @@ app.get('/', (req, res) => {
             margin-bottom: 12px;
         }
         
+        .event-pace {
+            color: #4b5563;
+            font-size: 0.85em;
+            margin-top: 10px;
+        }
+        
+        .pace-behind {
+            color: #dc2626;
+        }
+        
+        .pace-ahead {
+            color: #059669;
+        }
+        
+        .event-forecast {
+            color: #6b7280;
+            font-size: 0.85em;
+            margin-top: 4px;
+        }
+        
+        .event-attendance {
+            color: #6b7280;
+            font-size: 0.85em;
+            margin-top: 4px;
+        }
+        
+        .status-rule {
+            color: #6b7280;
+            font-size: 0.8em;
+            margin-top: 6px;
+        }
+        
+        .event-capacity {
+            margin-top: 10px;
+            font-size: 0.85em;
+            color: #4b5563;
+        }
+        
+        .capacity-bar {
+            height: 6px;
+            background: #e5e7eb;
+            border-radius: 3px;
+            overflow: hidden;
+            margin-bottom: 4px;
+        }
+        
+        .capacity-fill {
+            height: 100%;
+            background: #667eea;
+        }
+        
+        .event-tiers {
+            margin-top: 10px;
+            font-size: 0.85em;
+            color: #4b5563;
+        }
+        
+        .event-tiers summary {
+            cursor: pointer;
+            color: #667eea;
+        }
+        
+        .tier-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-top: 8px;
+        }
+        
+        .tier-table th,
+        .tier-table td {
+            text-align: right;
+            padding: 4px 6px;
+            border-bottom: 1px solid #e5e7eb;
+        }
+        
+        .tier-table th:first-child,
+        .tier-table td:first-child {
+            text-align: left;
+        }
+        
+        .tier-sold-out {
+            color: #dc2626;
+            font-weight: bold;
+        }
+        
         .event-url a {
             color: #667eea;
             text-decoration: none;
@@ -477,10 +775,16 @@ app.get('/', (req, res) => {
                 <span id="last-updated-text">Loading...</span>
             </div>
             <div style="display: flex; gap: 10px;">
+                <a class="refresh-button" href="/past" style="text-decoration: none;">
+                    Past Events
+                </a>
+                <a class="refresh-button" href="/timing" style="text-decoration: none;">
+                    When People Buy
+                </a>
                 <button class="email-button" onclick="sendTestEmail()">
                     Test Email
                 </button>
-                <button class="refresh-button" onclick="refreshData()">
+                <button class="refresh-button" onclick="refreshData(true)">
                     Refresh Data
                 </button>
             </div>
@@ -557,7 +861,30 @@ app.get('/', (req, res) => {
             }
         }
         
-        async function refreshData() {
+        // Average attendance and trend for each collapsed series row; rows just go without if this fails
+        async function loadSeriesStats() {
+            const rows = document.querySelectorAll('.series-stats');
+            if (rows.length === 0) return;
+            
+            try {
+                const response = await fetch('/api/series');
+                if (!response.ok) throw new Error('Failed to fetch series');
+                const data = await response.json();
+                const arrows = { growing: '↑', shrinking: '↓', steady: '→' };
+                
+                rows.forEach(row => {
+                    const series = data.series.find(entry => entry.id === row.dataset.series);
+                    if (!series || series.averageAttendance === null) return;
+                    row.innerHTML = 'avg ' + series.averageAttendance + ' over ' + series.occurrences + ' dates' +
+                        (series.trend.direction ? ' · ' + arrows[series.trend.direction] + ' ' + series.trend.direction + ' lately' : '');
+                });
+            } catch (error) {
+                console.error('Error loading series stats:', error);
+            }
+        }
+        
+        // The refresh button rebuilds the report; the timer only picks up a newer one
+        async function refreshData(force = false) {
             if (isRefreshing) return;
             
             isRefreshing = true;
@@ -566,7 +893,7 @@ app.get('/', (req, res) => {
             button.innerHTML = 'Refreshing...';
             
             try {
-                const response = await fetch('/api/events');
+                const response = await fetch(force ? '/api/events?refresh=1' : '/api/events');
                 if (!response.ok) throw new Error('Failed to refresh events');
                 const data = await response.json();
                 renderDashboard(data);
@@ -611,7 +938,9 @@ app.get('/', (req, res) => {
             if (urgentEvents.length > 0) {
                 urgentAlert.style.display = 'block';
                 document.getElementById('urgent-message').innerHTML = 
-                    urgentEvents.length + ' events this week have no tickets sold: ' + urgentEvents.map(e => e.title).join(', ');
+                    urgentEvents.length + ' events need attention: ' + urgentEvents.map(e =>
+                        e.title + (e.statusRule ? ' (' + e.statusRule.label.toLowerCase() + ')' : '')
+                    ).join(', ');
             } else {
                 urgentAlert.style.display = 'none';
             }
@@ -633,19 +962,25 @@ app.get('/', (req, res) => {
                 '<div class="summary-card">' +
                     '<div class="summary-number">' + data.summary.averageTicketsPerEvent + '</div>' +
                     '<div class="summary-label">Avg per Ticketed Event</div>' +
-                '</div>';
+                '</div>' +
+                (data.summary.revenue ?
+                    '<div class="summary-card">' +
+                        '<div class="summary-number">$' + Math.round(data.summary.revenue.gross).toLocaleString() + '</div>' +
+                        '<div class="summary-label">Gross Sales</div>' +
+                    '</div>' +
+                    '<div class="summary-card">' +
+                        '<div class="summary-number">$' + Math.round(data.summary.revenue.net).toLocaleString() + '</div>' +
+                        '<div class="summary-label">Net Revenue' +
+                            (data.summary.revenue.refunds > 0 ? ' (after $' + Math.round(data.summary.revenue.refunds).toLocaleString() + ' refunds)' : '') +
+                        '</div>' +
+                    '</div>' : '');
             document.getElementById('summary').innerHTML = summaryHTML;
             
             // Render events
-            const typeColors = {
-                'Concert': '#667eea',
-                'Open Mic': '#f59e0b',
-                'Jam Session': '#10b981',
-                'Workshop': '#8b5cf6',
-                'Fundraiser': '#ef4444'
-            };
+            // From config/event-categories.json
+            const typeColors = ${JSON.stringify(ticketManager.categories.colors())};
             
-            const eventsHTML = data.events.map(event => {
+            const eventCard = event => {
                 const statusClass = 'status-' + event.salesStatus;
                 const typeColor = typeColors[event.eventType] || '#6b7280';
                 
@@ -668,6 +1003,75 @@ app.get('/', (req, res) => {
                 // Construct event URL from slug
                 const eventUrl = event.slug ? 'https://listeningbooth.com/events/' + event.slug : '#';
                 
+                // Pace against comparable past events, when there is enough history
+                let paceHTML = '';
+                if (event.pace && event.pace.label) {
+                    const paceClass = event.pace.score <= -0.1 ? 'pace-behind' : event.pace.score >= 0.1 ? 'pace-ahead' : '';
+                    paceHTML = '<div class="event-pace ' + paceClass + '">' +
+                        event.pace.label.charAt(0).toUpperCase() + event.pace.label.slice(1) +
+                        ' · ' + event.velocity.last7Days + '/day this week' +
+                    '</div>';
+                }
+                
+                // Projected final count (with its range) and sell-out date
+                let forecastHTML = '';
+                if (event.forecast && event.forecast.label) {
+                    forecastHTML = '<div class="event-forecast">' +
+                        event.forecast.label.charAt(0).toUpperCase() + event.forecast.label.slice(1) +
+                    '</div>';
+                }
+                
+                // Percent of the room sold, when we know how big the room is
+                let capacityHTML = '';
+                if (event.capacity) {
+                    capacityHTML = '<div class="event-capacity">' +
+                        '<div class="capacity-bar"><div class="capacity-fill" style="width: ' + Math.min(100, event.percentSold) + '%"></div></div>' +
+                        event.seatsTaken + ' of ' + event.capacity + ' (' + Math.round(event.percentSold) + '%) · ' +
+                        (event.remainingSeats > 0 ? event.remainingSeats + ' seats left' : 'Sold out') +
+                        (event.rsvpLimit ? '<br>Take up to ' + event.rsvpLimit.suggested + ' RSVPs (' + event.rsvpLimit.noShowRate + '% usually no-show)' : '') +
+                    '</div>';
+                }
+                
+                // Where the headcount comes from, when it's more than plain tickets or RSVPs
+                let attendanceHTML = '';
+                const attendance = event.attendance;
+                if (attendance && (attendance.bookings.confirmed > 0 || attendance.duplicates > 0 || attendance.rsvps.WAITING.rsvps > 0)) {
+                    const sources = [];
+                    if (attendance.tickets.sold > 0) sources.push(attendance.tickets.sold + ' tickets');
+                    if (attendance.rsvps.GOING.guests > 0) sources.push(attendance.rsvps.GOING.guests + ' RSVP guests');
+                    if (attendance.bookings.participants > 0) sources.push(attendance.bookings.participants + ' booked');
+                    attendanceHTML = '<div class="event-attendance">' +
+                        attendance.expectedHeadcount + ' expected: ' + sources.join(' · ') +
+                        (attendance.duplicates > 0 ? ' (' + attendance.duplicates + ' counted once)' : '') +
+                        (attendance.rsvps.WAITING.guests > 0 ? ' · ' + attendance.rsvps.WAITING.guests + ' waitlisted' : '') +
+                    '</div>';
+                }
+                
+                // Ticket types: a one-line summary that expands into a table
+                let tiersHTML = '';
+                if (event.tiers && event.tiers.length > 0 && !event.isRSVPOnly) {
+                    const tierSummary = event.tiers.map(tier =>
+                        tier.name + ' ' + tier.sold +
+                        (tier.soldOut ? ' (sold out)' : tier.remaining !== null ? ' (' + tier.remaining + ' left)' : '')
+                    ).join(' · ');
+                    const tierRows = event.tiers.map(tier =>
+                        '<tr>' +
+                            '<td>' + tier.name + '</td>' +
+                            '<td>' + (tier.free ? 'Free' : '$' + tier.price.toFixed(2)) + '</td>' +
+                            '<td>' + tier.sold + '</td>' +
+                            '<td>$' + tier.revenue.toFixed(2) + '</td>' +
+                            '<td' + (tier.soldOut ? ' class="tier-sold-out">Sold out' : '>' + (tier.remaining !== null ? tier.remaining + ' of ' + tier.limit : '—')) + '</td>' +
+                        '</tr>'
+                    ).join('');
+                    tiersHTML = '<details class="event-tiers">' +
+                        '<summary>' + tierSummary + '</summary>' +
+                        '<table class="tier-table">' +
+                            '<tr><th>Ticket</th><th>Price</th><th>Sold</th><th>Revenue</th><th>Left</th></tr>' +
+                            tierRows +
+                        '</table>' +
+                    '</details>';
+                }
+                
                 return '<div class="event-card">' +
                         '<div class="event-header">' +
                             '<span class="event-type" style="background: ' + typeColor + '">' + event.eventType + '</span>' +
@@ -678,12 +1082,46 @@ app.get('/', (req, res) => {
                         '<div class="event-venue">' + event.venue + '</div>' +
                         '<div class="event-url"><a href="' + eventUrl + '" target="_blank" rel="noopener">' + eventUrl + '</a></div>' +
                         '<div class="event-sales">' +
-                            '<span class="tickets-sold ' + statusClass + '">' + ticketInfo + '</span>' +
+                            '<span class="tickets-sold ' + statusClass + '"' + (event.statusRule ? ' title="' + event.statusRule.name + '"' : '') + '>' + ticketInfo + '</span>' +
                             eventBadge +
                         '</div>' +
+                        (event.statusRule ? '<div class="status-rule">' + event.statusRule.label + '</div>' : '') +
+                        capacityHTML +
+                        attendanceHTML +
+                        paceHTML +
+                        forecastHTML +
+                        tiersHTML +
                     '</div>';
+            };
+            
+            // A recurring series shows as one expandable row where its first date would be
+            const seriesEvents = {};
+            data.events.forEach(event => {
+                if (event.series) {
+                    seriesEvents[event.series.id] = seriesEvents[event.series.id] || [];
+                    seriesEvents[event.series.id].push(event);
+                }
+            });
+            const eventsHTML = data.events.map(event => {
+                const members = event.series ? seriesEvents[event.series.id] : null;
+                if (!members || members.length < 2) return eventCard(event);
+                if (members[0] !== event) return '';
+                
+                return '<details class="series-row">' +
+                    '<summary>' +
+                        '<span class="event-type" style="background: ' + (typeColors[event.eventType] || '#6b7280') + '">' + event.eventType + '</span>' +
+                        '<span class="series-name">' + event.series.name + '</span>' +
+                        '<span class="series-info">' +
+                            event.series.pattern + (event.series.schedule ? ' · ' + event.series.schedule : '') +
+                            ' · ' + members.length + ' upcoming · next ' + event.daysFromNow + ' days (' + event.seatsTaken + ' so far)' +
+                        '</span>' +
+                        '<span class="series-stats" data-series="' + event.series.id + '"></span>' +
+                    '</summary>' +
+                    '<div class="series-events">' + members.map(eventCard).join('') + '</div>' +
+                '</details>';
             }).join('');
             document.getElementById('events-grid').innerHTML = eventsHTML;
+            loadSeriesStats();
             
             // Render top events sidebar
             const topEventsHTML = (data.summary.topSellingEvents || []).map(event => 
@@ -724,15 +1162,618 @@ app.get('/', (req, res) => {
     `);
 });
 
+// Past event performance page
+app.get('/past', (req, res) => {
+    res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>The Listening Booth - Past Events</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+        }
+        
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background: white;
+            min-height: 100vh;
+        }
+        
+        .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 30px;
+            text-align: center;
+        }
+        
+        .venue-name {
+            font-size: 2.5em;
+            font-weight: 300;
+        }
+        
+        .venue-subtitle {
+            font-size: 1.2em;
+            margin-top: 10px;
+            opacity: 0.9;
+        }
+        
+        .toolbar {
+            background: #f8f9fa;
+            padding: 20px 30px;
+            border-bottom: 1px solid #e5e7eb;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        
+        .toolbar a {
+            background: #667eea;
+            color: white;
+            padding: 10px 20px;
+            border-radius: 6px;
+            text-decoration: none;
+        }
+        
+        .content {
+            padding: 30px;
+        }
+        
+        .loading {
+            text-align: center;
+            padding: 100px;
+            font-size: 1.2em;
+            color: #666;
+        }
+        
+        .summary {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+            gap: 25px;
+            margin-bottom: 40px;
+        }
+        
+        .summary-card {
+            background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
+            color: white;
+            padding: 30px;
+            border-radius: 12px;
+            text-align: center;
+        }
+        
+        .summary-number {
+            font-size: 2.5em;
+            font-weight: bold;
+        }
+        
+        .summary-label {
+            margin-top: 10px;
+            opacity: 0.9;
+        }
+        
+        .section-header {
+            font-size: 1.4em;
+            color: #333;
+            margin: 30px 0 15px 0;
+            padding-bottom: 10px;
+            border-bottom: 2px solid #667eea;
+        }
+        
+        .groups {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(420px, 1fr));
+            gap: 30px;
+        }
+        
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9em;
+        }
+        
+        th, td {
+            text-align: left;
+            padding: 8px 10px;
+            border-bottom: 1px solid #e5e7eb;
+        }
+        
+        th {
+            color: #666;
+            font-weight: 600;
+        }
+        
+        .best td:first-child {
+            border-left: 4px solid #10b981;
+        }
+        
+        .worst td:first-child {
+            border-left: 4px solid #ef4444;
+        }
+        
+        .muted {
+            color: #999;
+        }
+        
+        .compare-form {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            flex-wrap: wrap;
+            margin-bottom: 15px;
+        }
+        
+        .compare-form input, .compare-form select, .compare-form button {
+            padding: 8px 12px;
+            border: 1px solid #d1d5db;
+            border-radius: 6px;
+            font-size: 0.95em;
+        }
+        
+        .compare-form button {
+            background: #667eea;
+            color: white;
+            border: none;
+            cursor: pointer;
+        }
+        
+        .change-up {
+            color: #10b981;
+        }
+        
+        .change-down {
+            color: #ef4444;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1 class="venue-name">The Listening Booth</h1>
+            <p class="venue-subtitle">Past Event Performance</p>
+        </div>
+        
+        <div class="toolbar">
+            <span id="generated-text" class="muted">Loading...</span>
+            <a href="/">Upcoming Events</a>
+        </div>
+        
+        <div class="content">
+            <div class="section-header">Compare Periods</div>
+            <form class="compare-form" onsubmit="loadComparison(event)">
+                <input type="date" id="compare-from" required>
+                <span>to</span>
+                <input type="date" id="compare-to" required>
+                <select id="compare-against">
+                    <option value="year">vs same dates last year</option>
+                    <option value="previous">vs previous period</option>
+                </select>
+                <button type="submit">Compare</button>
+            </form>
+            <div id="comparison"></div>
+            
+            <div id="loading" class="loading">Analyzing past events...</div>
+            <div id="analytics" style="display: none;"></div>
+        </div>
+    </div>
+
+    <script>
+        const money = value => '$' + Math.round(value).toLocaleString();
+        const percent = value => value === null ? '<span class="muted">-</span>' : value + '%';
+        
+        function groupTable(title, key, groups) {
+            return '<div>' +
+                '<div class="section-header">' + title + '</div>' +
+                '<table>' +
+                    '<tr><th></th><th>Events</th><th>Avg seats</th><th>Avg net</th><th>Full</th><th>Checked in</th></tr>' +
+                    groups.map(group =>
+                        '<tr>' +
+                            '<td>' + group[key] + '</td>' +
+                            '<td>' + group.events + '</td>' +
+                            '<td>' + group.averageSeats + '</td>' +
+                            '<td>' + money(group.averageNetRevenue) + '</td>' +
+                            '<td>' + percent(group.averagePercentSold) + '</td>' +
+                            '<td>' + percent(group.checkInRate) + '</td>' +
+                        '</tr>'
+                    ).join('') +
+                '</table>' +
+            '</div>';
+        }
+        
+        function rankingTable(title, className, events) {
+            return '<div>' +
+                '<div class="section-header">' + title + '</div>' +
+                '<table class="' + className + '">' +
+                    '<tr><th>Event</th><th>Seats</th><th>vs. typical</th><th>Net</th><th>Checked in</th></tr>' +
+                    events.map(event =>
+                        '<tr>' +
+                            '<td>' + event.title + '<br><span class="muted">' + (event.date || '') + ' · ' + event.type + '</span></td>' +
+                            '<td>' + event.seats + '</td>' +
+                            '<td>' + event.vsTypical + '×</td>' +
+                            '<td>' + money(event.revenue.net) + '</td>' +
+                            '<td>' + percent(event.checkInRate) + '</td>' +
+                        '</tr>'
+                    ).join('') +
+                '</table>' +
+            '</div>';
+        }
+        
+        function renderAnalytics(data) {
+            const totals = data.totals;
+            const summaryHTML =
+                '<div class="summary">' +
+                    '<div class="summary-card"><div class="summary-number">' + totals.events + '</div><div class="summary-label">Past Events</div></div>' +
+                    '<div class="summary-card"><div class="summary-number">' + totals.seats.toLocaleString() + '</div><div class="summary-label">Seats Filled</div></div>' +
+                    '<div class="summary-card"><div class="summary-number">' + money(totals.revenue.net) + '</div><div class="summary-label">Net Revenue</div></div>' +
+                    '<div class="summary-card"><div class="summary-number">' + percent(totals.checkInRate) + '</div><div class="summary-label">Checked In</div></div>' +
+                '</div>';
+            
+            document.getElementById('analytics').innerHTML = summaryHTML +
+                '<div class="groups">' +
+                    rankingTable('Best Performing', 'best', data.best) +
+                    rankingTable('Worst Performing', 'worst', data.worst) +
+                    groupTable('By Event Type', 'type', data.byType) +
+                    groupTable('By Weekday', 'weekday', data.byWeekday) +
+                    groupTable('By Month', 'month', data.byMonth) +
+                    groupTable('By Season', 'season', data.bySeason) +
+                    groupTable('By Price Tier', 'priceTier', data.byPriceTier) +
+                '</div>';
+            
+            document.getElementById('loading').style.display = 'none';
+            document.getElementById('analytics').style.display = 'block';
+            document.getElementById('generated-text').innerHTML =
+                'Generated: ' + new Date(data.generatedAt).toLocaleString() + ' · "vs. typical" compares seats with the median for the event type';
+        }
+        
+        async function loadAnalytics() {
+            try {
+                const response = await fetch('/api/past-events' + window.location.search);
+                if (!response.ok) throw new Error('Failed to fetch past events');
+                renderAnalytics(await response.json());
+            } catch (error) {
+                console.error('Error loading past events:', error);
+                document.getElementById('loading').innerHTML = 'Error loading past events. Please try refreshing.';
+            }
+        }
+        
+        function change(value, format) {
+            format = format || (v => v);
+            if (value.change === null) {
+                return '<span class="muted">-</span>';
+            }
+            const className = value.change > 0 ? 'change-up' : value.change < 0 ? 'change-down' : 'muted';
+            const sign = value.change > 0 ? '+' : '';
+            return '<span class="' + className + '">' + sign + format(value.change) +
+                (value.percentChange !== null ? ' (' + sign + value.percentChange + '%)' : '') + '</span>';
+        }
+        
+        function show(value, format) {
+            return value === null ? '<span class="muted">-</span>' : (format || (v => v))(value);
+        }
+        
+        function renderComparison(data) {
+            const row = (label, value, format) =>
+                '<tr><td>' + label + '</td><td>' + show(value.current, format) + '</td><td>' + show(value.previous, format) + '</td><td>' + change(value, format) + '</td></tr>';
+            const header = '<tr><th></th><th>This period</th><th>' + (data.against === 'year' ? 'Last year' : 'Previous period') + '</th><th>Change</th></tr>';
+            
+            const totalsHTML = '<table>' + header +
+                row('Events', data.changes.events) +
+                row('Tickets sold', data.changes.ticketsSold) +
+                row('Seats filled', data.changes.seats) +
+                row('Gross sales', data.changes.grossRevenue, money) +
+                row('Net revenue', data.changes.netRevenue, money) +
+            '</table>';
+            
+            const typesHTML = '<table>' + header.replace('<th></th>', '<th>Avg attendance</th>') +
+                data.averageSeatsByType.map(entry => row(entry.type, entry)).join('') +
+            '</table>';
+            
+            const recurringHTML = data.recurring.length === 0 ? '' :
+                '<div class="section-header">Recurring Events (same days out)</div>' +
+                '<table>' +
+                    '<tr><th>Event</th><th>Days out</th><th>Now</th><th>Last time</th><th>Change</th><th>Last time final</th></tr>' +
+                    data.recurring.map(pair =>
+                        '<tr>' +
+                            '<td>' + pair.title + '<br><span class="muted">' + (pair.current.date || '') + ' vs ' + (pair.previous.date || '') + '</span></td>' +
+                            '<td>' + (pair.daysOut > 0 ? pair.daysOut : 'final') + '</td>' +
+                            '<td>' + pair.seats.current + '</td>' +
+                            '<td>' + pair.seats.previous + '</td>' +
+                            '<td>' + change(pair.seats) + '</td>' +
+                            '<td>' + pair.previous.finalSeats + '</td>' +
+                        '</tr>'
+                    ).join('') +
+                '</table>';
+            
+            document.getElementById('comparison').innerHTML =
+                '<div class="groups">' + totalsHTML + typesHTML + '</div>' + recurringHTML;
+        }
+        
+        async function loadComparison(event) {
+            if (event) event.preventDefault();
+            const params = new URLSearchParams({
+                from: document.getElementById('compare-from').value,
+                to: document.getElementById('compare-to').value,
+                against: document.getElementById('compare-against').value
+            });
+            
+            document.getElementById('comparison').innerHTML = '<p class="muted">Comparing...</p>';
+            try {
+                const response = await fetch('/api/compare?' + params);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to compare periods');
+                renderComparison(data);
+            } catch (error) {
+                console.error('Error comparing periods:', error);
+                document.getElementById('comparison').innerHTML = '<p class="muted">Could not compare periods: ' + error.message + '</p>';
+            }
+        }
+        
+        // Default to this month so far against the same days last year
+        const today = new Date();
+        document.getElementById('compare-from').value = new Date(today.getFullYear(), today.getMonth(), 1).toLocaleDateString('en-CA');
+        document.getElementById('compare-to').value = today.toLocaleDateString('en-CA');
+        
+        loadAnalytics();
+        loadComparison();
+    </script>
+</body>
+</html>
+    `);
+});
+
+// Purchase lead times and the weekday × hour heatmap, for timing announcements and posts
+app.get('/timing', (req, res) => {
+    res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>The Listening Booth - When People Buy</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+        }
+        
+        .container {
+            max-width: 1400px;
+            margin: 0 auto;
+            background: white;
+            min-height: 100vh;
+        }
+        
+        .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 30px;
+            text-align: center;
+        }
+        
+        .venue-name {
+            font-size: 2.5em;
+            font-weight: 300;
+        }
+        
+        .venue-subtitle {
+            font-size: 1.2em;
+            margin-top: 10px;
+            opacity: 0.9;
+        }
+        
+        .toolbar {
+            background: #f8f9fa;
+            padding: 20px 30px;
+            border-bottom: 1px solid #e5e7eb;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        
+        .toolbar a {
+            background: #667eea;
+            color: white;
+            padding: 10px 20px;
+            border-radius: 6px;
+            text-decoration: none;
+        }
+        
+        .content {
+            padding: 30px;
+        }
+        
+        .loading {
+            text-align: center;
+            padding: 100px;
+            font-size: 1.2em;
+            color: #666;
+        }
+        
+        .summary {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+            gap: 25px;
+            margin-bottom: 40px;
+        }
+        
+        .summary-card {
+            background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
+            color: white;
+            padding: 30px;
+            border-radius: 12px;
+            text-align: center;
+        }
+        
+        .summary-number {
+            font-size: 2.5em;
+            font-weight: bold;
+        }
+        
+        .summary-label {
+            margin-top: 10px;
+            opacity: 0.9;
+        }
+        
+        .section-header {
+            font-size: 1.4em;
+            color: #333;
+            margin: 30px 0 15px 0;
+            padding-bottom: 10px;
+            border-bottom: 2px solid #667eea;
+        }
+        
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9em;
+        }
+        
+        th, td {
+            text-align: left;
+            padding: 8px 10px;
+            border-bottom: 1px solid #e5e7eb;
+        }
+        
+        th {
+            color: #666;
+            font-weight: 600;
+        }
+        
+        .heatmap td {
+            text-align: center;
+            padding: 0;
+            height: 32px;
+            border: 1px solid white;
+            font-size: 0.8em;
+        }
+        
+        .heatmap th {
+            font-size: 0.8em;
+            white-space: nowrap;
+        }
+        
+        .muted {
+            color: #999;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1 class="venue-name">The Listening Booth</h1>
+            <p class="venue-subtitle">When People Buy</p>
+        </div>
+        
+        <div class="toolbar">
+            <span id="generated-text" class="muted">Loading...</span>
+            <a href="/">Upcoming Events</a>
+        </div>
+        
+        <div class="content">
+            <div id="loading" class="loading">Analyzing purchases...</div>
+            <div id="timing" style="display: none;"></div>
+        </div>
+    </div>
+
+    <script>
+        const hourLabel = hour => (hour % 12 || 12) + (hour < 12 ? 'am' : 'pm');
+        
+        function leadTimeTable(data) {
+            const groups = [Object.assign({ type: 'All events' }, data.leadTime)].concat(data.leadTimeByType);
+            return '<table>' +
+                '<tr><th>Event type</th><th>Orders</th><th>Median</th>' +
+                    data.leadTime.buckets.map(bucket => '<th>' + bucket.label + '</th>').join('') +
+                '</tr>' +
+                groups.map(group =>
+                    '<tr>' +
+                        '<td>' + group.type + '</td>' +
+                        '<td>' + group.orders + '</td>' +
+                        '<td>' + group.medianDays + ' days</td>' +
+                        group.buckets.map(bucket => '<td>' + bucket.percent + '%</td>').join('') +
+                    '</tr>'
+                ).join('') +
+            '</table>';
+        }
+        
+        function heatmapTable(heatmap) {
+            return '<table class="heatmap">' +
+                '<tr><th></th>' + heatmap.hours.map(hour => '<th>' + (hour % 3 === 0 ? hourLabel(hour) : '') + '</th>').join('') + '<th>Total</th></tr>' +
+                heatmap.weekdays.map((weekday, day) =>
+                    '<tr><th>' + weekday + '</th>' +
+                        heatmap.cells[day].map((count, hour) => {
+                            const opacity = heatmap.max > 0 ? count / heatmap.max : 0;
+                            return '<td style="background: rgba(102, 126, 234, ' + opacity.toFixed(2) + ')" title="' + weekday + ' ' + hourLabel(hour) + ': ' + count + ' orders">' + (count || '') + '</td>';
+                        }).join('') +
+                        '<th>' + heatmap.byWeekday[day].orders + '</th>' +
+                    '</tr>'
+                ).join('') +
+            '</table>';
+        }
+        
+        function renderTiming(data) {
+            const leadTime = data.leadTime;
+            const peak = data.heatmap.peaks[0];
+            const summaryHTML =
+                '<div class="summary">' +
+                    '<div class="summary-card"><div class="summary-number">' + leadTime.orders + '</div><div class="summary-label">Orders</div></div>' +
+                    '<div class="summary-card"><div class="summary-number">' + (leadTime.medianDays === null ? '-' : leadTime.medianDays) + '</div><div class="summary-label">Median Days Ahead</div></div>' +
+                    '<div class="summary-card"><div class="summary-number">' + (leadTime.quartileDays[0] === null ? '-' : leadTime.quartileDays.join('-')) + '</div><div class="summary-label">Days Ahead (Middle Half)</div></div>' +
+                    '<div class="summary-card"><div class="summary-number">' + (peak ? peak.label : '-') + '</div><div class="summary-label">Busiest Hour</div></div>' +
+                '</div>';
+            
+            document.getElementById('timing').innerHTML = summaryHTML +
+                '<div class="section-header">Days Before the Show, by Event Type</div>' + leadTimeTable(data) +
+                '<div class="section-header">Orders by Weekday and Hour (' + data.heatmap.timeZone + ')</div>' + heatmapTable(data.heatmap);
+            
+            document.getElementById('loading').style.display = 'none';
+            document.getElementById('timing').style.display = 'block';
+            document.getElementById('generated-text').innerHTML =
+                'Generated: ' + new Date(data.generatedAt).toLocaleString() + ' · ' + data.events + ' events, canceled orders left out';
+        }
+        
+        async function loadTiming() {
+            try {
+                const response = await fetch('/api/purchase-timing' + window.location.search);
+                if (!response.ok) throw new Error('Failed to fetch purchase timing');
+                renderTiming(await response.json());
+            } catch (error) {
+                console.error('Error loading purchase timing:', error);
+                document.getElementById('loading').innerHTML = 'Error loading purchase timing. Please try refreshing.';
+            }
+        }
+        
+        loadTiming();
+    </script>
+</body>
+</html>
+    `);
+});
+
 // Update cache automatically
 async function updateCache() {
     try {
         console.log('Updating events cache...');
-        const reportData = await ticketManager.generateTicketReport(20);
+        const reportData = await refreshReport(20);
         
         if (reportData.success) {
-            latestReport = reportData.report;
-            lastUpdated = new Date().toISOString();
+            salesHistory.recordSnapshot(reportData.report.events, lastUpdated);
             console.log(`Cache updated with ${reportData.report.events.length} events, ${reportData.report.summary.totalTicketsSold} tickets sold across ${reportData.report.summary.ticketedEventsCount} ticketed events`);
             
             // Send daily report if it's 9 AM
@@ -781,6 +1822,7 @@ async function sendDailyReport(report) {
     const urgentEvents = report.summary.urgentEvents || [];
     const topEvents = report.summary.topSellingEvents || [];
     const thisWeekEvents = report.summary.thisWeekEvents || [];
+    const forecastEvents = (report.events || []).filter(e => e.forecast && e.forecast.label);
     
     const html = `
         <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
@@ -818,9 +1860,9 @@ async function sendDailyReport(report) {
                 ${urgentEvents.length > 0 ? `
                 <div style="background: #fef2f2; border: 1px solid #fecaca; padding: 20px; border-radius: 8px; margin-bottom: 30px;">
                     <h3 style="color: #b91c1c; margin: 0 0 10px 0;">Urgent Attention Needed</h3>
-                    <p style="color: #b91c1c; margin: 0;">${urgentEvents.length} events this week have no tickets sold</p>
+                    <p style="color: #b91c1c; margin: 0;">${urgentEvents.length} events need attention</p>
                     <ul style="color: #b91c1c; margin: 10px 0 0 0;">
-                        ${urgentEvents.map(e => `<li>${e.title} (${e.daysFromNow} days away)</li>`).join('')}
+                        ${urgentEvents.map(e => `<li>${e.title} (${e.daysFromNow} days away)${e.statusRule ? ` - ${e.statusRule.label}` : ''}</li>`).join('')}
                     </ul>
                 </div>
                 ` : ''}
@@ -834,6 +1876,15 @@ async function sendDailyReport(report) {
                 </div>
                 ` : ''}
                 
+                ${forecastEvents.length > 0 ? `
+                <div style="margin-bottom: 30px;">
+                    <h3>Forecast</h3>
+                    <ul>
+                        ${forecastEvents.map(e => `<li>${e.title} - ${e.ticketsSold} sold now, ${e.forecast.label}</li>`).join('')}
+                    </ul>
+                </div>
+                ` : ''}
+                
                 <div style="text-align: center; margin-top: 40px;">
                     <a href="${process.env.DASHBOARD_URL || 'http://localhost:3000'}" 
                        style="background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">
@@ -876,6 +1927,9 @@ app.listen(PORT, () => {
     console.log(`Email reports ${process.env.EMAIL_USER ? 'configured' : 'not configured'}`);
     console.log(`Auto-update: Every hour`);
     console.log(`Daily reports: 9:00 AM`);
+    if (wixClient.mode !== 'live') {
+        console.log(`Wix API ${wixClient.mode}: ${wixClient.recorder.sessionDir}`);
+    }
     console.log(`Venue: The Listening Booth, Lewes, DE`);
 });
 
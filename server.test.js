@@ -0,0 +1,95 @@
+// server.test.js - /api/events serves the saved report while it's fresh and rebuilds it from an
+// incremental sync when asked or when it goes stale (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const createMockWixServer = require('./mock-wix-server');
+const { startMockWixServer, mockWixEnv } = createMockWixServer;
+
+const fixtures = createMockWixServer.loadFixtures();
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-data-'));
+let mock;
+
+const freePort = () => new Promise(resolve => {
+    const probe = net.createServer().listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+// Start server.js against the mock and wait for the report it builds on startup
+async function startServer(env = {}) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        cwd: __dirname,
+        env: { ...process.env, ...mockWixEnv(mock), WIX_DATA_DIR: dataDir, PORT: String(port), ...env },
+        stdio: 'ignore'
+    });
+    const get = async (url) => {
+        const response = await fetch(`http://localhost:${port}${url}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    for (let attempt = 0; attempt < 300; attempt++) {
+        try {
+            const cached = await get('/api/events/cached');
+            if (cached.status === 200) return { child, get, cached: cached.body };
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    child.kill();
+    throw new Error('server.js did not build a report within a minute');
+}
+
+test.before(async () => {
+    mock = await startMockWixServer({ fixtures });
+});
+
+test.after(() => {
+    mock.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('/api/events reuses a fresh report and rebuilds it on ?refresh=1 or a new limit', { timeout: 120000 }, async (t) => {
+    const server = await startServer();
+    t.after(() => server.child.kill());
+    const built = server.cached.lastUpdated;
+    assert.ok(built);
+
+    const fresh = await server.get('/api/events');
+    assert.equal(fresh.status, 200);
+    assert.equal(fresh.body.lastUpdated, built);
+
+    // A new show in Wix turns up after a refresh, through the incremental sync
+    const template = fixtures.events.find(event => new Date(event.scheduling.config.startDate) > new Date());
+    fixtures.events.push({ ...template, id: 'added-show', slug: 'added-show', title: 'Added Show' });
+
+    const refreshed = await server.get('/api/events?refresh=1');
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.lastUpdated > built);
+    assert.ok(refreshed.body.events.some(event => event.title === 'Added Show'));
+    const { body: changes } = await server.get('/api/changes');
+    assert.ok(changes.changes.some(change => change.type === 'event-added' && change.eventId === 'added-show'));
+
+    const five = await server.get('/api/events?limit=5');
+    assert.equal(five.body.events.length, 5);
+    assert.ok(five.body.lastUpdated > refreshed.body.lastUpdated);
+    assert.equal((await server.get('/api/events?limit=5')).body.lastUpdated, five.body.lastUpdated);
+});
+
+test('/api/events rebuilds a report older than REPORT_MAX_AGE_MINUTES', { timeout: 120000 }, async (t) => {
+    const server = await startServer({ REPORT_MAX_AGE_MINUTES: '0' });
+    t.after(() => server.child.kill());
+
+    const first = await server.get('/api/events');
+    const second = await server.get('/api/events');
+    assert.equal(second.status, 200);
+    assert.ok(first.body.lastUpdated >= server.cached.lastUpdated);
+    assert.ok(second.body.lastUpdated > first.body.lastUpdated);
+});
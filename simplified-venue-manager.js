@@ -1,25 +1,20 @@
 // simplified-venue-manager.js - Works great even without RSVP data
 require('dotenv').config();
-const axios = require('axios');
 const fs = require('fs');
+const WixClient = require('./wix-client');
+const SalesStatusRules = require('./sales-status');
+const { statusFacts } = SalesStatusRules;
+const EventCapacity = require('./capacity');
+const EventCategories = require('./event-categories');
+const { eventAttendance } = require('./attendance');
+const { detectSeries, seriesByEvent } = require('./series');
 
 class SimplifiedVenueManager {
-    constructor() {
-        this.apiToken = process.env.WIX_API_TOKEN;
-        this.siteId = process.env.WIX_SITE_ID;
-        this.baseUrl = 'https://www.wixapis.com';
-        
-        if (!this.apiToken || !this.siteId) {
-            throw new Error('Missing WIX_API_TOKEN or WIX_SITE_ID in .env file');
-        }
-    }
-
-    getHeaders() {
-        return {
-            'Authorization': `Bearer ${this.apiToken}`,
-            'Content-Type': 'application/json',
-            'wix-site-id': this.siteId
-        };
+    constructor(options = {}) {
+        this.client = options.client || new WixClient(options);
+        this.statusRules = options.statusRules || new SalesStatusRules();
+        this.categories = options.categories || new EventCategories();
+        this.capacity = options.capacity || new EventCapacity();
     }
 
     // Get upcoming events with optional RSVP attempts
@@ -27,97 +22,71 @@ class SimplifiedVenueManager {
         try {
             console.log(`📅 Fetching next ${limit} events...`);
             
-            // Get all events with pagination
-            let allEvents = [];
-            let offset = 0;
-            const batchSize = 100;
+            // Only the next few upcoming events - Wix does the date filtering
+            const { items: upcomingEvents } = await this.client.listUpcomingEvents({ limit });
             
-            while (true) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/events?limit=${batchSize}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const events = response.data.events || [];
-                if (events.length === 0) break;
-                
-                allEvents.push(...events);
-                offset += batchSize;
-                
-                if (events.length < batchSize) break;
-            }
+            console.log(`✅ Found ${upcomingEvents.length} upcoming events`);
             
-            // Filter for upcoming events
-            const now = new Date();
-            const upcomingEvents = allEvents
-                .filter(event => {
-                    const eventDate = new Date(event.scheduling?.config?.startDate);
-                    return eventDate > now;
-                })
-                .sort((a, b) => 
-                    new Date(a.scheduling?.config?.startDate) - new Date(b.scheduling?.config?.startDate)
-                )
-                .slice(0, limit);
+            // Recurring series among them, from repeating titles and Wix recurrence data
+            const seriesOf = seriesByEvent(detectSeries(upcomingEvents));
             
-            console.log(`✅ Found ${upcomingEvents.length} upcoming events`);
+            // Ticket limits give the room size when config/capacity.json doesn't - one request for all events
+            const definitionsByEvent = new Map(upcomingEvents.map(event => [event.id, []]));
+            try {
+                const { items } = await this.client.listTicketDefinitions(upcomingEvents.map(event => event.id));
+                items.forEach(definition => definitionsByEvent.get(definition.eventId)?.push(definition));
+            } catch (e) {
+                // No definitions: capacity comes from config and RSVP limits
+            }
             
             // Try to get RSVP data (but don't fail if it doesn't work)
             const eventsWithData = await Promise.all(
                 upcomingEvents.map(async (event) => {
-                    let rsvpCount = 0;
-                    let ticketsSold = 0;
+                    let rsvps = [];
+                    let bookings = [];
                     
                     // Try multiple endpoints for attendance data
                     try {
                         // Try RSVPs endpoint
-                        const rsvpResponse = await axios.get(`${this.baseUrl}/events/v1/events/${event.id}/rsvps`, {
-                            headers: this.getHeaders()
-                        });
-                        rsvpCount = rsvpResponse.data.total || 0;
+                        rsvps = (await this.client.listEventRsvps(event.id)).items;
                     } catch (e) {
                         // RSVP failed, try other methods
                     }
                     
                     try {
-                        // Try bookings/tickets endpoint
-                        const bookingResponse = await axios.get(`${this.baseUrl}/bookings/v2/bookings?eventId=${event.id}`, {
-                            headers: this.getHeaders()
-                        });
-                        ticketsSold = bookingResponse.data.bookings?.length || 0;
+                        // Try bookings endpoint
+                        const bookingData = await this.client.listBookings({ eventId: event.id });
+                        bookings = bookingData.items.filter(booking => booking.eventId === event.id);
                     } catch (e) {
                         // Bookings failed too
                     }
                     
+                    // Going guests and booked participants, with anyone in both counted once
+                    const attendance = eventAttendance({ rsvps, bookings });
+                    const rsvpCount = attendance.rsvps.GOING.guests;
+                    const ticketsSold = attendance.bookings.participants;
+                    
                     // Calculate days until event
                     const eventDate = new Date(event.scheduling?.config?.startDate);
-                    const daysFromNow = Math.ceil((eventDate - new Date()) / (1000 * 60 * 60 * 24));
-                    
-                    // Determine event status/popularity based on various factors
-                    let popularityStatus = 'info';
-                    let statusText = 'Event Scheduled';
+                    const daysFromNow = Math.ceil((eventDate - this.client.now()) / (1000 * 60 * 60 * 24));
                     
-                    if (rsvpCount > 0 || ticketsSold > 0) {
-                        const totalAttendance = rsvpCount + ticketsSold;
-                        if (totalAttendance > 20) {
-                            popularityStatus = 'high';
-                            statusText = 'High Interest';
-                        } else if (totalAttendance > 10) {
-                            popularityStatus = 'medium';
-                            statusText = 'Good Interest';
-                        } else {
-                            popularityStatus = 'low';
-                            statusText = 'Some Interest';
-                        }
-                    }
-                    
-                    // Check if it's a recurring event (usually more established)
-                    const isRecurring = event.title.toLowerCase().includes('open mic') || 
-                                       event.title.toLowerCase().includes('jam night') ||
-                                       event.title.toLowerCase().includes('voice lessons');
+                    // Determine event status/popularity from the shared sales-status rules;
+                    // the label says which rule fired
+                    const { facts } = statusFacts(event, {
+                        capacity: this.capacity,
+                        definitions: definitionsByEvent.get(event.id),
+                        daysOut: daysFromNow,
+                        sold: attendance.expectedHeadcount,
+                        ticketsSold,
+                        rsvps: rsvpCount,
+                        eventType: this.categorizeEvent(event)
+                    });
+                    const { status: popularityStatus, rule } = this.statusRules.evaluate(facts);
+                    let statusText = rule.label;
                     
-                    if (isRecurring) {
-                        statusText = 'Regular Event';
-                        popularityStatus = 'recurring';
-                    }
+                    // Recurring series get a badge of their own next to the status
+                    const series = seriesOf.get(event.id) || null;
+                    const isRecurring = Boolean(series);
                     
                     // Check if it's coming up soon
                     if (daysFromNow <= 7) {
@@ -128,12 +97,13 @@ class SimplifiedVenueManager {
                         ...event,
                         rsvpCount,
                         ticketsSold,
-                        totalAttendance: rsvpCount + ticketsSold,
+                        totalAttendance: attendance.expectedHeadcount,
                         daysFromNow,
                         popularityStatus,
                         statusText,
                         isRecurring,
-                        eventType: this.categorizeEvent(event.title),
+                        series: series ? { id: series.id, name: series.name, pattern: series.pattern, schedule: series.schedule } : null,
+                        eventType: this.categorizeEvent(event),
                         venue: event.location?.name || 'The Listening Booth'
                     };
                 })
@@ -147,20 +117,14 @@ class SimplifiedVenueManager {
             };
             
         } catch (error) {
-            console.error('Error fetching events:', error.response?.data || error.message);
+            console.error('Error fetching events:', error.data || error.message);
             return { success: false, error: error.message };
         }
     }
 
     // Categorize events by type
-    categorizeEvent(title) {
-        const titleLower = title.toLowerCase();
-        
-        if (titleLower.includes('open mic')) return 'Open Mic';
-        if (titleLower.includes('jam')) return 'Jam Session';
-        if (titleLower.includes('lessons') || titleLower.includes('songwriting')) return 'Workshop';
-        if (titleLower.includes('fundraiser')) return 'Fundraiser';
-        return 'Concert';
+    categorizeEvent(event) {
+        return this.categories.categorize(event);
     }
 
     // Generate a comprehensive report
@@ -230,20 +194,14 @@ class SimplifiedVenueManager {
     generateHTMLReport(report) {
         const eventsHTML = report.events.map(event => {
             const statusBadge = {
+                'urgent': 'status-urgent',
                 'high': 'status-high',
                 'medium': 'status-medium', 
                 'low': 'status-low',
-                'recurring': 'status-recurring',
                 'info': 'status-info'
             }[event.popularityLevel] || 'status-info';
             
-            const typeColor = {
-                'Concert': '#667eea',
-                'Open Mic': '#f59e0b',
-                'Jam Session': '#10b981',
-                'Workshop': '#8b5cf6',
-                'Fundraiser': '#ef4444'
-            }[event.eventType] || '#6b7280';
+            const typeColor = this.categories.color(event.eventType);
             
             return `
                 <div class="event-card">
@@ -256,6 +214,7 @@ class SimplifiedVenueManager {
                     <div class="event-venue">📍 ${event.venue}</div>
                     <div class="event-status">
                         <span class="status-badge ${statusBadge}">${event.status}</span>
+                        ${event.isRecurring ? '<span class="status-badge status-recurring">Regular Event</span>' : ''}
                         ${event.attendance > 0 ? `<span class="attendance">${event.attendance} attending</span>` : ''}
                     </div>
                 </div>
@@ -413,6 +372,7 @@ class SimplifiedVenueManager {
             font-weight: 600;
         }
         
+        .status-urgent { background: #b91c1c; }
         .status-high { background: #10b981; }
         .status-medium { background: #f59e0b; }
         .status-low { background: #ef4444; }
@@ -545,13 +505,7 @@ class SimplifiedVenueManager {
         console.log('');
         
         report.events.forEach((event, index) => {
-            const icon = {
-                'Concert': '🎤',
-                'Open Mic': '🎙️',
-                'Jam Session': '🎸',
-                'Workshop': '📚',
-                'Fundraiser': '💝'
-            }[event.eventType] || '🎵';
+            const icon = this.categories.icon(event.eventType);
             
             console.log(`${index + 1}. ${event.title}`);
             console.log(`   📅 ${event.date} (${event.daysFromNow} days away)`);
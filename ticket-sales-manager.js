@@ -1,25 +1,21 @@
 // ticket-sales-manager.js - Get real ticket sales data
 require('dotenv').config();
-const axios = require('axios');
 const fs = require('fs');
+const WixClient = require('./wix-client');
+const ConcurrencyPool = require('./concurrency-pool');
+const { summarizeOrders } = require('./revenue');
+const SalesStatusRules = require('./sales-status');
+const { statusFacts } = SalesStatusRules;
+const EventCapacity = require('./capacity');
+const EventCategories = require('./event-categories');
 
 class TicketSalesManager {
-    constructor() {
-        this.apiToken = process.env.WIX_API_TOKEN;
-        this.siteId = process.env.WIX_SITE_ID;
-        this.baseUrl = 'https://www.wixapis.com';
-        
-        if (!this.apiToken || !this.siteId) {
-            throw new Error('Missing WIX_API_TOKEN or WIX_SITE_ID in .env file');
-        }
-    }
-
-    getHeaders() {
-        return {
-            'Authorization': `Bearer ${this.apiToken}`,
-            'Content-Type': 'application/json',
-            'wix-site-id': this.siteId
-        };
+    constructor(options = {}) {
+        this.client = options.client || new WixClient(options);
+        this.pool = options.pool || new ConcurrencyPool({ concurrency: options.concurrency }).watch(this.client);
+        this.statusRules = options.statusRules || new SalesStatusRules();
+        this.capacity = options.capacity || new EventCapacity();
+        this.categories = options.categories || new EventCategories();
     }
 
     // Get tickets for a specific event
@@ -27,25 +23,9 @@ class TicketSalesManager {
         try {
             console.log(`🎫 Fetching tickets for event: ${eventId}`);
             
-            let allTickets = [];
-            let offset = 0;
-            const limit = 100;
-            
-            while (true) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/events/${eventId}/tickets?limit=${limit}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const tickets = response.data.tickets || [];
-                allTickets.push(...tickets);
-                
-                console.log(`   Batch: ${tickets.length} tickets (total: ${response.data.total})`);
-                
-                if (tickets.length < limit || allTickets.length >= response.data.total) {
-                    break;
-                }
-                offset += limit;
-            }
+            const { items: allTickets } = await this.client.listEventTickets(eventId, {
+                onPage: (page) => console.log(`   Batch: ${page.items.length} tickets (total: ${page.total})`)
+            });
             
             return {
                 success: true,
@@ -53,7 +33,7 @@ class TicketSalesManager {
                 total: allTickets.length
             };
         } catch (error) {
-            console.error(`Error fetching tickets for event ${eventId}:`, error.response?.data || error.message);
+            console.error(`Error fetching tickets for event ${eventId}:`, error.data || error.message);
             return { success: false, error: error.message, tickets: [], total: 0 };
         }
     }
@@ -63,26 +43,8 @@ class TicketSalesManager {
         try {
             console.log(`📋 Fetching orders for event: ${eventId}`);
             
-            let allOrders = [];
-            let offset = 0;
-            const limit = 100;
-            
-            while (true) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/orders?limit=${limit}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const orders = response.data.orders || [];
-                
-                // Filter orders for this specific event
-                const eventOrders = orders.filter(order => order.eventId === eventId);
-                allOrders.push(...eventOrders);
-                
-                if (orders.length < limit) {
-                    break;
-                }
-                offset += limit;
-            }
+            const ordersByEvent = await this.getOrdersByEvent([eventId]);
+            const allOrders = ordersByEvent.get(eventId);
             
             return {
                 success: true,
@@ -90,35 +52,45 @@ class TicketSalesManager {
                 total: allOrders.length
             };
         } catch (error) {
-            console.error(`Error fetching orders for event ${eventId}:`, error.response?.data || error.message);
+            console.error(`Error fetching orders for event ${eventId}:`, error.data || error.message);
             return { success: false, error: error.message, orders: [], total: 0 };
         }
     }
 
+    // One order pass for many events: eventId -> orders
+    async getOrdersByEvent(eventIds) {
+        const ordersByEvent = new Map(eventIds.map(id => [id, []]));
+        if (eventIds.length === 0) return ordersByEvent;
+
+        const { items: orders } = await this.client.listEventOrders(eventIds);
+
+        // Grouping also drops anything else if the filter was silently ignored
+        orders.forEach(order => ordersByEvent.get(order.eventId)?.push(order));
+        return ordersByEvent;
+    }
+
+    // eventId -> ticket definitions, for capacity from ticket limits; none if Wix won't list them
+    async getTicketDefinitions(eventIds) {
+        const definitionsByEvent = new Map(eventIds.map(id => [id, []]));
+
+        try {
+            const { items } = await this.client.listTicketDefinitions(eventIds);
+            items.forEach(definition => definitionsByEvent.get(definition.eventId)?.push(definition));
+        } catch (error) {
+            console.error('   Could not fetch ticket definitions, capacity will come from config only:', error.message);
+        }
+        return definitionsByEvent;
+    }
+
     // Get all tickets (for analysis)
     async getAllTickets(limit = 1000) {
         try {
             console.log(`🎫 Fetching all tickets (limit: ${limit})...`);
             
-            let allTickets = [];
-            let offset = 0;
-            const batchSize = 100;
-            
-            while (allTickets.length < limit) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/tickets?limit=${batchSize}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const tickets = response.data.tickets || [];
-                allTickets.push(...tickets);
-                
-                console.log(`   Fetched ${tickets.length} tickets (total so far: ${allTickets.length}/${response.data.total})`);
-                
-                if (tickets.length < batchSize || allTickets.length >= limit) {
-                    break;
-                }
-                offset += batchSize;
-            }
+            const { items: allTickets } = await this.client.listTickets({
+                maxItems: limit,
+                onPage: (page, fetched) => console.log(`   Fetched ${page.items.length} tickets (total so far: ${fetched}/${page.total})`)
+            });
             
             return {
                 success: true,
@@ -126,7 +98,7 @@ class TicketSalesManager {
                 total: allTickets.length
             };
         } catch (error) {
-            console.error('Error fetching all tickets:', error.response?.data || error.message);
+            console.error('Error fetching all tickets:', error.data || error.message);
             return { success: false, error: error.message, tickets: [], total: 0 };
         }
     }
@@ -136,25 +108,10 @@ class TicketSalesManager {
         try {
             console.log(`📋 Fetching all orders (limit: ${limit})...`);
             
-            let allOrders = [];
-            let offset = 0;
-            const batchSize = 100;
-            
-            while (allOrders.length < limit) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/orders?limit=${batchSize}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const orders = response.data.orders || [];
-                allOrders.push(...orders);
-                
-                console.log(`   Fetched ${orders.length} orders (total so far: ${allOrders.length}/${response.data.total})`);
-                
-                if (orders.length < batchSize || allOrders.length >= limit) {
-                    break;
-                }
-                offset += batchSize;
-            }
+            const { items: allOrders } = await this.client.listOrders({
+                maxItems: limit,
+                onPage: (page, fetched) => console.log(`   Fetched ${page.items.length} orders (total so far: ${fetched}/${page.total})`)
+            });
             
             return {
                 success: true,
@@ -162,84 +119,61 @@ class TicketSalesManager {
                 total: allOrders.length
             };
         } catch (error) {
-            console.error('Error fetching all orders:', error.response?.data || error.message);
+            console.error('Error fetching all orders:', error.data || error.message);
             return { success: false, error: error.message, orders: [], total: 0 };
         }
     }
 
     // Get upcoming events with real ticket sales data
-    async getUpcomingEventsWithSales(limit = 20) {
+    async getUpcomingEventsWithSales(limit = 20, options = {}) {
         try {
             console.log(`📅 Fetching next ${limit} events with ticket sales...`);
             
-            // Get upcoming events
-            let allEvents = [];
-            let offset = 0;
-            const batchSize = 100;
+            // Only the next few upcoming events - Wix does the date filtering
+            const { items: upcomingEvents } = await this.client.listUpcomingEvents({ limit });
             
-            while (true) {
-                const response = await axios.get(`${this.baseUrl}/events/v1/events?limit=${batchSize}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
+            console.log(`   Found ${upcomingEvents.length} upcoming events`);
+            
+            // Orders for every upcoming event in one pass, instead of a full order scan per event
+            console.log(`   Fetching orders...`);
+            const ordersByEvent = await this.getOrdersByEvent(upcomingEvents.map(event => event.id));
+            const definitionsByEvent = await this.getTicketDefinitions(upcomingEvents.map(event => event.id));
+            
+            // Get ticket sales a few events at a time instead of all at once
+            const eventsWithSales = await this.pool.run(upcomingEvents, async (event) => {
+                const ticketsResult = await this.getEventTickets(event.id);
+                const orders = ordersByEvent.get(event.id);
                 
-                const events = response.data.events || [];
-                if (events.length === 0) break;
+                const ticketsSold = ticketsResult.total;
+                const ordersCount = orders.length;
                 
-                allEvents.push(...events);
-                offset += batchSize;
+                // Revenue comes from the order invoices; tickets don't carry reliable prices
+                const revenue = summarizeOrders(orders);
+                const totalRevenue = revenue.net;
                 
-                if (events.length < batchSize) break;
-            }
-            
-            // Filter for upcoming events
-            const now = new Date();
-            const upcomingEvents = allEvents
-                .filter(event => {
-                    const eventDate = new Date(event.scheduling?.config?.startDate);
-                    return eventDate > now;
-                })
-                .sort((a, b) => 
-                    new Date(a.scheduling?.config?.startDate) - new Date(b.scheduling?.config?.startDate)
-                )
-                .slice(0, limit);
-            
-            console.log(`   Found ${upcomingEvents.length} upcoming events`);
-            
-            // Get ticket sales for each event
-            const eventsWithSales = await Promise.all(
-                upcomingEvents.map(async (event) => {
-                    const [ticketsResult, ordersResult] = await Promise.all([
-                        this.getEventTickets(event.id),
-                        this.getEventOrders(event.id)
-                    ]);
-                    
-                    const ticketsSold = ticketsResult.total;
-                    const ordersCount = ordersResult.total;
-                    
-                    // Calculate revenue if we have ticket data
-                    let totalRevenue = 0;
-                    if (ticketsResult.success && ticketsResult.tickets.length > 0) {
-                        totalRevenue = ticketsResult.tickets.reduce((sum, ticket) => {
-                            return sum + (parseFloat(ticket.price?.amount) || 0);
-                        }, 0);
-                    }
-                    
-                    // Calculate days until event
-                    const eventDate = new Date(event.scheduling?.config?.startDate);
-                    const daysFromNow = Math.ceil((eventDate - new Date()) / (1000 * 60 * 60 * 24));
-                    
-                    return {
-                        ...event,
-                        ticketsSold,
-                        ordersCount,
-                        totalRevenue,
-                        daysFromNow,
-                        salesStatus: this.getSalesStatus(ticketsSold, daysFromNow),
-                        ticketData: ticketsResult.tickets,
-                        orderData: ordersResult.orders
-                    };
-                })
-            );
+                // Calculate days until event
+                const eventDate = new Date(event.scheduling?.config?.startDate);
+                const daysFromNow = Math.ceil((eventDate - this.client.now()) / (1000 * 60 * 60 * 24));
+                const status = this.getSalesStatus(ticketsSold, daysFromNow, event, definitionsByEvent.get(event.id));
+                
+                return {
+                    ...event,
+                    ticketsSold,
+                    ordersCount,
+                    totalRevenue,
+                    revenue,
+                    daysFromNow,
+                    salesStatus: status.status,
+                    statusRule: status.rule,
+                    ticketData: ticketsResult.tickets,
+                    orderData: orders
+                };
+            }, {
+                onProgress: ({ completed, total, item, result }) => {
+                    console.log(`   ${completed}/${total}: ${item.title} (${result.ticketsSold} tickets)`);
+                    if (options.onProgress) options.onProgress({ completed, total, event: result });
+                }
+            });
             
             return {
                 success: true,
@@ -249,22 +183,22 @@ class TicketSalesManager {
             };
             
         } catch (error) {
-            console.error('Error fetching events with sales:', error.response?.data || error.message);
+            console.error('Error fetching events with sales:', error.data || error.message);
             return { success: false, error: error.message };
         }
     }
 
-    // Determine sales status
-    getSalesStatus(ticketsSold, daysFromNow) {
-        if (ticketsSold === 0) {
-            return daysFromNow <= 7 ? 'urgent' : 'low';
-        } else if (ticketsSold < 10) {
-            return 'low';
-        } else if (ticketsSold < 25) {
-            return 'medium';
-        } else {
-            return 'high';
-        }
+    // Sales status from the shared rules (config/sales-status.json), with the same capacity
+    // facts as the final report. No sales history here, so pace rules won't match.
+    getSalesStatus(ticketsSold, daysFromNow, event = {}, definitions = []) {
+        const { facts } = statusFacts(event, {
+            capacity: this.capacity,
+            definitions,
+            daysOut: daysFromNow,
+            sold: ticketsSold,
+            eventType: this.categories.categorize(event)
+        });
+        return this.statusRules.evaluate(facts);
     }
 
     // Generate sales report
@@ -277,7 +211,8 @@ class TicketSalesManager {
             }
             
             const totalTicketsSold = data.events.reduce((sum, event) => sum + event.ticketsSold, 0);
-            const totalRevenue = data.events.reduce((sum, event) => sum + event.totalRevenue, 0);
+            const revenue = summarizeOrders(data.events.flatMap(event => event.orderData));
+            const totalRevenue = revenue.net;
             const averageTicketsPerEvent = data.events.length > 0 ? 
                 Math.round(totalTicketsSold / data.events.length * 10) / 10 : 0;
             
@@ -290,6 +225,7 @@ class TicketSalesManager {
                     totalUpcomingEvents: data.events.length,
                     totalTicketsSold,
                     totalRevenue,
+                    revenue,
                     averageTicketsPerEvent,
                     highSalesEvents: data.events.filter(e => e.salesStatus === 'high').length,
                     lowSalesEvents: data.events.filter(e => e.salesStatus === 'low').length,
@@ -301,7 +237,9 @@ class TicketSalesManager {
                     daysFromNow: event.daysFromNow,
                     ticketsSold: event.ticketsSold,
                     revenue: event.totalRevenue,
+                    revenueBreakdown: event.revenue,
                     salesStatus: event.salesStatus,
+                    statusRule: event.statusRule,
                     venue: event.location?.name || 'The Listening Booth',
                     eventId: event.id
                 })),
@@ -329,7 +267,7 @@ class TicketSalesManager {
         
         console.log('\n🎫 THE LISTENING BOOTH - TICKET SALES REPORT');
         console.log('==============================================');
-        console.log(`📊 ${report.summary.totalUpcomingEvents} events | ${report.summary.totalTicketsSold} tickets sold | $${report.summary.totalRevenue.toFixed(2)} revenue`);
+        console.log(`📊 ${report.summary.totalUpcomingEvents} events | ${report.summary.totalTicketsSold} tickets sold | $${report.summary.totalRevenue.toFixed(2)} net revenue ($${report.summary.revenue.gross.toFixed(2)} gross)`);
         console.log(`📈 Avg: ${report.summary.averageTicketsPerEvent} tickets/event | High sales: ${report.summary.highSalesEvents} | Urgent: ${report.summary.urgentEvents}\n`);
         
         report.events.forEach((event, index) => {
@@ -0,0 +1,83 @@
+// ticket-tiers.js - Per-event breakdown by ticket definition (GA, VIP, table, student, ...)
+
+const toAmount = (money) => parseFloat(money?.amount) || 0;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// One entry per ticket type: tickets sold, price, face-value revenue and, where Wix
+// limits the type, how many are left. `definitions` are raw Wix ticket definitions for
+// the event and may be empty (older API versions), in which case tiers come from the
+// tickets' own names and prices and inventory is unknown.
+function tierBreakdown(tickets, definitions = []) {
+    const tiers = new Map();
+
+    definitions.forEach(definition => {
+        tiers.set(definition.id, {
+            definitionId: definition.id,
+            name: definition.name || 'Ticket',
+            price: toAmount(definition.price),
+            currency: definition.price?.currency || 'USD',
+            free: Boolean(definition.free),
+            sold: 0,
+            revenue: 0,
+            limit: definition.limited ? definition.limit ?? null : null,
+            remaining: null,
+            soldOut: Boolean(definition.salesDetails?.soldOut),
+            hidden: !(definition.state || ['VISIBLE']).includes('VISIBLE')
+        });
+    });
+
+    tickets
+        .filter(ticket => ticket.orderStatus !== 'CANCELED' && !ticket.archived)
+        .forEach(ticket => {
+            const key = ticket.ticketDefinitionId && tiers.has(ticket.ticketDefinitionId) ?
+                ticket.ticketDefinitionId :
+                `name:${ticket.name || 'Ticket'}`;
+
+            if (!tiers.has(key)) {
+                tiers.set(key, {
+                    definitionId: ticket.ticketDefinitionId || null,
+                    name: ticket.name || 'Ticket',
+                    price: toAmount(ticket.price),
+                    currency: ticket.price?.currency || 'USD',
+                    free: Boolean(ticket.free),
+                    sold: 0,
+                    revenue: 0,
+                    limit: null,
+                    remaining: null,
+                    soldOut: false,
+                    hidden: false
+                });
+            }
+
+            const tier = tiers.get(key);
+            tier.sold++;
+            tier.revenue += ticket.free ? 0 : toAmount(ticket.price) || tier.price;
+        });
+
+    return [...tiers.values()]
+        // Hidden types nobody bought (comps set up and never used, ...) are noise
+        .filter(tier => !tier.hidden || tier.sold > 0)
+        .map(tier => {
+            const { hidden, ...rest } = tier;
+            const remaining = tier.limit !== null ? Math.max(0, tier.limit - tier.sold) : null;
+            return {
+                ...rest,
+                revenue: round2(tier.revenue),
+                remaining,
+                soldOut: tier.soldOut || remaining === 0
+            };
+        })
+        .sort((a, b) => b.price - a.price || b.sold - a.sold);
+}
+
+// "General Admission 30 · VIP Front Row 4 (6 left)"
+function describeTiers(tiers) {
+    return tiers
+        .map(tier => {
+            const left = tier.soldOut ? ' (sold out)' : tier.remaining !== null ? ` (${tier.remaining} left)` : '';
+            return `${tier.name} ${tier.sold}${left}`;
+        })
+        .join(' · ');
+}
+
+module.exports = { tierBreakdown, describeTiers };
@@ -0,0 +1,204 @@
+// token-provider.js - Keeps a Wix OAuth access token fresh using the stored refresh token
+require('dotenv').config();
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OAUTH_URL = 'https://www.wix.com/oauth/access';
+const DEFAULT_ENV_FILE = path.join(__dirname, '.env');
+// Wix access tokens are short lived; assume five minutes when the response doesn't say
+const DEFAULT_EXPIRES_IN_SECONDS = 300;
+
+// Update or add KEY=value lines in a .env file, leaving everything else alone
+function updateEnvFile(values, file = DEFAULT_ENV_FILE) {
+    let envContent = '';
+    try {
+        envContent = fs.readFileSync(file, 'utf8').toString();
+    } catch (e) {
+        // .env doesn't exist, create it
+        envContent = '';
+    }
+
+    Object.entries(values).forEach(([key, value]) => {
+        const line = `${key}=${value}`;
+        const pattern = new RegExp(`^${key}=.*$`, 'm');
+
+        if (pattern.test(envContent)) {
+            envContent = envContent.replace(pattern, line);
+        } else {
+            envContent += `${envContent && !envContent.endsWith('\n') ? '\n' : ''}${line}\n`;
+        }
+    });
+
+    fs.writeFileSync(file, envContent);
+}
+
+class WixTokenProvider {
+    constructor(options = {}) {
+        this.refreshToken = options.refreshToken || process.env.WIX_REFRESH_TOKEN;
+        this.clientId = options.clientId || process.env.WIX_CLIENT_ID;
+        this.clientSecret = options.clientSecret || process.env.WIX_CLIENT_SECRET;
+        this.oauthUrl = options.oauthUrl || process.env.WIX_OAUTH_URL || DEFAULT_OAUTH_URL;
+        // Refresh this long before the token actually runs out
+        this.refreshSkewMs = options.refreshSkewMs ?? 60 * 1000;
+        // Set envFile: false to keep refreshed tokens in memory only
+        this.envFile = options.envFile ?? DEFAULT_ENV_FILE;
+        this.quiet = options.quiet || false;
+
+        // OAuth setups use WIX_ACCESS_TOKEN; a plain API key in WIX_API_TOKEN never expires
+        this.accessToken = options.accessToken ||
+            (this.canRefresh() ? process.env.WIX_ACCESS_TOKEN : null) ||
+            process.env.WIX_API_TOKEN ||
+            process.env.WIX_ACCESS_TOKEN;
+
+        const expiresAt = options.expiresAt || process.env.WIX_TOKEN_EXPIRES_AT;
+        this.expiresAt = expiresAt ? new Date(expiresAt).getTime() || null : null;
+
+        this.refreshing = null;
+        this.lastRefreshedAt = null;
+    }
+
+    log(message) {
+        if (!this.quiet) {
+            console.log(message);
+        }
+    }
+
+    canRefresh() {
+        return Boolean(this.refreshToken && this.clientId && this.clientSecret);
+    }
+
+    hasToken() {
+        return Boolean(this.accessToken) || this.canRefresh();
+    }
+
+    isExpiring() {
+        if (!this.expiresAt) return false;
+        return Date.now() >= this.expiresAt - this.refreshSkewMs;
+    }
+
+    // Current access token, refreshed first if it is missing or about to expire
+    async getAccessToken() {
+        if (this.canRefresh() && (!this.accessToken || this.isExpiring())) {
+            await this.refresh();
+        }
+        return this.accessToken;
+    }
+
+    // Concurrent callers share one refresh instead of each spending the refresh token
+    async refresh() {
+        if (!this.canRefresh()) {
+            throw new Error('Cannot refresh Wix token: WIX_REFRESH_TOKEN, WIX_CLIENT_ID and WIX_CLIENT_SECRET are required');
+        }
+
+        if (!this.refreshing) {
+            this.refreshing = this.requestNewToken().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async requestNewToken() {
+        this.log('🔄 Refreshing Wix access token...');
+
+        let response;
+        try {
+            response = await axios.post(this.oauthUrl, {
+                grant_type: 'refresh_token',
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                refresh_token: this.refreshToken
+            }, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 10000
+            });
+        } catch (error) {
+            const reason = error.response?.data?.error_description || error.response?.data?.message || error.message;
+            throw new Error(`Wix token refresh failed: ${reason}`);
+        }
+
+        const { access_token, refresh_token, expires_in } = response.data;
+        if (!access_token) {
+            throw new Error('Wix token refresh failed: no access_token in response');
+        }
+
+        this.accessToken = access_token;
+        // Wix may rotate the refresh token; keep the old one if it didn't
+        this.refreshToken = refresh_token || this.refreshToken;
+        this.expiresAt = Date.now() + (expires_in || DEFAULT_EXPIRES_IN_SECONDS) * 1000;
+        this.lastRefreshedAt = new Date().toISOString();
+
+        this.persist();
+        this.log(`✅ Wix access token refreshed (expires ${new Date(this.expiresAt).toLocaleTimeString()})`);
+
+        return this.accessToken;
+    }
+
+    // Save the new pair so a restart picks up where we left off
+    persist() {
+        const values = {
+            WIX_ACCESS_TOKEN: this.accessToken,
+            WIX_REFRESH_TOKEN: this.refreshToken,
+            WIX_TOKEN_EXPIRES_AT: new Date(this.expiresAt).toISOString()
+        };
+        Object.assign(process.env, values);
+
+        // Only touch a .env that exists - tokens passed in through the environment stay there
+        if (!this.envFile || !fs.existsSync(this.envFile)) return;
+
+        try {
+            updateEnvFile(values, this.envFile);
+        } catch (error) {
+            console.error('⚠️  Could not save refreshed token to .env:', error.message);
+        }
+    }
+
+    // Summary for health checks (never includes the tokens themselves)
+    getStatus() {
+        return {
+            refreshable: this.canRefresh(),
+            expiresAt: this.expiresAt ? new Date(this.expiresAt).toISOString() : null,
+            lastRefreshedAt: this.lastRefreshedAt
+        };
+    }
+}
+
+// Command line interface
+async function main() {
+    const command = process.argv[2] || 'status';
+    const provider = new WixTokenProvider();
+
+    switch (command.toLowerCase()) {
+        case 'status': {
+            const status = provider.getStatus();
+            console.log('WIX TOKEN STATUS');
+            console.log('================');
+            console.log(`Token present: ${provider.accessToken ? 'yes' : 'no'}`);
+            console.log(`Refreshable: ${status.refreshable ? 'yes' : 'no (needs WIX_REFRESH_TOKEN, WIX_CLIENT_ID, WIX_CLIENT_SECRET)'}`);
+            console.log(`Expires: ${status.expiresAt || 'unknown'}`);
+            break;
+        }
+
+        case 'refresh':
+            try {
+                await provider.refresh();
+            } catch (error) {
+                console.error('❌', error.message);
+                process.exitCode = 1;
+            }
+            break;
+
+        default:
+            console.log('Available commands:');
+            console.log('  status   - Show whether the stored token can be refreshed and when it expires');
+            console.log('  refresh  - Exchange the refresh token for a new access token now');
+    }
+}
+
+module.exports = WixTokenProvider;
+module.exports.updateEnvFile = updateEnvFile;
+
+if (require.main === module) {
+    main();
+}
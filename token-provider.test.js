@@ -0,0 +1,103 @@
+// token-provider.test.js - OAuth refresh against mock-wix-server.js's /oauth/access, and what the
+// client does when Wix says no (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockWixServer = require('./mock-wix-server');
+const { mockWixEnv } = createMockWixServer;
+const WixTokenProvider = require('./token-provider');
+const WixClient = require('./wix-client');
+const { WixAuthError } = WixClient;
+
+const fixtures = createMockWixServer.loadFixtures();
+let server;
+let baseUrl;
+let requests;
+
+// The mock takes any token; this one has been revoked, so the API answers it with a 401
+test.beforeEach(async () => {
+    requests = [];
+    const app = express();
+    app.use((req, res, next) => {
+        requests.push({ path: req.path, authorization: req.get('Authorization') });
+        if (req.path !== '/oauth/access' && req.get('Authorization') === 'Bearer revoked') {
+            return res.status(401).json({ message: 'Token expired' });
+        }
+        next();
+    });
+    app.use(createMockWixServer({ fixtures }));
+
+    server = await new Promise(resolve => { const listening = app.listen(0, () => resolve(listening)); });
+    Object.assign(process.env, mockWixEnv(server));
+    baseUrl = process.env.WIX_API_BASE_URL;
+});
+
+test.afterEach(() => server.close());
+
+const provider = (options = {}) => new WixTokenProvider({
+    refreshToken: 'refresh-0',
+    clientId: 'client',
+    clientSecret: 'secret',
+    oauthUrl: `${baseUrl}/oauth/access`,
+    envFile: false,
+    quiet: true,
+    ...options
+});
+
+test('an expiring token is refreshed once for concurrent callers and the rotated pair is saved', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-provider-'));
+    const envFile = path.join(dir, '.env');
+    fs.writeFileSync(envFile, 'WIX_SITE_ID=site\nWIX_ACCESS_TOKEN=old\n');
+
+    try {
+        const tokens = provider({ accessToken: 'old', expiresAt: new Date(Date.now() + 30 * 1000).toISOString(), envFile });
+        assert.ok(tokens.isExpiring());
+
+        const answers = await Promise.all([tokens.getAccessToken(), tokens.getAccessToken(), tokens.getAccessToken()]);
+        assert.deepEqual(answers, ['mock-access-token-1', 'mock-access-token-1', 'mock-access-token-1']);
+        assert.equal(requests.filter(request => request.path === '/oauth/access').length, 1);
+        assert.equal(tokens.refreshToken, 'mock-refresh-token-1');
+        assert.ok(!tokens.isExpiring());
+
+        const saved = fs.readFileSync(envFile, 'utf8');
+        assert.match(saved, /^WIX_SITE_ID=site$/m);
+        assert.match(saved, /^WIX_ACCESS_TOKEN=mock-access-token-1$/m);
+        assert.match(saved, /^WIX_REFRESH_TOKEN=mock-refresh-token-1$/m);
+        assert.match(saved, new RegExp(`^WIX_TOKEN_EXPIRES_AT=${new Date(tokens.expiresAt).toISOString()}$`, 'm'));
+        assert.equal(tokens.getStatus().lastRefreshedAt, tokens.lastRefreshedAt);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a 401 gets one refresh and the request goes through with the new token', async () => {
+    const tokenProvider = provider({ accessToken: 'revoked' });
+    const client = new WixClient({ tokenProvider, siteId: 'mock-site', baseUrl, mode: 'live', quiet: true });
+
+    const event = await client.getEvent(fixtures.events[0].id);
+    assert.equal(event.id, fixtures.events[0].id);
+    assert.deepEqual(requests.map(request => [request.path, request.authorization]), [
+        [`/events/v1/events/${fixtures.events[0].id}`, 'Bearer revoked'],
+        ['/oauth/access', undefined],
+        [`/events/v1/events/${fixtures.events[0].id}`, 'Bearer mock-access-token-1']
+    ]);
+});
+
+test('a 401 fails fast with WixAuthError when the token can\'t be refreshed', async () => {
+    const client = new WixClient({ apiToken: 'revoked', siteId: 'mock-site', baseUrl, mode: 'live', retries: 3, quiet: true });
+    await assert.rejects(() => client.getEvent(fixtures.events[0].id), error => error instanceof WixAuthError && error.status === 401);
+    assert.equal(requests.length, 1);
+
+    // The refresh itself is rejected: still an auth error, and no retries
+    const broken = new WixClient({
+        tokenProvider: provider({ accessToken: 'revoked', oauthUrl: `${baseUrl}/oauth/missing` }),
+        siteId: 'mock-site', baseUrl, mode: 'live', retries: 3, quiet: true
+    });
+    requests = [];
+    await assert.rejects(() => broken.getEvent(fixtures.events[0].id), error =>
+        error instanceof WixAuthError && /was not authorized and Wix token refresh failed/.test(error.message));
+    assert.deepEqual(requests.map(request => request.path), [`/events/v1/events/${fixtures.events[0].id}`, '/oauth/missing']);
+});
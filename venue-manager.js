@@ -1,29 +1,15 @@
 // venue-manager.js - Your complete venue events management tool
 require('dotenv').config();
-const axios = require('axios');
 const fs = require('fs');
+const WixClient = require('./wix-client');
+const PastEventAnalytics = require('./past-events');
 
 class VenueEventsManager {
-    constructor() {
-        this.apiToken = process.env.WIX_API_TOKEN;
-        this.siteId = process.env.WIX_SITE_ID;
-        this.baseUrl = 'https://www.wixapis.com';
-        
-        if (!this.apiToken || !this.siteId) {
-            throw new Error('Missing WIX_API_TOKEN or WIX_SITE_ID in .env file');
-        }
+    constructor(options = {}) {
+        this.client = options.client || new WixClient(options);
         
         console.log('🎵 Venue Events Manager initialized');
-        console.log(`   Site ID: ${this.siteId.substring(0, 8)}...`);
-    }
-
-    // Standard headers for all API calls
-    getHeaders() {
-        return {
-            'Authorization': `Bearer ${this.apiToken}`,
-            'Content-Type': 'application/json',
-            'wix-site-id': this.siteId
-        };
+        console.log(`   Site ID: ${(this.client.siteId || 'replay').substring(0, 8)}...`);
     }
 
     // Get all events (with pagination to handle 551+ events)
@@ -31,35 +17,17 @@ class VenueEventsManager {
         try {
             console.log('📅 Fetching all events...');
             
-            let allEvents = [];
-            let offset = 0;
             const limit = 100; // Maximum allowed per request
-            let totalAvailable = 0;
-            
-            // First request to get total count
-            const firstResponse = await axios.get(`${this.baseUrl}/events/v1/events?limit=${limit}&offset=0`, {
-                headers: this.getHeaders()
-            });
-            
-            totalAvailable = firstResponse.data.total;
-            allEvents = firstResponse.data.events || [];
-            
-            console.log(`   Found ${totalAvailable} total events, fetching in batches...`);
-            
-            // Get remaining events in batches of 100
-            while (allEvents.length < totalAvailable) {
-                offset += limit;
-                console.log(`   Fetching batch ${Math.floor(offset/limit) + 1}/${Math.ceil(totalAvailable/limit)}...`);
-                
-                const response = await axios.get(`${this.baseUrl}/events/v1/events?limit=${limit}&offset=${offset}`, {
-                    headers: this.getHeaders()
-                });
-                
-                const newEvents = response.data.events || [];
-                allEvents.push(...newEvents);
-                
-                // Safety check to avoid infinite loop
-                if (newEvents.length === 0) break;
+            const allEvents = [];
+            
+            // Batches of 100; the first page tells us the total count
+            for await (const page of this.client.paginate('/events/v1/events', 'events', { pageSize: limit })) {
+                if (page.offset === 0) {
+                    console.log(`   Found ${page.total} total events, fetching in batches...`);
+                } else {
+                    console.log(`   Fetching batch ${Math.floor(page.offset/limit) + 1}/${Math.ceil(page.total/limit)}...`);
+                }
+                allEvents.push(...page.items);
             }
             
             console.log(`✅ Retrieved ${allEvents.length} events total`);
@@ -70,32 +38,17 @@ class VenueEventsManager {
                 total: allEvents.length
             };
         } catch (error) {
-            console.error('Error fetching events:', error.response?.data || error.message);
+            console.error('Error fetching events:', error.data || error.message);
             return { success: false, error: error.message };
         }
     }
 
-    // Get upcoming events only (with pagination)
+    // Get upcoming events only (Wix filters by date, so past events are never downloaded)
     async getUpcomingEvents() {
         try {
             console.log('🔮 Fetching upcoming events...');
             
-            // Get all events first (they're already sorted by default)
-            const allEventsResult = await this.getAllEvents();
-            if (!allEventsResult.success) {
-                return allEventsResult;
-            }
-            
-            const now = new Date();
-            const upcomingEvents = allEventsResult.events.filter(event => {
-                const eventDate = new Date(event.scheduling?.config?.startDate);
-                return eventDate > now;
-            });
-            
-            // Sort by date (earliest first)
-            upcomingEvents.sort((a, b) => 
-                new Date(a.scheduling?.config?.startDate) - new Date(b.scheduling?.config?.startDate)
-            );
+            const { items: upcomingEvents } = await this.client.listUpcomingEvents();
             
             return {
                 success: true,
@@ -103,32 +56,17 @@ class VenueEventsManager {
                 total: upcomingEvents.length
             };
         } catch (error) {
-            console.error('Error fetching upcoming events:', error.response?.data || error.message);
+            console.error('Error fetching upcoming events:', error.data || error.message);
             return { success: false, error: error.message };
         }
     }
 
-    // Get past events (with pagination)
+    // Get past events, most recent first
     async getPastEvents() {
         try {
             console.log('📜 Fetching past events...');
             
-            // Get all events first
-            const allEventsResult = await this.getAllEvents();
-            if (!allEventsResult.success) {
-                return allEventsResult;
-            }
-            
-            const now = new Date();
-            const pastEvents = allEventsResult.events.filter(event => {
-                const eventDate = new Date(event.scheduling?.config?.startDate);
-                return eventDate <= now;
-            });
-            
-            // Sort by date (most recent first)
-            pastEvents.sort((a, b) => 
-                new Date(b.scheduling?.config?.startDate) - new Date(a.scheduling?.config?.startDate)
-            );
+            const { items: pastEvents } = await this.client.listPastEvents();
             
             return {
                 success: true,
@@ -136,7 +74,7 @@ class VenueEventsManager {
                 total: pastEvents.length
             };
         } catch (error) {
-            console.error('Error fetching past events:', error.response?.data || error.message);
+            console.error('Error fetching past events:', error.data || error.message);
             return { success: false, error: error.message };
         }
     }
@@ -147,19 +85,15 @@ class VenueEventsManager {
             console.log(`🔍 Fetching details for event: ${eventId}`);
             
             // Get basic event info
-            const eventResponse = await axios.get(`${this.baseUrl}/events/v1/events/${eventId}`, {
-                headers: this.getHeaders()
-            });
+            const event = await this.client.getEvent(eventId);
             
             // Try to get RSVPs
             let rsvpInfo = { total: 0, rsvps: [] };
             try {
-                const rsvpResponse = await axios.get(`${this.baseUrl}/events/v1/events/${eventId}/rsvps`, {
-                    headers: this.getHeaders()
-                });
+                const rsvpData = await this.client.listEventRsvps(eventId);
                 rsvpInfo = {
-                    total: rsvpResponse.data.total || 0,
-                    rsvps: rsvpResponse.data.rsvps || []
+                    total: rsvpData.total || 0,
+                    rsvps: rsvpData.items
                 };
             } catch (rsvpError) {
                 console.log('Could not fetch RSVPs for this event');
@@ -167,12 +101,12 @@ class VenueEventsManager {
             
             return {
                 success: true,
-                event: eventResponse.data.event,
+                event,
                 rsvpCount: rsvpInfo.total,
                 attendees: rsvpInfo.rsvps
             };
         } catch (error) {
-            console.error('Error fetching event details:', error.response?.data || error.message);
+            console.error('Error fetching event details:', error.data || error.message);
             return { success: false, error: error.message };
         }
     }
@@ -189,7 +123,7 @@ class VenueEventsManager {
             }
             
             const allEvents = allEventsResult.events;
-            const now = new Date();
+            const now = this.client.now();
             
             // Split into upcoming and past
             const upcomingEvents = allEvents.filter(event => {
@@ -438,6 +372,10 @@ async function main() {
                 await manager.listEventsWithSummary('past');
                 break;
                 
+            case 'past-stats':
+                await new PastEventAnalytics({ client: manager.client }).printReport();
+                break;
+                
             case 'all':
                 await manager.listEventsBasic('all');
                 break;
@@ -478,6 +416,7 @@ async function main() {
                 console.log('  upcoming-long   - List upcoming events with long summaries'); 
                 console.log('  past            - List past events (basic)');
                 console.log('  past-full       - List past events with summaries');
+                console.log('  past-stats      - Past event performance (see past-events.js)');
                 console.log('  all             - List all events (basic)');
                 console.log('  all-full        - List all events with summaries');
                 console.log('  export          - Export all events to JSON');
@@ -0,0 +1,494 @@
+// wix-client.js - Shared Wix REST client (headers, paging, retries, errors)
+require('dotenv').config();
+const EventEmitter = require('events');
+const axios = require('axios');
+const WixRecorder = require('./wix-recorder');
+const WixTokenProvider = require('./token-provider');
+
+// Base error for anything that goes wrong talking to Wix
+class WixApiError extends Error {
+    constructor(message, { status = null, data = null, method = null, path = null } = {}) {
+        super(message);
+        this.name = 'WixApiError';
+        this.status = status;
+        this.data = data;
+        this.method = method;
+        this.path = path;
+    }
+}
+
+// 429 that is still failing after all retries
+class WixRateLimitError extends WixApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'WixRateLimitError';
+        this.retryAfterMs = details.retryAfterMs || null;
+    }
+}
+
+// 401/403 - bad, expired or under-scoped token
+class WixAuthError extends WixApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'WixAuthError';
+    }
+}
+
+class WixNotFoundError extends WixApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'WixNotFoundError';
+    }
+}
+
+// Request took longer than the configured timeout
+class WixTimeoutError extends WixApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'WixTimeoutError';
+    }
+}
+
+// Emits 'response' for every successful call and 'rateLimit' for every 429, so callers can pace themselves
+class WixClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        // The provider hands out the current access token and refreshes it when it expires
+        this.tokenProvider = options.tokenProvider || new WixTokenProvider({
+            accessToken: options.apiToken,
+            quiet: options.quiet
+        });
+        this.siteId = options.siteId || process.env.WIX_SITE_ID;
+        // WIX_API_BASE_URL points everything at mock-wix-server.js (or any other stand-in)
+        this.baseUrl = options.baseUrl || process.env.WIX_API_BASE_URL || 'https://www.wixapis.com';
+        this.timeout = options.timeout || 10000;
+        this.retries = options.retries ?? 3;
+        this.quiet = options.quiet || false;
+        // Flipped off the first time Wix rejects a query endpoint, so we go straight to listing after that
+        this.eventQuerySupported = options.eventQuery ?? true;
+        this.orderQuerySupported = options.orderQuery ?? true;
+        this.ticketDefinitionsSupported = options.ticketDefinitions ?? true;
+
+        // 'live' talks to Wix, 'record' also saves every response, 'replay' serves saved responses only
+        this.mode = options.mode || process.env.WIX_API_MODE || 'live';
+        if (!['live', 'record', 'replay'].includes(this.mode)) {
+            throw new Error(`Unknown WIX_API_MODE "${this.mode}" (expected live, record or replay)`);
+        }
+
+        if (this.mode !== 'replay' && (!this.tokenProvider.hasToken() || !this.siteId)) {
+            throw new Error('Missing WIX_API_TOKEN (or WIX_ACCESS_TOKEN/WIX_REFRESH_TOKEN) or WIX_SITE_ID in .env file');
+        }
+
+        if (this.mode !== 'live') {
+            this.recorder = options.recorder || new WixRecorder({
+                mode: this.mode,
+                session: options.recording || process.env.WIX_RECORDING,
+                dir: options.recordingsDir,
+                secrets: [this.tokenProvider.accessToken, this.tokenProvider.refreshToken, this.siteId]
+            });
+            this.log(`Wix API ${this.mode} mode: ${this.recorder.sessionDir}`);
+        }
+
+        this.http = axios.create({
+            baseURL: this.baseUrl,
+            timeout: this.timeout,
+            // Repeated params as eventId=a&eventId=b, which is what Wix expects
+            paramsSerializer: { indexes: null }
+        });
+    }
+
+    // Standard headers for all API calls
+    async getHeaders() {
+        const accessToken = await this.tokenProvider.getAccessToken();
+
+        // Refreshed tokens must not end up in recordings either
+        if (this.recorder && !this.recorder.secrets.includes(accessToken)) {
+            this.recorder.secrets.push(accessToken);
+        }
+
+        return {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+            'wix-site-id': this.siteId
+        };
+    }
+
+    async delay(ms = 1000) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Recordings and replays pretend it is still the moment the session started
+    now() {
+        if (this.recorder) {
+            const recordedAt = this.recorder.getRecordedAt();
+            if (recordedAt) return new Date(recordedAt);
+        }
+        return new Date();
+    }
+
+    log(message) {
+        if (!this.quiet) {
+            console.log(message);
+        }
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return null;
+    }
+
+    // Turn an axios error into one of the typed errors above
+    toWixError(error, method, path) {
+        const status = error.response?.status || null;
+        const data = error.response?.data || null;
+        const details = { status, data, method, path };
+        const reason = data?.message || error.message;
+
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            return new WixTimeoutError(`${method} ${path} timed out after ${this.timeout}ms`, details);
+        }
+        if (status === 429) {
+            return new WixRateLimitError(`${method} ${path} was rate limited: ${reason}`, {
+                ...details,
+                retryAfterMs: this.parseRetryAfter(error.response?.headers?.['retry-after'])
+            });
+        }
+        if (status === 401 || status === 403) {
+            return new WixAuthError(`${method} ${path} was not authorized (${status}): ${reason}`, details);
+        }
+        if (status === 404) {
+            return new WixNotFoundError(`${method} ${path} not found: ${reason}`, details);
+        }
+
+        return new WixApiError(`${method} ${path} failed${status ? ` (${status})` : ''}: ${reason}`, details);
+    }
+
+    isRetryable(error) {
+        return error instanceof WixRateLimitError ||
+               error instanceof WixTimeoutError ||
+               (error.status >= 500) ||
+               (!error.status && !(error instanceof WixAuthError));
+    }
+
+    // Serve a request from the recording session instead of the network
+    replay(method, path, params, data) {
+        const recorded = this.recorder.load({ method, path, params, data });
+        if (!recorded) {
+            throw new WixApiError(`${method} ${path} has no recording in ${this.recorder.sessionDir}`, { method, path });
+        }
+        if (recorded.status >= 400) {
+            throw this.toWixError({ message: `Request failed with status code ${recorded.status}`, response: recorded }, method, path);
+        }
+        return recorded.data;
+    }
+
+    // Get a new access token after a 401; failures surface as auth errors
+    async refreshToken(method, path) {
+        try {
+            await this.tokenProvider.refresh();
+        } catch (error) {
+            throw new WixAuthError(`${method} ${path} was not authorized and ${error.message}`, { status: 401, method, path });
+        }
+    }
+
+    // Make a request, retrying 429s (honoring Retry-After), 5xx and timeouts
+    async request(method, path, { params, data, timeout } = {}) {
+        if (this.mode === 'replay') {
+            return this.replay(method, path, params, data);
+        }
+
+        let lastError;
+        let refreshed = false;
+
+        for (let attempt = 1; attempt <= this.retries; attempt++) {
+            // A token that can't be refreshed won't get better by retrying
+            let headers;
+            try {
+                headers = await this.getHeaders();
+            } catch (error) {
+                throw new WixAuthError(`${method} ${path} could not get an access token: ${error.message}`, { status: null, method, path });
+            }
+
+            try {
+                const response = await this.http.request({
+                    method,
+                    url: path,
+                    params,
+                    data,
+                    timeout: timeout || this.timeout,
+                    headers
+                });
+
+                if (this.mode === 'record') {
+                    this.recorder.save({ method, path, params, data, baseUrl: this.baseUrl }, response);
+                }
+                this.emit('response', { method, path, status: response.status });
+                return response.data;
+            } catch (error) {
+                lastError = this.toWixError(error, method, path);
+                if (lastError instanceof WixRateLimitError) {
+                    this.emit('rateLimit', { method, path, retryAfterMs: lastError.retryAfterMs });
+                }
+
+                // An expired token gets one refresh and an immediate retry that doesn't count as an attempt
+                if (lastError.status === 401 && !refreshed && this.tokenProvider.canRefresh()) {
+                    refreshed = true;
+                    attempt--;
+                    this.log('   Access token rejected, refreshing...');
+                    await this.refreshToken(method, path);
+                    continue;
+                }
+
+                if (attempt >= this.retries || !this.isRetryable(lastError)) {
+                    // Failures are part of what the dashboard saw, so keep them too
+                    if (this.mode === 'record' && error.response) {
+                        this.recorder.save({ method, path, params, data, baseUrl: this.baseUrl }, error.response);
+                    }
+                    break;
+                }
+
+                const waitMs = lastError.retryAfterMs ?? attempt * 2000;
+                if (lastError instanceof WixRateLimitError) {
+                    this.log(`   Rate limited, waiting ${Math.ceil(waitMs / 1000)} seconds...`);
+                } else {
+                    this.log(`   ${lastError.message}, retrying in ${Math.ceil(waitMs / 1000)} seconds...`);
+                }
+                await this.delay(waitMs);
+            }
+        }
+
+        throw lastError;
+    }
+
+    async get(path, options = {}) {
+        return this.request('GET', path, options);
+    }
+
+    async post(path, data, options = {}) {
+        return this.request('POST', path, { ...options, data });
+    }
+
+    // Iterate an offset-paginated list endpoint one page at a time
+    // (pass body to page through a POST query endpoint instead of a GET list)
+    async *paginate(path, itemsKey, { params = {}, body = null, pageSize = 100, delayMs = 0, maxItems = Infinity } = {}) {
+        let offset = 0;
+        let fetched = 0;
+
+        while (fetched < maxItems) {
+            const pageLimit = Math.min(pageSize, maxItems - fetched);
+            const data = body ?
+                await this.post(path, { ...body, limit: pageLimit, offset }, { params }) :
+                await this.get(path, { params: { ...params, limit: pageLimit, offset } });
+
+            const items = data[itemsKey] || [];
+            const total = data.total ?? null;
+            if (items.length === 0) break;
+
+            fetched += items.length;
+            yield { items, total, offset };
+
+            if (items.length < pageLimit) break;
+            if (total !== null && fetched >= total) break;
+
+            offset += items.length;
+            if (delayMs) await this.delay(delayMs);
+        }
+    }
+
+    // Collect every page of a list endpoint
+    async listAll(path, itemsKey, options = {}) {
+        const items = [];
+        let total = null;
+
+        for await (const page of this.paginate(path, itemsKey, options)) {
+            items.push(...page.items);
+            total = page.total ?? total;
+            if (options.onPage) options.onPage(page, items.length);
+        }
+
+        return {
+            items: items.slice(0, options.maxItems ?? Infinity),
+            total: total ?? items.length
+        };
+    }
+
+    // List endpoints that filter by eventId, a batch of ids per request to keep URLs short
+    async listForEvents(path, itemsKey, eventIds, { batchSize = 25, params = {}, ...options } = {}) {
+        const items = [];
+
+        for (let i = 0; i < eventIds.length; i += batchSize) {
+            const page = await this.listAll(path, itemsKey, {
+                ...options,
+                params: { ...params, eventId: eventIds.slice(i, i + batchSize) }
+            });
+            items.push(...page.items);
+        }
+
+        return { items, total: items.length };
+    }
+
+    // Endpoint helpers
+    async listEvents(options = {}) {
+        return this.listAll('/events/v1/events', 'events', options);
+    }
+
+    // Wix answers filters/endpoints it doesn't support with 400/404/405/501
+    isUnsupportedQuery(error) {
+        return error instanceof WixApiError && [400, 404, 405, 501].includes(error.status);
+    }
+
+    // Events starting after `from` and/or before `to`, filtered by Wix rather than by us.
+    // Falls back to listing everything and filtering locally if the query endpoint says no.
+    async listEventsBetween({ from = null, to = null, order = 'asc', limit = Infinity, delayMs = 500 } = {}) {
+        if (this.eventQuerySupported) {
+            try {
+                return await this.queryEventsBetween({ from, to, order, limit });
+            } catch (error) {
+                if (!this.isUnsupportedQuery(error)) throw error;
+                this.eventQuerySupported = false;
+                this.log(`   Events query not available (${error.status}), filtering the full event list instead`);
+            }
+        }
+
+        const { items: allEvents } = await this.listEvents({ delayMs });
+        const startOf = event => new Date(event.scheduling?.config?.startDate);
+        const direction = order === 'desc' ? -1 : 1;
+
+        const events = allEvents
+            .filter(event => (!from || startOf(event) > from) && (!to || startOf(event) <= to))
+            .sort((a, b) => (startOf(a) - startOf(b)) * direction);
+
+        return { items: events.slice(0, limit), total: events.length, filteredBy: 'client' };
+    }
+
+    async queryEventsBetween({ from, to, order, limit }) {
+        const startDate = {};
+        if (from) startDate.$gt = from.toISOString();
+        if (to) startDate.$lte = to.toISOString();
+
+        const body = {
+            filter: Object.keys(startDate).length > 0 ? { 'scheduling.config.startDate': startDate } : {},
+            sort: `scheduling.config.startDate:${order}`
+        };
+
+        const { items, total } = await this.listAll('/events/v1/events/query', 'events', {
+            body,
+            maxItems: limit
+        });
+
+        return { items, total, filteredBy: 'server' };
+    }
+
+    async listUpcomingEvents({ limit = Infinity, ...options } = {}) {
+        return this.listEventsBetween({ ...options, from: this.now(), limit });
+    }
+
+    async listPastEvents({ limit = Infinity, ...options } = {}) {
+        return this.listEventsBetween({ ...options, to: this.now(), order: 'desc', limit });
+    }
+
+    async getEvent(eventId) {
+        const data = await this.get(`/events/v1/events/${eventId}`);
+        return data.event || data;
+    }
+
+    async listEventTickets(eventId, options = {}) {
+        return this.listAll(`/events/v1/events/${eventId}/tickets`, 'tickets', options);
+    }
+
+    // Ticket types (GA, VIP, ...) with price, limit and sold/unsold counts.
+    // Sites or API versions without the endpoint get an empty list rather than an error.
+    async listTicketDefinitions(eventIds) {
+        if (!this.ticketDefinitionsSupported || eventIds.length === 0) {
+            return { items: [], total: 0 };
+        }
+
+        try {
+            return await this.listForEvents('/events/v1/ticket-definitions', 'definitions', eventIds);
+        } catch (error) {
+            if (!this.isUnsupportedQuery(error)) throw error;
+            this.ticketDefinitionsSupported = false;
+            this.log(`   Ticket definitions not available (${error.status}), tiers will come from tickets only`);
+            return { items: [], total: 0 };
+        }
+    }
+
+    async listTickets(options = {}) {
+        return this.listAll('/events/v1/tickets', 'tickets', options);
+    }
+
+    async listOrders(options = {}) {
+        return this.listAll('/events/v1/orders', 'orders', options);
+    }
+
+    // Orders for the given events. If Wix won't filter orders by eventId,
+    // lists every order once and keeps the matching ones.
+    async listEventOrders(eventIds) {
+        try {
+            return await this.listForEvents('/events/v1/orders', 'orders', eventIds);
+        } catch (error) {
+            if (!this.isUnsupportedQuery(error)) throw error;
+
+            this.log(`   Orders can't be filtered by event (${error.message}), scanning all orders once`);
+            const wanted = new Set(eventIds);
+            const { items } = await this.listOrders();
+            const orders = items.filter(order => wanted.has(order.eventId));
+            return { items: orders, total: orders.length };
+        }
+    }
+
+    // Orders created or changed after `since` (an ISO timestamp), oldest change first.
+    // Without the query endpoint this lists the given events' orders and filters locally.
+    async listOrdersUpdatedSince(since, { eventIds = [] } = {}) {
+        if (this.orderQuerySupported) {
+            try {
+                const filter = since ? { updated: { $gt: since } } : {};
+                const { items, total } = await this.listAll('/events/v1/orders/query', 'orders', {
+                    body: { filter, sort: 'updated:asc' }
+                });
+                return { items, total, filteredBy: 'server' };
+            } catch (error) {
+                if (!this.isUnsupportedQuery(error)) throw error;
+                this.orderQuerySupported = false;
+                this.log(`   Orders query not available (${error.status}), filtering event orders instead`);
+            }
+        }
+
+        const { items: orders } = eventIds.length > 0 ?
+            await this.listForEvents('/events/v1/orders', 'orders', eventIds) :
+            await this.listOrders();
+        const changed = orders
+            .filter(order => !since || new Date(order.updated || order.created) > new Date(since))
+            .sort((a, b) => new Date(a.updated || a.created) - new Date(b.updated || b.created));
+
+        return { items: changed, total: changed.length, filteredBy: 'client' };
+    }
+
+    async listEventRsvps(eventId, options = {}) {
+        return this.listAll(`/events/v1/events/${eventId}/rsvps`, 'rsvps', options);
+    }
+
+    async listBookings(params = {}) {
+        const data = await this.get('/bookings/v2/bookings', { params });
+        return { items: data.bookings || [], total: data.bookings?.length || 0 };
+    }
+}
+
+module.exports = WixClient;
+module.exports.WixApiError = WixApiError;
+module.exports.WixRateLimitError = WixRateLimitError;
+module.exports.WixAuthError = WixAuthError;
+module.exports.WixNotFoundError = WixNotFoundError;
+module.exports.WixTimeoutError = WixTimeoutError;
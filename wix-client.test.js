@@ -0,0 +1,44 @@
+// wix-client.test.js - The shared Wix client against mock-wix-server.js (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createMockWixServer = require('./mock-wix-server');
+const { startMockWixServer, mockWixEnv } = createMockWixServer;
+const WixClient = require('./wix-client');
+const { WixApiError, WixNotFoundError } = WixClient;
+
+const fixtures = createMockWixServer.loadFixtures();
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = await startMockWixServer({ fixtures });
+    Object.assign(process.env, mockWixEnv(server));
+    baseUrl = process.env.WIX_API_BASE_URL;
+});
+
+test.after(() => server?.close());
+
+const client = () => new WixClient({ apiToken: 'mock-token', siteId: 'mock-site', baseUrl, mode: 'live', quiet: true });
+
+test('listEventOrders scans all orders when Wix rejects the eventId filter in any unsupported way', async () => {
+    const eventIds = [...new Set(fixtures.orders.map(order => order.eventId))].slice(0, 2);
+    const expected = fixtures.orders.filter(order => eventIds.includes(order.eventId)).map(order => order.id).sort();
+
+    for (const error of [
+        new WixApiError('Bad filter', { status: 400 }),
+        new WixNotFoundError('No such endpoint', { status: 404 }),
+        new WixApiError('Method not allowed', { status: 405 }),
+        new WixApiError('Not implemented', { status: 501 })
+    ]) {
+        const wix = client();
+        wix.listForEvents = async () => { throw error; };
+        const { items, total } = await wix.listEventOrders(eventIds);
+        assert.deepEqual(items.map(order => order.id).sort(), expected, `after a ${error.status}`);
+        assert.equal(total, expected.length);
+    }
+
+    // Anything else is a real failure
+    const wix = client();
+    wix.listForEvents = async () => { throw new WixApiError('Internal error', { status: 500 }); };
+    await assert.rejects(() => wix.listEventOrders(eventIds), /Internal error/);
+});
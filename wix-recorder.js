@@ -0,0 +1,156 @@
+// wix-recorder.js - Saves Wix responses to disk and serves them back for replay
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, 'recordings');
+const SECRET_KEYS = /token|secret|password|authorization|api[-_]?key/i;
+const REDACTED = '[REDACTED]';
+
+class WixRecorder {
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.WIX_RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+        this.mode = options.mode || 'record';
+        this.secrets = (options.secrets || []).filter(Boolean);
+        this.startedAt = new Date().toISOString();
+
+        // Record into a fresh timestamped session; replay the newest one unless told otherwise
+        this.session = options.session ||
+            (this.mode === 'replay' ? this.latestSession() : new Date().toISOString().slice(0, 16).replace(/[:.]/g, '-'));
+
+        if (!this.session) {
+            throw new Error(`No recordings found in ${this.dir}`);
+        }
+
+        this.sessionDir = path.join(this.dir, this.session);
+        if (this.mode === 'replay' && !fs.existsSync(this.sessionDir)) {
+            throw new Error(`Recording session not found: ${this.sessionDir}`);
+        }
+    }
+
+    listSessions() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        return fs.readdirSync(this.dir)
+            .filter(name => fs.existsSync(path.join(this.dir, name, 'session.json')))
+            .sort();
+    }
+
+    latestSession() {
+        const sessions = this.listSessions();
+        return sessions[sessions.length - 1] || null;
+    }
+
+    // When the recording session started; recording and replaying both use this as "now",
+    // so requests built from the time (like upcoming events) match on replay
+    getRecordedAt() {
+        const file = path.join(this.sessionDir, 'session.json');
+        if (!fs.existsSync(file)) return this.mode === 'record' ? this.startedAt : null;
+
+        return JSON.parse(fs.readFileSync(file, 'utf8')).recordedAt || null;
+    }
+
+    // Stable file name for a request: method, readable path and a hash of params/body
+    fileFor({ method, path: requestPath, params, data }) {
+        const sortedParams = Object.keys(params || {}).sort()
+            .reduce((sorted, key) => ({ ...sorted, [key]: params[key] }), {});
+        const hash = crypto.createHash('sha1')
+            .update(JSON.stringify({ method, path: requestPath, params: sortedParams, data: data || null }))
+            .digest('hex')
+            .slice(0, 10);
+        const readable = requestPath.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '-').slice(0, 80);
+
+        return path.join(this.sessionDir, `${method.toLowerCase()}-${readable}-${hash}.json`);
+    }
+
+    // Replace anything that looks like a credential before it touches disk
+    scrub(value) {
+        if (typeof value === 'string') {
+            return this.secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.scrub(item));
+        }
+        if (value && typeof value === 'object') {
+            const scrubbed = {};
+            Object.entries(value).forEach(([key, item]) => {
+                scrubbed[key] = SECRET_KEYS.test(key) && typeof item !== 'object' ? REDACTED : this.scrub(item);
+            });
+            return scrubbed;
+        }
+        return value;
+    }
+
+    save(request, response) {
+        fs.mkdirSync(this.sessionDir, { recursive: true });
+
+        const sessionFile = path.join(this.sessionDir, 'session.json');
+        if (!fs.existsSync(sessionFile)) {
+            fs.writeFileSync(sessionFile, JSON.stringify({
+                session: this.session,
+                recordedAt: this.startedAt,
+                baseUrl: request.baseUrl
+            }, null, 2));
+        }
+
+        const recording = this.scrub({
+            request: {
+                method: request.method,
+                path: request.path,
+                params: request.params || null,
+                data: request.data || null
+            },
+            response: {
+                status: response.status,
+                data: response.data
+            },
+            recordedAt: new Date().toISOString()
+        });
+
+        fs.writeFileSync(this.fileFor(request), JSON.stringify(recording, null, 2));
+    }
+
+    // Returns { status, data } or null if this request was never recorded
+    load(request) {
+        const file = this.fileFor(request);
+        if (!fs.existsSync(file)) return null;
+
+        return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+    }
+}
+
+// Command line interface
+function main() {
+    const command = process.argv[2] || 'list';
+    const recorder = new WixRecorder({ mode: 'record', session: 'cli' });
+
+    switch (command.toLowerCase()) {
+        case 'list': {
+            const sessions = recorder.listSessions();
+            if (sessions.length === 0) {
+                console.log(`No recordings in ${recorder.dir}`);
+                console.log('Record one with WIX_API_MODE=record, e.g. WIX_API_MODE=record node final-ticket-manager.js report');
+                return;
+            }
+
+            console.log('RECORDED SESSIONS');
+            console.log('=================');
+            sessions.forEach(session => {
+                const files = fs.readdirSync(path.join(recorder.dir, session)).filter(f => f !== 'session.json');
+                console.log(`${session} (${files.length} responses)`);
+            });
+            console.log('\nReplay one with WIX_API_MODE=replay WIX_RECORDING=<session>');
+            break;
+        }
+
+        default:
+            console.log('Available commands:');
+            console.log('  list   - List recorded Wix API sessions');
+    }
+}
+
+module.exports = WixRecorder;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,59 @@
+// wix-recorder.test.js - Record Wix responses against mock-wix-server.js, then replay them offline (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockWixServer = require('./mock-wix-server');
+const { startMockWixServer, mockWixEnv } = createMockWixServer;
+const WixClient = require('./wix-client');
+const WixRecorder = require('./wix-recorder');
+
+const SECRET = 'secret-token-do-not-save';
+
+test('a recorded session replays the same answers without Wix, and keeps no credentials', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wix-recordings-'));
+    const server = await startMockWixServer({ fixtures: createMockWixServer.loadFixtures() });
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    Object.assign(process.env, mockWixEnv(server));
+
+    // Upcoming events depend on "now", so they only replay if recording fixed the clock too
+    const calls = async client => {
+        const upcoming = await client.listUpcomingEvents({ limit: 3 });
+        const tickets = await client.listEventTickets(upcoming.items[0].id);
+        return { upcoming, tickets };
+    };
+
+    const recording = new WixClient({ apiToken: SECRET, siteId: 'mock-site', mode: 'record', recording: 'demo', recordingsDir: dir, quiet: true });
+    const recorded = await calls(recording);
+    assert.ok(recorded.upcoming.items.length > 0);
+
+    const files = fs.readdirSync(path.join(dir, 'demo'));
+    const session = JSON.parse(fs.readFileSync(path.join(dir, 'demo', 'session.json'), 'utf8'));
+    assert.equal(recording.now().toISOString(), session.recordedAt);
+    files.forEach(file => assert.ok(!fs.readFileSync(path.join(dir, 'demo', file), 'utf8').includes(SECRET), `${file} has the token`));
+
+    // Wix is gone; the newest session is replayed at the time it was recorded
+    await new Promise(resolve => server.close(resolve));
+    const replay = new WixClient({ mode: 'replay', recordingsDir: dir, quiet: true });
+    assert.equal(replay.recorder.session, 'demo');
+    assert.equal(replay.now().toISOString(), session.recordedAt);
+    assert.deepEqual(await calls(replay), recorded);
+    await assert.rejects(() => replay.getEvent('not-recorded'), /has no recording/);
+});
+
+test('WixRecorder scrubs credential-looking keys and known secrets', () => {
+    const recorder = new WixRecorder({ mode: 'record', session: 'scrub', dir: os.tmpdir(), secrets: ['abc123'] });
+    assert.deepEqual(recorder.scrub({
+        refresh_token: 'r-1',
+        headers: { Authorization: 'Bearer abc123' },
+        items: [{ note: 'sent with abc123', apiKey: 42, tokens: { count: 2 } }]
+    }), {
+        refresh_token: '[REDACTED]',
+        headers: { Authorization: '[REDACTED]' },
+        items: [{ note: 'sent with [REDACTED]', apiKey: '[REDACTED]', tokens: { count: 2 } }]
+    });
+});
@@ -0,0 +1,468 @@
+// wix-sync.js - Pulls events, tickets, ticket definitions, orders, RSVPs and bookings from Wix into the local data store
+require('dotenv').config();
+const EventEmitter = require('events');
+const WixClient = require('./wix-client');
+const DataStore = require('./data-store');
+const ConcurrencyPool = require('./concurrency-pool');
+
+const toAmount = (money) => parseFloat(money?.amount) || 0;
+// How many change entries data/changes.jsonl keeps
+const CHANGE_LOG_SIZE = 1000;
+// Check-ins are scanned during the show and sometimes entered afterwards, so an incremental
+// sync keeps re-reading tickets and RSVPs for events that started this recently
+const CHECK_IN_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Normalized records keep the fields we query on, plus the raw Wix payload in `data`
+function normalizeEvent(event) {
+    return {
+        id: event.id,
+        title: event.title || '',
+        slug: event.slug || null,
+        status: event.status || null,
+        startDate: event.scheduling?.config?.startDate || null,
+        endDate: event.scheduling?.config?.endDate || null,
+        timeZone: event.scheduling?.config?.timeZoneId || null,
+        registrationType: event.registration?.type || null,
+        venue: event.location?.name || null,
+        created: event.created || null,
+        modified: event.modified || null,
+        data: event
+    };
+}
+
+function normalizeTicket(ticket) {
+    return {
+        id: ticket.ticketNumber,
+        eventId: ticket.eventId,
+        orderNumber: ticket.orderNumber || null,
+        ticketDefinitionId: ticket.ticketDefinitionId || null,
+        name: ticket.name || null,
+        price: toAmount(ticket.price),
+        currency: ticket.price?.currency || null,
+        free: Boolean(ticket.free),
+        orderStatus: ticket.orderStatus || null,
+        contactId: ticket.contactId || null,
+        checkedIn: Boolean(ticket.checkIn),
+        data: ticket
+    };
+}
+
+function normalizeDefinition(definition) {
+    return {
+        id: definition.id,
+        eventId: definition.eventId,
+        name: definition.name || null,
+        price: toAmount(definition.price),
+        currency: definition.price?.currency || null,
+        free: Boolean(definition.free),
+        limit: definition.limited ? definition.limit ?? null : null,
+        sold: definition.salesDetails?.soldCount ?? definition.dashboard?.sold ?? null,
+        soldOut: Boolean(definition.salesDetails?.soldOut),
+        data: definition
+    };
+}
+
+function normalizeOrder(order) {
+    return {
+        id: order.orderNumber,
+        eventId: order.eventId,
+        status: order.status || null,
+        created: order.created || null,
+        updated: order.updated || null,
+        ticketsQuantity: order.ticketsQuantity || 0,
+        total: toAmount(order.totalPrice),
+        currency: order.totalPrice?.currency || null,
+        contactId: order.contactId || null,
+        email: order.email || null,
+        data: order
+    };
+}
+
+function normalizeRsvp(rsvp) {
+    return {
+        id: rsvp.id,
+        eventId: rsvp.eventId,
+        status: rsvp.status || null,
+        created: rsvp.created || null,
+        contactId: rsvp.contactId || null,
+        email: rsvp.email || rsvp.contactDetails?.email || null,
+        guests: rsvp.totalGuests || 1,
+        checkedIn: Boolean(rsvp.checkIn),
+        data: rsvp
+    };
+}
+
+function normalizeBooking(booking) {
+    return {
+        id: booking.id,
+        eventId: booking.eventId,
+        status: booking.status || null,
+        created: booking.createdDate || null,
+        contactId: booking.contactDetails?.contactId || null,
+        email: booking.contactDetails?.email || null,
+        participants: booking.numberOfParticipants || 1,
+        data: booking
+    };
+}
+
+// Emits 'change' for every difference an incremental sync finds (new tickets, cancellations, ...)
+class WixSync extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.client = options.client || new WixClient(options);
+        this.store = options.store || new DataStore({ dir: options.dataDir });
+        this.pool = options.pool || new ConcurrencyPool({ concurrency: options.concurrency }).watch(this.client);
+    }
+
+    // Save what Wix returned for these events and drop stored records Wix no longer has
+    saveForEvents(collection, eventIds, records) {
+        const result = this.store.put(collection, records);
+
+        const synced = new Set(eventIds);
+        const fetched = new Set(records.map(record => record.id));
+        const stale = this.store.find(collection, record => synced.has(record.eventId) && !fetched.has(record.id));
+        result.removed = this.store.remove(collection, stale.map(record => record.id));
+
+        return result;
+    }
+
+    async fetchRsvps(events) {
+        const rsvpEvents = events.filter(event => event.registration?.type === 'RSVP');
+        const pages = await this.pool.run(rsvpEvents, event => this.client.listEventRsvps(event.id));
+
+        return pages.flatMap((page, i) => page.items.map(rsvp => ({ ...rsvp, eventId: rsvp.eventId || rsvpEvents[i].id })));
+    }
+
+    // Bookings for these events. Wix Bookings can't filter by event, so this lists them all once;
+    // sites without Bookings get none rather than a failed sync.
+    async fetchBookings(eventIds) {
+        try {
+            const wanted = new Set(eventIds);
+            const { items } = await this.client.listBookings();
+            return items.filter(booking => wanted.has(booking.eventId));
+        } catch (error) {
+            if (!this.client.isUnsupportedQuery(error)) throw error;
+            console.log(`   Bookings not available (${error.status}), skipping`);
+            return null;
+        }
+    }
+
+    // scope 'upcoming' refreshes future events only; 'all' walks the whole event history
+    async run({ scope = 'upcoming' } = {}) {
+        try {
+            const startedAt = new Date().toISOString();
+            console.log(`🔄 Syncing ${scope} events from Wix...`);
+
+            const { items: events } = scope === 'all' ?
+                await this.client.listEvents() :
+                await this.client.listUpcomingEvents();
+            const eventIds = events.map(event => event.id);
+
+            // Anything in the synced range that Wix didn't return has been deleted there
+            const now = this.client.now();
+            const fetched = new Set(eventIds);
+            const eventResult = this.store.put('events', events.map(normalizeEvent));
+            const deleted = this.store.find('events', event =>
+                !fetched.has(event.id) && (scope === 'all' || new Date(event.startDate) > now)
+            );
+            eventResult.removed = this.store.remove('events', deleted.map(event => event.id));
+            console.log(`   Events: ${events.length}`);
+
+            const { items: tickets } = await this.client.listForEvents('/events/v1/tickets', 'tickets', eventIds);
+            const ticketResult = this.saveForEvents('tickets', eventIds, tickets.map(normalizeTicket));
+            console.log(`   Tickets: ${tickets.length}`);
+
+            const { items: definitions } = await this.client.listTicketDefinitions(eventIds);
+            const definitionResult = this.saveForEvents('definitions', eventIds, definitions.map(normalizeDefinition));
+            console.log(`   Ticket definitions: ${definitions.length}`);
+
+            const { items: orders } = await this.client.listForEvents('/events/v1/orders', 'orders', eventIds);
+            const orderResult = this.saveForEvents('orders', eventIds, orders.map(normalizeOrder));
+            console.log(`   Orders: ${orders.length}`);
+
+            const rsvps = await this.fetchRsvps(events);
+            const rsvpResult = this.saveForEvents('rsvps', eventIds, rsvps.map(normalizeRsvp));
+            console.log(`   RSVPs: ${rsvps.length}`);
+
+            const bookings = await this.fetchBookings(eventIds);
+            const bookingResult = bookings ?
+                this.saveForEvents('bookings', eventIds, bookings.map(normalizeBooking)) :
+                { added: [], updated: [], removed: [] };
+            console.log(`   Bookings: ${bookings ? bookings.length : 'not available'}`);
+
+            const summary = {
+                events: eventResult,
+                tickets: ticketResult,
+                definitions: definitionResult,
+                orders: orderResult,
+                rsvps: rsvpResult,
+                bookings: bookingResult
+            };
+            const counts = {};
+            Object.entries(summary).forEach(([collection, result]) => {
+                counts[collection] = {
+                    added: result.added.length,
+                    updated: result.updated.length,
+                    removed: result.removed?.length || 0
+                };
+            });
+
+            const lastSync = { scope, startedAt, finishedAt: new Date().toISOString(), counts };
+            this.store.setMeta('lastSync', lastSync);
+            // A full sync is the baseline the next incremental sync diffs against
+            this.store.setMeta('syncCursor', { orders: this.latestOrderUpdate(this.store.all('orders')), at: lastSync.finishedAt });
+
+            return { success: true, ...lastSync, changes: summary };
+        } catch (error) {
+            console.error('Error syncing from Wix:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Newest order change we have seen - the cursor is Wix's clock, not ours
+    latestOrderUpdate(orders, fallback = null) {
+        return orders.reduce((latest, order) => {
+            const updated = order.updated || order.created;
+            return updated && (!latest || new Date(updated) > new Date(latest)) ? updated : latest;
+        }, fallback);
+    }
+
+    eventTitle(eventId) {
+        return this.store.get('events', eventId)?.title || eventId;
+    }
+
+    // Count records per event, e.g. new tickets -> { eventId: 3 }
+    countByEvent(records) {
+        const counts = new Map();
+        records.forEach(record => counts.set(record.eventId, (counts.get(record.eventId) || 0) + 1));
+        return counts;
+    }
+
+    change(type, eventId, count, message, at) {
+        return { type, eventId, eventTitle: this.eventTitle(eventId), count, message, at };
+    }
+
+    // Only what changed since the last run: upcoming events, orders updated after the cursor,
+    // tickets for the events those orders belong to, RSVPs for upcoming RSVP events and their bookings.
+    // Events that started since the last run (or within CHECK_IN_WINDOW_MS) also get their tickets
+    // and RSVPs re-read, which is how check-ins reach the store.
+    // Falls back to a full upcoming sync when there is no cursor yet.
+    async runIncremental() {
+        const cursor = this.store.getMeta('syncCursor');
+        if (!cursor) {
+            console.log('   No sync cursor yet, running a full sync first');
+            const result = await this.run({ scope: 'upcoming' });
+            return { ...result, incremental: false, changesDetected: [] };
+        }
+
+        try {
+            const startedAt = new Date().toISOString();
+            const now = this.client.now();
+            const changes = [];
+            console.log(`🔄 Syncing changes since ${cursor.orders || cursor.at}...`);
+
+            // Events: compare against what we stored last time
+            const { items: events } = await this.client.listUpcomingEvents();
+            const eventIds = events.map(event => event.id);
+            const previousStatus = new Map(events.map(event => [event.id, this.store.get('events', event.id)?.status]));
+            const fetched = new Set(eventIds);
+            const deleted = this.store.find('events', event => !fetched.has(event.id) && new Date(event.startDate) > now);
+
+            // Titles are needed for messages about deleted events, so describe them before removing
+            deleted.forEach(event => changes.push(this.change('event-deleted', event.id, 1, `${event.title} was deleted`, startedAt)));
+            const eventResult = this.store.put('events', events.map(normalizeEvent));
+            eventResult.removed = this.store.remove('events', deleted.map(event => event.id));
+
+            // Stored events that have started since the last run, or recently enough to still be scanning
+            const recentFrom = new Date(Math.min(new Date(cursor.at).getTime(), now.getTime() - CHECK_IN_WINDOW_MS));
+            const recentEvents = this.store.eventsBetween({ from: recentFrom, to: now }).map(event => event.data);
+            const recentEventIds = recentEvents.map(event => event.id);
+
+            eventResult.added.forEach(event => changes.push(this.change('event-added', event.id, 1, `New event: ${event.title}`, startedAt)));
+            eventResult.updated.forEach(event => {
+                if (event.status === 'CANCELED' && previousStatus.get(event.id) !== 'CANCELED') {
+                    changes.push(this.change('event-canceled', event.id, 1, `${event.title} was canceled`, startedAt));
+                } else {
+                    changes.push(this.change('event-updated', event.id, 1, `${event.title} was updated`, startedAt));
+                }
+            });
+
+            // Orders: only those Wix says were created or changed after the cursor
+            const { items: changedOrders } = await this.client.listOrdersUpdatedSince(cursor.orders, { eventIds: [...eventIds, ...recentEventIds] });
+            // Orders for events outside what we sync (old shows we never stored) are left alone
+            const orders = changedOrders.filter(order => this.store.get('events', order.eventId));
+            const previousOrders = new Map(orders.map(order => [order.orderNumber, this.store.get('orders', order.orderNumber)]));
+            const orderResult = this.store.put('orders', orders.map(normalizeOrder));
+            orderResult.updated
+                .filter(order => order.status === 'CANCELED' && previousOrders.get(order.id)?.status !== 'CANCELED')
+                .forEach(order => changes.push(this.change('order-canceled', order.eventId, order.ticketsQuantity,
+                    `Order ${order.id} for ${this.eventTitle(order.eventId)} was canceled (${order.ticketsQuantity} tickets)`, startedAt)));
+
+            // Tickets: re-read the events whose orders moved and the ones just played
+            const ticketEventIds = [...new Set([...orders.map(order => order.eventId), ...recentEventIds])];
+            const { items: tickets } = ticketEventIds.length > 0 ?
+                await this.client.listForEvents('/events/v1/tickets', 'tickets', ticketEventIds) :
+                { items: [] };
+            const previousTickets = new Map(ticketEventIds
+                .flatMap(id => this.store.byEvent('tickets', id))
+                .map(ticket => [ticket.id, ticket]));
+            const ticketResult = this.saveForEvents('tickets', ticketEventIds, tickets.map(normalizeTicket));
+
+            this.countByEvent(ticketResult.added).forEach((count, eventId) => {
+                changes.push(this.change('tickets-sold', eventId, count,
+                    `${count} new ticket${count === 1 ? '' : 's'} for ${this.eventTitle(eventId)}`, startedAt));
+            });
+            this.countByEvent(ticketResult.removed.map(id => previousTickets.get(id))).forEach((count, eventId) => {
+                changes.push(this.change('tickets-removed', eventId, count,
+                    `${count} ticket${count === 1 ? '' : 's'} removed from ${this.eventTitle(eventId)}`, startedAt));
+            });
+            const newlyCheckedIn = (records, previous) => records.filter(record => record.checkedIn && !previous.get(record.id)?.checkedIn);
+            const checkedInTickets = newlyCheckedIn(ticketResult.updated, previousTickets);
+
+            // Ticket definitions carry sold counts, so re-read them where tickets moved or events changed
+            const definitionEventIds = [...new Set([
+                ...ticketEventIds,
+                ...eventResult.added.map(event => event.id),
+                ...eventResult.updated.map(event => event.id)
+            ])];
+            const { items: definitions } = await this.client.listTicketDefinitions(definitionEventIds);
+            const definitionResult = this.saveForEvents('definitions', definitionEventIds, definitions.map(normalizeDefinition));
+
+            // RSVPs have no change filter; upcoming and just-played RSVP events are few, so diff them whole
+            const rsvpEvents = [...events, ...recentEvents].filter(event => event.registration?.type === 'RSVP');
+            const rsvpEventIds = rsvpEvents.map(event => event.id);
+            const rsvps = await this.fetchRsvps(rsvpEvents);
+            const previousRsvps = new Map(rsvps.map(rsvp => [rsvp.id, this.store.get('rsvps', rsvp.id)]));
+            const rsvpResult = this.saveForEvents('rsvps', rsvpEventIds, rsvps.map(normalizeRsvp));
+
+            this.countByEvent(rsvpResult.added.filter(rsvp => rsvp.status === 'GOING')).forEach((count, eventId) => {
+                changes.push(this.change('rsvps-added', eventId, count,
+                    `${count} new RSVP${count === 1 ? '' : 's'} for ${this.eventTitle(eventId)}`, startedAt));
+            });
+            this.countByEvent(rsvpResult.updated.filter(rsvp =>
+                rsvp.status === 'NOT_GOING' && previousRsvps.get(rsvp.id)?.status !== 'NOT_GOING'
+            )).forEach((count, eventId) => {
+                changes.push(this.change('rsvps-canceled', eventId, count,
+                    `${count} RSVP${count === 1 ? '' : 's'} canceled for ${this.eventTitle(eventId)}`, startedAt));
+            });
+
+            // Guests scanned since the last run, tickets and RSVPs together
+            const checkedIn = [...checkedInTickets, ...newlyCheckedIn(rsvpResult.updated, previousRsvps)];
+            this.countByEvent(checkedIn).forEach((count, eventId) => {
+                changes.push(this.change('checked-in', eventId, count,
+                    `${count} check-in${count === 1 ? '' : 's'} at ${this.eventTitle(eventId)}`, startedAt));
+            });
+
+            // Bookings have no change filter either; diff the upcoming events' bookings whole
+            const bookings = await this.fetchBookings(eventIds);
+            const bookingResult = bookings ?
+                this.saveForEvents('bookings', eventIds, bookings.map(normalizeBooking)) :
+                { added: [], updated: [], removed: [] };
+
+            this.countByEvent(bookingResult.added.filter(booking => booking.status === 'CONFIRMED')).forEach((count, eventId) => {
+                changes.push(this.change('bookings-added', eventId, count,
+                    `${count} new booking${count === 1 ? '' : 's'} for ${this.eventTitle(eventId)}`, startedAt));
+            });
+
+            const finishedAt = new Date().toISOString();
+            const counts = {
+                events: { added: eventResult.added.length, updated: eventResult.updated.length, removed: eventResult.removed.length },
+                tickets: { added: ticketResult.added.length, updated: ticketResult.updated.length, removed: ticketResult.removed.length },
+                definitions: { added: definitionResult.added.length, updated: definitionResult.updated.length, removed: definitionResult.removed.length },
+                orders: { added: orderResult.added.length, updated: orderResult.updated.length, removed: 0 },
+                rsvps: { added: rsvpResult.added.length, updated: rsvpResult.updated.length, removed: rsvpResult.removed.length },
+                bookings: { added: bookingResult.added.length, updated: bookingResult.updated.length, removed: bookingResult.removed.length }
+            };
+
+            const lastSync = { scope: 'incremental', startedAt, finishedAt, counts };
+            this.store.setMeta('lastSync', lastSync);
+            this.store.setMeta('syncCursor', { orders: this.latestOrderUpdate(changedOrders, cursor.orders), at: finishedAt });
+
+            this.store.appendLog('changes', changes);
+            this.store.trimLog('changes', CHANGE_LOG_SIZE);
+            changes.forEach(change => this.emit('change', change));
+
+            return { success: true, incremental: true, ...lastSync, changesDetected: changes };
+        } catch (error) {
+            console.error('Error syncing changes from Wix:', error.data || error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Changes recorded by earlier incremental syncs, oldest first
+    getChanges(options = {}) {
+        return this.store.readLog('changes', options);
+    }
+}
+
+// Command line interface
+async function main() {
+    const command = process.argv[2] || 'upcoming';
+
+    switch (command.toLowerCase()) {
+        case 'upcoming':
+        case 'all': {
+            const sync = new WixSync();
+            const result = await sync.run({ scope: command.toLowerCase() });
+            if (!result.success) {
+                process.exitCode = 1;
+                return;
+            }
+            Object.entries(result.counts).forEach(([collection, counts]) => {
+                console.log(`   ${collection}: +${counts.added} new, ${counts.updated} updated, ${counts.removed} removed`);
+            });
+            console.log('✅ Sync complete');
+            break;
+        }
+
+        case 'changes': {
+            const sync = new WixSync();
+            const result = await sync.runIncremental();
+            if (!result.success) {
+                process.exitCode = 1;
+                return;
+            }
+            if (result.changesDetected.length === 0) {
+                console.log('   No changes since the last sync');
+            }
+            result.changesDetected.forEach(change => console.log(`   • ${change.message}`));
+            console.log('✅ Sync complete');
+            break;
+        }
+
+        case 'status': {
+            const store = new DataStore();
+            const lastSync = store.getMeta('lastSync');
+
+            console.log('LOCAL DATA STORE');
+            console.log('================');
+            console.log(`Location: ${store.dir}`);
+            Object.entries(store.stats()).forEach(([collection, count]) => {
+                console.log(`   ${collection}: ${count}`);
+            });
+            console.log(lastSync ?
+                `Last sync: ${new Date(lastSync.finishedAt).toLocaleString()} (${lastSync.scope})` :
+                'Never synced - run: node wix-sync.js all');
+            break;
+        }
+
+        default:
+            console.log('Available commands:');
+            console.log('  upcoming   - Sync upcoming events and their tickets, ticket definitions, orders, RSVPs and bookings (default)');
+            console.log('  all        - Sync the full event history');
+            console.log('  changes    - Incremental sync: only what changed since the last run, listing each change');
+            console.log('  status     - Show what is in the local store and when it was last synced');
+    }
+}
+
+module.exports = WixSync;
+module.exports.normalizeEvent = normalizeEvent;
+module.exports.normalizeTicket = normalizeTicket;
+module.exports.normalizeDefinition = normalizeDefinition;
+module.exports.normalizeOrder = normalizeOrder;
+module.exports.normalizeRsvp = normalizeRsvp;
+module.exports.normalizeBooking = normalizeBooking;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,125 @@
+// wix-sync.test.js - Incremental sync against mock-wix-server.js: what changed since the last run
+// reaches the store and the change log (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockWixServer = require('./mock-wix-server');
+const { startMockWixServer, mockWixEnv } = createMockWixServer;
+const DataStore = require('./data-store');
+const WixSync = require('./wix-sync');
+
+const HOUR_MS = 60 * 60 * 1000;
+const startOf = event => new Date(event.scheduling.config.startDate);
+
+let fixtures;
+let server;
+let dir;
+
+test.beforeEach(async () => {
+    fixtures = createMockWixServer.loadFixtures();
+    server = await startMockWixServer({ fixtures });
+    Object.assign(process.env, mockWixEnv(server));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wix-sync-'));
+});
+
+test.afterEach(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('check-ins made after the show reach the store on the next incremental sync', async () => {
+    const now = new Date();
+    const upcoming = fixtures.events
+        .filter(event => startOf(event) > now && event.status !== 'CANCELED')
+        .sort((a, b) => startOf(a) - startOf(b));
+    const show = upcoming.find(event => event.registration?.type !== 'RSVP' && fixtures.tickets.some(ticket => ticket.eventId === event.id));
+    const jam = upcoming.find(event => event.registration?.type === 'RSVP' && fixtures.rsvps.some(rsvp => rsvp.eventId === event.id && rsvp.status === 'GOING'));
+    const tickets = fixtures.tickets.filter(ticket => ticket.eventId === show.id);
+    const rsvps = fixtures.rsvps.filter(rsvp => rsvp.eventId === jam.id && rsvp.status === 'GOING');
+    [...tickets, ...rsvps].forEach(record => { delete record.checkIn; });
+
+    const sync = new WixSync({ store: new DataStore({ dir }) });
+    assert.ok((await sync.run({ scope: 'upcoming' })).success);
+    assert.equal(sync.store.byEvent('tickets', show.id).filter(ticket => ticket.checkedIn).length, 0);
+
+    // Both shows happen: the clock moves past them and guests get scanned in Wix
+    const later = new Date(Math.max(startOf(show), startOf(jam)) + 3 * HOUR_MS);
+    sync.client.now = () => later;
+    tickets.slice(0, 2).forEach(ticket => { ticket.checkIn = { created: new Date(startOf(show).getTime() + HOUR_MS).toISOString() }; });
+    rsvps[0].checkIn = { created: new Date(startOf(jam).getTime() + HOUR_MS).toISOString() };
+
+    const result = await sync.runIncremental();
+    assert.ok(result.success, result.error);
+
+    const checkedInTickets = sync.store.byEvent('tickets', show.id).filter(ticket => ticket.checkedIn);
+    assert.deepEqual(checkedInTickets.map(ticket => ticket.id).sort(), tickets.slice(0, 2).map(ticket => ticket.ticketNumber).sort());
+    assert.ok(checkedInTickets.every(ticket => ticket.data.checkIn.created));
+    assert.deepEqual(sync.store.byEvent('rsvps', jam.id).filter(rsvp => rsvp.checkedIn).map(rsvp => rsvp.id), [rsvps[0].id]);
+
+    // The shows are still stored, and each scan shows up once in the change log
+    assert.ok(sync.store.get('events', show.id) && sync.store.get('events', jam.id));
+    const checkIns = result.changesDetected.filter(change => change.type === 'checked-in');
+    assert.deepEqual(checkIns.map(change => [change.eventId, change.count]).sort(), [[show.id, 2], [jam.id, 1]].sort());
+
+    // Nothing new the next time round
+    const again = await sync.runIncremental();
+    assert.equal(again.changesDetected.filter(change => change.type === 'checked-in').length, 0);
+});
+
+test('runIncremental reports what changed in Wix since the last run, once', async () => {
+    const now = new Date();
+    const later = new Date(now.getTime() + 60 * 1000).toISOString();
+    const upcoming = fixtures.events
+        .filter(event => startOf(event) > now && event.status !== 'CANCELED')
+        .sort((a, b) => startOf(a) - startOf(b));
+    const ticketed = upcoming.filter(event => event.registration?.type !== 'RSVP' && fixtures.orders.some(order => order.eventId === event.id && order.status !== 'CANCELED'));
+    const rsvpEvent = upcoming.find(event => event.registration?.type === 'RSVP' && fixtures.rsvps.some(rsvp => rsvp.eventId === event.id && rsvp.status === 'GOING'));
+    const [show, otherShow] = ticketed;
+    const [toCancel, toDelete] = upcoming.filter(event => ![show.id, otherShow.id, rsvpEvent.id].includes(event.id));
+
+    const sync = new WixSync({ store: new DataStore({ dir }) });
+    assert.ok((await sync.run({ scope: 'upcoming' })).success);
+
+    // Meanwhile in Wix
+    fixtures.events.push({ ...toCancel, id: 'late-addition', slug: 'late-addition', title: 'Late Addition' });
+    toCancel.status = 'CANCELED';
+    fixtures.events.splice(fixtures.events.indexOf(toDelete), 1);
+
+    const order = { ...fixtures.orders.find(existing => existing.eventId === show.id), orderNumber: 'NEW-ORDER', created: later, updated: later, status: 'PAID', ticketsQuantity: 2 };
+    fixtures.orders.push(order);
+    const template = fixtures.tickets.find(ticket => ticket.eventId === show.id);
+    fixtures.tickets.push({ ...template, ticketNumber: 'NEW-1', orderNumber: order.orderNumber }, { ...template, ticketNumber: 'NEW-2', orderNumber: order.orderNumber });
+
+    const canceled = fixtures.orders.find(existing => existing.eventId === otherShow.id && existing.status !== 'CANCELED');
+    Object.assign(canceled, { status: 'CANCELED', updated: later });
+
+    const going = fixtures.rsvps.find(rsvp => rsvp.eventId === rsvpEvent.id && rsvp.status === 'GOING');
+    fixtures.rsvps.push({ ...going, id: 'new-rsvp' });
+    going.status = 'NOT_GOING';
+
+    const result = await sync.runIncremental();
+    assert.ok(result.success, result.error);
+    const found = result.changesDetected.map(change => [change.type, change.eventId, change.count]);
+
+    assert.deepEqual(found.filter(([type]) => type.startsWith('event-')).sort(), [
+        ['event-added', 'late-addition', 1],
+        ['event-canceled', toCancel.id, 1],
+        ['event-deleted', toDelete.id, 1]
+    ].sort());
+    assert.deepEqual(found.filter(([type]) => type === 'tickets-sold'), [['tickets-sold', show.id, 2]]);
+    assert.deepEqual(found.filter(([type]) => type === 'order-canceled'), [['order-canceled', otherShow.id, canceled.ticketsQuantity]]);
+    assert.deepEqual(found.filter(([type]) => type.startsWith('rsvps-')).sort(), [['rsvps-added', rsvpEvent.id, 1], ['rsvps-canceled', rsvpEvent.id, 1]].sort());
+
+    // The store follows Wix, and the change log keeps what was found
+    assert.equal(sync.store.get('events', toDelete.id), null);
+    assert.equal(sync.store.get('events', toCancel.id).status, 'CANCELED');
+    assert.equal(sync.store.get('orders', canceled.orderNumber).status, 'CANCELED');
+    assert.equal(sync.store.byEvent('tickets', show.id).filter(ticket => ticket.id.startsWith('NEW-')).length, 2);
+    assert.equal(sync.getChanges().length, result.changesDetected.length);
+    assert.equal(sync.store.getMeta('syncCursor').orders, later);
+
+    const again = await sync.runIncremental();
+    assert.deepEqual(again.changesDetected, []);
+});